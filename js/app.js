@@ -5,6 +5,8 @@
  */
 import HandTracking from './hand-tracking.js';
 import ServoControl from './servo-control.js';
+import SessionRecorder from './session-recorder.js';
+import Calibration from './calibration.js';
 import UI from './ui.js';
 
 // Wait for DOM to be fully loaded
@@ -13,8 +15,11 @@ document.addEventListener('DOMContentLoaded', async function () {
     function setupCallbacks() {
         try {
             // Hand Tracking -> Servo Control & 3D Visualization
-            HandTracking.onLandmarksUpdate(function (landmarks) {
-                ServoControl.processLandmarks(landmarks);
+            HandTracking.onLandmarksUpdate(function (landmarks, hands, timestamp) {
+                const secondaryHand = HandTracking.getSecondaryHand();
+                const secondaryLandmarks = secondaryHand ? hands[secondaryHand] : null;
+                ServoControl.processLandmarks(landmarks, hands, secondaryLandmarks, timestamp);
+                Calibration.processLandmarks(landmarks, hands, secondaryLandmarks);
                 UI.update3DVisualization(landmarks);
             });
 
@@ -22,21 +27,67 @@ document.addEventListener('DOMContentLoaded', async function () {
                 UI.updateHandDetectionStatus(detected);
             });
 
+            // Hand Tracking <-> Session Recorder
+            HandTracking.onFrame(function (hands, timestamp) {
+                SessionRecorder.recordFrame(hands, timestamp);
+            });
+
+            SessionRecorder.onFrame(function (hands, timestamp, restarted) {
+                if (restarted) {
+                    HandTracking.resetFilters();
+                    ServoControl.resetFilters();
+                }
+                HandTracking.injectFrame(hands, timestamp);
+            });
+
+            SessionRecorder.onStateChange(function (state) {
+                UI.updateSessionControls(state);
+            });
+
+            // Calibration wizard -> UI
+            Calibration.onStateChange(function (state) {
+                UI.updateCalibration(state);
+            });
+
+            HandTracking.onVideoEnded(function () {
+                UI.handleVideoEnded();
+            });
+
             // Servo Control -> UI
-            ServoControl.onCalculatedPositionsUpdate(function (positions) {
-                UI.updateCalculatedValues(positions);
+            ServoControl.onCalculatedPositionsUpdate(function (profile, positions) {
+                UI.updateCalculatedValues(profile, positions);
+            });
+
+            ServoControl.onSentPositionsUpdate(function (targetId, positions, targets) {
+                UI.updateSentValues(targetId, positions, targets);
+            });
+
+            ServoControl.onRobotStatusUpdate(function (targetId, servos) {
+                UI.updateRobotStatus(targetId, servos);
+            });
+
+            ServoControl.onConnectionStatusChange(function (targetId, connected) {
+                UI.updateConnectionStatus(targetId, connected);
             });
 
-            ServoControl.onSentPositionsUpdate(function (positions) {
-                UI.updateSentValues(positions);
+            ServoControl.onEmergencyStopChange(function (stopped) {
+                UI.updateEmergencyStop(stopped);
             });
 
-            ServoControl.onRobotStatusUpdate(function (servos) {
-                UI.updateRobotStatus(servos);
+            ServoControl.onProtectionChange(function (targetId, servoId, level, status) {
+                UI.updateProtection(targetId, servoId, level, status);
             });
 
-            ServoControl.onConnectionStatusChange(function (connected) {
-                UI.updateConnectionStatus(connected);
+            ServoControl.onStallChange(function (targetId, servoId, stalled, details) {
+                UI.updateStall(targetId, servoId, stalled, details);
+            });
+
+            ServoControl.onRobotError(function (targetId, message) {
+                UI.showRobotError(targetId, message);
+            });
+
+            ServoControl.onWatchdogChange(function (profile, triggered, settings) {
+                UI.updateWatchdog(profile, triggered, settings);
             });
         } catch (error) {
             UI.showStatus(`Error setting up callbacks: ${error.message}`, 'error');
@@ -44,6 +95,22 @@ document.addEventListener('DOMContentLoaded', async function () {
         }
     }
 
+    // Emergency stop shortcut, registered globally by the main process
+    async function setupEmergencyStopShortcut() {
+        try {
+            const { ipcRenderer } = window.require('electron');
+            ipcRenderer.on('emergency-stop', function () {
+                UI.emergencyStop();
+            });
+
+            const shortcut = await ipcRenderer.invoke('emergency-stop:shortcut');
+            UI.setEmergencyStopShortcut(shortcut.accelerator, shortcut.registered);
+        } catch (error) {
+            UI.showStatus(`Error setting up the emergency stop shortcut: ${error.message}`, 'error');
+            console.error('Error setting up the emergency stop shortcut:', error);
+        }
+    }
+
     // Initialize UI
     try {
         UI.init();
@@ -54,24 +121,33 @@ document.addEventListener('DOMContentLoaded', async function () {
         const canvasElement = document.getElementById('output-canvas');
         const noHandMessageElement = document.getElementById('no-hand-message');
 
-        // Initialize Hand Tracking
+        // Initialize Hand Tracking, video files and recorded sessions can still be used without a camera
         UI.showStatus('Initializing hand tracking...', 'info');
-        await HandTracking.init(webcamElement, canvasElement, noHandMessageElement);
-        UI.showStatus('Hand tracking initialized', 'success');
+        try {
+            await HandTracking.init(webcamElement, canvasElement, noHandMessageElement);
+            UI.showStatus('Hand tracking initialized', 'success');
+        } catch (error) {
+            UI.showStatus(`${error.message}. Video files and recorded sessions can still be used.`, 'error');
+            console.error('Hand tracking initialization error:', error);
+        }
 
         // Set up callbacks
         setupCallbacks();
+        await setupEmergencyStopShortcut();
 
         // Initialize Servo Control with default values
-        const robotIp = document.getElementById('robot-ip').value;
         const minChange = parseInt(document.getElementById('min-change').value, 10);
         const sendInterval = parseFloat(document.getElementById('send-interval').value);
 
-        ServoControl.init(robotIp, minChange, sendInterval);
+        ServoControl.init(minChange, sendInterval);
+        UI.updateTargets();
         UI.showStatus('Servo control initialized', 'success');
 
+        // Load the settings of the operator selected last
+        await UI.loadOperatorProfiles();
+
         // Application is ready
-        UI.showStatus('Application ready. Enter robot hand IP and click "Start Tracking" to begin.', 'success');
+        UI.showStatus('Application ready. Enter the robot hand address and click "Start Tracking" to begin.', 'success');
     } catch (error) {
         UI.showStatus(`Initialization error: ${error.message}`, 'error');
         console.error('Application initialization error:', error);
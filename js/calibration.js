@@ -0,0 +1,418 @@
+/**
+ * Calibration Module
+ *
+ * Fits the formulas to an operator's hand. The calibration wizard guides the
+ * operator through a series of poses (open hand, fist, wrist rotation) and
+ * records the measurement of every formula, the first argument of its map()
+ * call, while each pose is held. The range of the measurement over the poses
+ * is the calibration of the servo.
+ *
+ * Calibrations are saved per operator and stored as
+ *
+ *   { primary: { <servo ID>: { min, max } }, secondary: { ... } }
+ *
+ * keyed by formula profile. Formulas use the calibration of the selected
+ * operator through the calMin and calMax variables.
+ */
+import CONFIG from './config.js';
+import FormulaParser from './formula-parser.js';
+
+const Calibration = (() => {
+    // Private variables
+    let calibrations = {}; // Saved calibrations keyed by operator name
+    let activeName = null; // Operator whose calibration the formulas use
+    let wizard = null; // Running calibration wizard
+    let onStateChangeCallback = null;
+
+    // Check whether there is a saved calibration with a name
+    function hasCalibration(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(calibrations, name);
+    }
+
+    // Make sure a measurement range has finite bounds with min below max, null otherwise
+    function normalizeRange(range) {
+        const min = parseFloat(range && range.min);
+        const max = parseFloat(range && range.max);
+
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+            return null;
+        }
+
+        return { min, max };
+    }
+
+    // Keep the valid measurement ranges of a calibration, per formula profile and servo
+    function normalizeCalibration(data) {
+        const calibration = {};
+
+        for (const profile in data) {
+            calibration[profile] = {};
+
+            for (const servoId in data[profile]) {
+                const range = normalizeRange(data[profile][servoId]);
+                if (range) {
+                    calibration[profile][servoId] = range;
+                }
+            }
+        }
+
+        return calibration;
+    }
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Round a recorded value to the configured number of significant digits
+    function roundValue(value) {
+        return Number(value.toPrecision(CONFIG.CALIBRATION.PRECISION));
+    }
+
+    // Clear the timer of the current wizard phase
+    function clearWizardTimer() {
+        if (wizard && wizard.timer) {
+            clearTimeout(wizard.timer);
+            wizard.timer = null;
+        }
+    }
+
+    // Store the median measurement of the recorded pose and move on to the next pose
+    function finishPose() {
+        const pose = CONFIG.CALIBRATION.POSES[wizard.poseIndex];
+
+        for (const profile in wizard.samples) {
+            for (const servoId in wizard.samples[profile]) {
+                const samples = wizard.samples[profile][servoId];
+                if (samples.length > 0) {
+                    wizard.poseValues[profile][servoId][pose.id] = median(samples);
+                }
+            }
+        }
+
+        nextPose();
+    }
+
+    // Move on to the next pose, or finish when all poses were shown
+    function nextPose() {
+        clearWizardTimer();
+        wizard.poseIndex++;
+        wizard.phase = wizard.poseIndex < CONFIG.CALIBRATION.POSES.length ? 'ready' : 'done';
+        wizard.samples = createSamples();
+        notifyStateChange();
+    }
+
+    // Create empty sample lists for the measurements of the wizard
+    function createSamples() {
+        const samples = {};
+
+        for (const profile in wizard.measurements) {
+            samples[profile] = {};
+            for (const servoId in wizard.measurements[profile]) {
+                samples[profile][servoId] = [];
+            }
+        }
+
+        return samples;
+    }
+
+    // Count the samples of the current pose, over all measurements
+    function countSamples() {
+        let count = 0;
+
+        for (const profile in wizard.samples) {
+            for (const servoId in wizard.samples[profile]) {
+                count = Math.max(count, wizard.samples[profile][servoId].length);
+            }
+        }
+
+        return count;
+    }
+
+    // Get the recorded measurement range per formula profile and servo. Servos need
+    // values of two poses that differ to get a range.
+    function getResult() {
+        const result = {};
+
+        for (const profile in wizard.poseValues) {
+            result[profile] = {};
+
+            for (const servoId in wizard.poseValues[profile]) {
+                const values = Object.values(wizard.poseValues[profile][servoId]);
+                const range = normalizeRange({
+                    min: roundValue(Math.min(...values)),
+                    max: roundValue(Math.max(...values))
+                });
+
+                if (values.length >= 2 && range) {
+                    result[profile][servoId] = range;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Get the state of the wizard
+    function getState() {
+        if (!wizard) {
+            return { active: false };
+        }
+
+        const poses = CONFIG.CALIBRATION.POSES;
+
+        return {
+            active: true,
+            phase: wizard.phase,
+            poseIndex: wizard.poseIndex,
+            poseCount: poses.length,
+            pose: wizard.poseIndex < poses.length ? poses[wizard.poseIndex] : null,
+            samples: countSamples()
+        };
+    }
+
+    // Notify about a change of the wizard state
+    function notifyStateChange() {
+        if (onStateChangeCallback) {
+            onStateChangeCallback(getState());
+        }
+    }
+
+    // Public API
+    return {
+        /**
+         * Get the poses of the calibration wizard
+         * @returns {Array} Array of { id, instruction } objects
+         */
+        getPoses: function () {
+            return CONFIG.CALIBRATION.POSES.slice();
+        },
+
+        /**
+         * Start the calibration wizard for the formulas that have a map() call
+         * @param {Object} formulas - Per formula profile, the formulas keyed by servo ID
+         * @throws {Error} If none of the formulas has a map() call
+         */
+        start: function (formulas) {
+            const measurements = {};
+            let count = 0;
+
+            for (const profile in formulas) {
+                measurements[profile] = {};
+
+                for (const servoId in formulas[profile]) {
+                    const measurement = FormulaParser.getMeasurement(formulas[profile][servoId]);
+                    if (measurement) {
+                        measurements[profile][servoId] = measurement;
+                        count++;
+                    }
+                }
+            }
+
+            if (count === 0) {
+                throw new Error('None of the formulas has a map() call to calibrate');
+            }
+
+            this.cancel();
+
+            wizard = { measurements, poseIndex: 0, phase: 'ready', poseValues: {}, timer: null };
+            wizard.samples = createSamples();
+
+            for (const profile in measurements) {
+                wizard.poseValues[profile] = {};
+                for (const servoId in measurements[profile]) {
+                    wizard.poseValues[profile][servoId] = {};
+                }
+            }
+
+            notifyStateChange();
+        },
+
+        /**
+         * Record the current pose: after the settle time, measurements are recorded for the pose duration
+         */
+        recordPose: function () {
+            if (!wizard || wizard.phase !== 'ready') {
+                return;
+            }
+
+            wizard.phase = 'settling';
+            wizard.timer = setTimeout(() => {
+                wizard.phase = 'recording';
+                wizard.timer = setTimeout(finishPose, CONFIG.CALIBRATION.POSE_DURATION);
+                notifyStateChange();
+            }, CONFIG.CALIBRATION.SETTLE_TIME);
+
+            notifyStateChange();
+        },
+
+        /**
+         * Skip the current pose without recording it
+         */
+        skipPose: function () {
+            if (!wizard || wizard.phase === 'done') {
+                return;
+            }
+
+            nextPose();
+        },
+
+        /**
+         * Stop the calibration wizard, discarding what was recorded
+         */
+        cancel: function () {
+            if (!wizard) {
+                return;
+            }
+
+            clearWizardTimer();
+            wizard = null;
+            notifyStateChange();
+        },
+
+        /**
+         * Get the measurement ranges recorded by the wizard so far
+         * @returns {Object|null} Per formula profile, { min, max } keyed by servo ID for the
+         *                        servos with a range, null if the wizard isn't running
+         */
+        getResult: function () {
+            return wizard ? getResult() : null;
+        },
+
+        /**
+         * Record the measurements of a frame while a pose is recorded
+         * @param {Array} landmarks - Landmarks of the hand driving the primary formulas
+         * @param {Object} hands - The detected hands ({ left, right } landmarks)
+         * @param {Array|null} secondaryLandmarks - Landmarks of the hand driving the secondary formulas
+         */
+        processLandmarks: function (landmarks, hands, secondaryLandmarks) {
+            if (!wizard || wizard.phase !== 'recording') {
+                return;
+            }
+
+            const profileLandmarks = { primary: landmarks, secondary: secondaryLandmarks };
+
+            for (const profile in wizard.measurements) {
+                if (!profileLandmarks[profile]) {
+                    continue;
+                }
+
+                for (const servoId in wizard.measurements[profile]) {
+                    try {
+                        const value = wizard.measurements[profile][servoId](profileLandmarks[profile], hands);
+                        wizard.samples[profile][servoId].push(value);
+                    } catch (error) {
+                        // Measurements that can't be evaluated in this frame are left out
+                    }
+                }
+            }
+
+            notifyStateChange();
+        },
+
+        /**
+         * Get the state of the calibration wizard
+         * @returns {Object} { active: false } if not running, otherwise { active, phase, poseIndex,
+         *                   poseCount, pose, samples } with phase 'ready', 'settling', 'recording'
+         *                   or 'done' and samples the number of frames recorded of the current pose
+         */
+        getState: function () {
+            return getState();
+        },
+
+        /**
+         * Save a calibration for an operator, replacing a previous one with the same name
+         * @param {string} name - The operator name
+         * @param {Object} calibration - Per formula profile, { min, max } keyed by servo ID
+         * @throws {Error} If the name is empty
+         */
+        saveCalibration: function (name, calibration) {
+            const trimmed = String(name || '').trim();
+            if (!trimmed) {
+                throw new Error('Enter a name for the calibration');
+            }
+
+            calibrations[trimmed] = normalizeCalibration(calibration);
+        },
+
+        /**
+         * Delete the calibration of an operator, the formulas are left uncalibrated if it was selected
+         * @param {string} name - The operator name
+         */
+        deleteCalibration: function (name) {
+            delete calibrations[name];
+
+            if (activeName === name) {
+                activeName = null;
+            }
+        },
+
+        /**
+         * Get the calibration of an operator
+         * @param {string|null} name - The operator name
+         * @returns {Object|null} The calibration, null if there is none with that name
+         */
+        getCalibration: function (name) {
+            return hasCalibration(name) ? normalizeCalibration(calibrations[name]) : null;
+        },
+
+        /**
+         * Get the saved calibrations
+         * @returns {Object} Calibrations keyed by operator name
+         */
+        getCalibrations: function () {
+            const copy = {};
+            for (const name in calibrations) {
+                copy[name] = normalizeCalibration(calibrations[name]);
+            }
+            return copy;
+        },
+
+        /**
+         * Replace the saved calibrations
+         * @param {Object} newCalibrations - Calibrations keyed by operator name
+         */
+        setCalibrations: function (newCalibrations) {
+            calibrations = {};
+
+            for (const name in newCalibrations) {
+                if (name.trim()) {
+                    calibrations[name.trim()] = normalizeCalibration(newCalibrations[name]);
+                }
+            }
+
+            if (!hasCalibration(activeName)) {
+                activeName = null;
+            }
+        },
+
+        /**
+         * Get the operator whose calibration the formulas use
+         * @returns {string|null} The operator name, null for none
+         */
+        getActive: function () {
+            return activeName;
+        },
+
+        /**
+         * Select the operator whose calibration the formulas use
+         * @param {string|null} name - The operator name, null for none
+         * @returns {Object|null} The selected calibration
+         */
+        setActive: function (name) {
+            activeName = hasCalibration(name) ? name : null;
+            return this.getCalibration(activeName);
+        },
+
+        /**
+         * Set callback for changes of the calibration wizard
+         * @param {Function} callback - Function to call with the wizard state (see getState)
+         */
+        onStateChange: function (callback) {
+            onStateChangeCallback = callback;
+        }
+    };
+})();
+
+export default Calibration;
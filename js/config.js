@@ -6,21 +6,25 @@ const CONFIG = {
     HAND_TRACKING: {
         DEFAULT_HAND: "right", // Default hand to track: "left", "right", or "both"
         MAX_HANDS: 2, // Maximum number of hands to track
+        PRIMARY_HAND: "right", // Hand driving the primary formulas when tracking both hands
     },
 
-    // Servo definitions
+    // Default servo definitions, editable in the Servos tab
+    // min/max: valid position range, resolution: position step size,
+    // defaultPosition: neutral position of the servo, sent as the safe pose by the emergency stop
+    // and eased to by the watchdog
     SERVOS: [
-        { id: 1, name: "Pink Adductor" },
-        { id: 2, name: "Pink Flexor" },
-        { id: 3, name: "Ring Adductor" },
-        { id: 4, name: "Ring Flexor" },
-        { id: 5, name: "Middle Flexor" },
-        { id: 6, name: "Index Adductor" },
-        { id: 7, name: "Index Flexor" },
-        { id: 8, name: "Thumb Rotator" },
-        { id: 9, name: "Thumb Flexor" },
-        { id: 10, name: "Wrist Flexor" },
-        { id: 11, name: "Wrist Rotator" }
+        { id: 1, name: "Pink Adductor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 2, name: "Pink Flexor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 3, name: "Ring Adductor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 4, name: "Ring Flexor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 5, name: "Middle Flexor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 6, name: "Index Adductor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 7, name: "Index Flexor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 8, name: "Thumb Rotator", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 9, name: "Thumb Flexor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 10, name: "Wrist Flexor", min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 11, name: "Wrist Rotator", min: 0, max: 4095, resolution: 1, defaultPosition: 2048 }
     ],
 
     // Hand landmark connections for drawing
@@ -43,10 +47,113 @@ const CONFIG = {
     DEFAULT_MIN_CHANGE: 3,
     DEFAULT_SEND_INTERVAL: 0.4, // seconds
 
+    // Default parameters for the servo smoothing filters
+    FILTER_DEFAULTS: {
+        ema: { alpha: 0.5 },
+        oneEuro: { minCutoff: 1.0, beta: 0.01, dCutoff: 1.0 }, // cutoffs in Hz
+        median: { windowSize: 5 } // samples
+    },
+
+    // Landmark smoothing in hand tracking (One Euro filter on every coordinate)
+    LANDMARK_FILTER: {
+        DEFAULT_ENABLED: false,
+        DEFAULT_STRENGTH: 0.5, // 0 (light) to 1 (strong)
+        MIN_CUTOFF: { LIGHT: 5.0, STRONG: 0.3 }, // Hz, interpolated by strength
+        BETA_2D: 5, // for normalized image coordinates
+        BETA_3D: 20, // for world coordinates in meters
+        D_CUTOFF: 1.0 // Hz
+    },
+
     // API endpoints
     API_ENDPOINT: "/api/servos",
+    HEARTBEAT_ENDPOINT: "/api/heartbeat",
+
+    // Robot connection: "http" sends a request per update, "websocket" keeps
+    // a connection open, "serial" talks to a USB/UART connected hand
+    DEFAULT_TRANSPORT: "http",
+    WEBSOCKET_ENDPOINT: "/ws",
+    SERIAL: {
+        DEFAULT_BAUD_RATE: 115200,
+        BAUD_RATES: [9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600, 1000000]
+    },
+
+    // OSC output over UDP, for feeding other tools alongside the robot
+    OSC: {
+        DEFAULT_HOST: "127.0.0.1",
+        DEFAULT_PORT: 9000,
+        ADDRESS_PREFIX: "/hand"
+    },
+
+    // Local video files used as the source instead of the camera
+    VIDEO_FILE: {
+        FRAME_RATE: 30 // Frames per second processed when processing as fast as possible
+    },
+
+    // Recording and replay of tracking sessions
+    SESSION: {
+        PRECISION: 5, // Decimals kept of recorded landmark coordinates
+        PLAYBACK_SPEEDS: [0.25, 0.5, 1, 2, 4]
+    },
+
+    // Watchdog acting when no landmarks arrive, and heartbeat letting the robot act when the link is lost.
+    // Actions: "hold" keeps the last positions, "ease" moves slowly to the servos' default positions,
+    // "release" turns the servos' torque off
+    WATCHDOG: {
+        DEFAULT_ACTION: "hold",
+        DEFAULT_LANDMARK_TIMEOUT: 1000, // ms without landmarks before the action is taken
+        DEFAULT_EASE_SPEED: 100, // Position units per second
+        DEFAULT_HEARTBEAT_ENABLED: false,
+        DEFAULT_LINK_TIMEOUT: 1500, // ms without heartbeats before the robot takes the action
+        CHECK_INTERVAL: 100 // ms
+    },
+
+    // Protection against overheating and overloading, based on the robot status. Exceeding a
+    // threshold of a servo logs a warning, backs its position off toward neutral or stops
+    // (releases) it until reset. Thresholds of 0 are off.
+    PROTECTION: {
+        TEMPERATURE: { WARNING: 55, BACKOFF: 62, STOP: 70 }, // °C
+        LOAD: { WARNING: 70, BACKOFF: 85, STOP: 95 }, // Percent
+        TEMPERATURE_HYSTERESIS: 3, // °C below a threshold before its level clears
+        LOAD_HYSTERESIS: 10, // Percent below a threshold before its level clears
+        BACKOFF_FACTOR: 0.5 // Share of the distance from neutral kept while backing off
+    },
+
+    // Stall detection: a servo is stalled when its reported position stays too far from the
+    // last commanded position for too long
+    STALL_DETECTION: {
+        DEFAULT_ENABLED: true,
+        DEFAULT_THRESHOLD: 50, // Position units
+        DEFAULT_DURATION: 3, // Seconds
+        DEFAULT_STOP_COMMANDING: false // Stop sending positions to stalled servos until reset
+    },
+
+    // Calibration wizard: records the measurement of each formula (the first argument of its
+    // map() call) while the operator holds each pose, the range over the poses is the calibration
+    CALIBRATION: {
+        POSES: [
+            { id: "open", instruction: "Open your hand fully" },
+            { id: "fist", instruction: "Make a fist" },
+            { id: "wrist-left", instruction: "Rotate your wrist left" },
+            { id: "wrist-right", instruction: "Rotate your wrist right" }
+        ],
+        SETTLE_TIME: 1000, // ms to get into the pose before recording starts
+        POSE_DURATION: 2000, // ms a pose is recorded
+        PRECISION: 4 // Significant digits of the recorded range
+    },
+
+    // Time after which HTTP requests to the robot are given up
+    REQUEST_TIMEOUT: 2000, // ms
+
+    // Robot simulator used by simulated robot targets
+    SIMULATOR: {
+        DEFAULT_SPEED: 1500 // Position units per second
+    },
+
+    // Delay between attempts to restore a dropped connection, doubled after every failure
+    RECONNECT_DELAY_MIN: 500, // ms
+    RECONNECT_DELAY_MAX: 10000, // ms
 
-    // Servo value range
+    // Servo value range, used for servos that don't define their own
     MIN_SERVO_VALUE: 0,
     MAX_SERVO_VALUE: 1023,
 
@@ -57,7 +164,9 @@ const CONFIG = {
     COLORS: {
         LANDMARKS: "rgba(35, 168, 46, 0.8)",
         LANDMARK_IDS: "white",
-        CONNECTIONS: "rgba(35, 168, 46, 0.5)"
+        CONNECTIONS: "rgba(35, 168, 46, 0.5)",
+        SECONDARY_LANDMARKS: "rgba(41, 128, 185, 0.8)",
+        SECONDARY_CONNECTIONS: "rgba(41, 128, 185, 0.5)"
     }
 };
 
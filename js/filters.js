@@ -0,0 +1,189 @@
+/**
+ * Filters Module
+ *
+ * Provides temporal smoothing filters that reduce jitter in noisy
+ * signals such as calculated servo positions and hand landmarks.
+ */
+import CONFIG from './config.js';
+
+const Filters = (() => {
+    // Filter types with the parameters the user can tune
+    const FILTER_TYPES = {
+        none: {
+            label: 'None',
+            parameters: []
+        },
+        ema: {
+            label: 'Moving Average (EMA)',
+            parameters: [
+                { name: 'alpha', label: 'Alpha', min: 0.01, max: 1, step: 0.01 }
+            ]
+        },
+        oneEuro: {
+            label: 'One Euro',
+            parameters: [
+                { name: 'minCutoff', label: 'Min Cutoff (Hz)', min: 0.01, max: 10, step: 0.01 },
+                { name: 'beta', label: 'Beta', min: 0, max: 1, step: 0.001 },
+                { name: 'dCutoff', label: 'Derivative Cutoff (Hz)', min: 0.01, max: 10, step: 0.01 }
+            ]
+        },
+        median: {
+            label: 'Moving Median',
+            parameters: [
+                { name: 'windowSize', label: 'Window (samples)', min: 1, max: 31, step: 1 }
+            ]
+        }
+    };
+
+    // Filter that passes values through unchanged
+    function createPassthroughFilter() {
+        return {
+            filter: value => value,
+            reset: () => { }
+        };
+    }
+
+    // Exponential moving average: alpha is the weight of the newest value
+    function createEmaFilter({ alpha }) {
+        let previousValue = null;
+
+        return {
+            filter: function (value) {
+                previousValue = previousValue === null ? value : alpha * value + (1 - alpha) * previousValue;
+                return previousValue;
+            },
+            reset: function () {
+                previousValue = null;
+            }
+        };
+    }
+
+    // One Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff
+    // rises with the speed of the signal, so slow movements are smoothed
+    // strongly while fast movements are followed with little lag
+    function createOneEuroFilter({ minCutoff, beta, dCutoff }) {
+        let previousValue = null;
+        let previousDerivative = 0;
+        let previousTimestamp = null;
+
+        // Smoothing factor of a first-order low-pass filter
+        function smoothingFactor(cutoff, dt) {
+            const r = 2 * Math.PI * cutoff * dt;
+            return r / (r + 1);
+        }
+
+        return {
+            filter: function (value, timestamp) {
+                if (previousValue === null) {
+                    previousValue = value;
+                    previousTimestamp = timestamp;
+                    return value;
+                }
+
+                // Time since the previous sample in seconds
+                const dt = (timestamp - previousTimestamp) / 1000;
+                if (dt <= 0) {
+                    return previousValue;
+                }
+
+                // Filter the derivative, then use it to adapt the cutoff
+                const derivative = (value - previousValue) / dt;
+                const derivativeAlpha = smoothingFactor(dCutoff, dt);
+                previousDerivative = derivativeAlpha * derivative + (1 - derivativeAlpha) * previousDerivative;
+
+                const cutoff = minCutoff + beta * Math.abs(previousDerivative);
+                const alpha = smoothingFactor(cutoff, dt);
+
+                previousValue = alpha * value + (1 - alpha) * previousValue;
+                previousTimestamp = timestamp;
+                return previousValue;
+            },
+            reset: function () {
+                previousValue = null;
+                previousDerivative = 0;
+                previousTimestamp = null;
+            }
+        };
+    }
+
+    // Moving median over the last windowSize values, removes isolated spikes
+    function createMedianFilter({ windowSize }) {
+        const size = Math.max(1, Math.round(windowSize));
+        let window = [];
+
+        return {
+            filter: function (value) {
+                window.push(value);
+                if (window.length > size) {
+                    window.shift();
+                }
+
+                const sorted = [...window].sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+
+                return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            },
+            reset: function () {
+                window = [];
+            }
+        };
+    }
+
+    // Public API
+    return {
+        /**
+         * Create a filter instance
+         * @param {Object} settings - The filter settings ({ type, ...parameters })
+         * @returns {Object} A filter with filter(value, timestamp) and reset() methods
+         */
+        create: function (settings) {
+            const normalized = this.normalizeSettings(settings);
+
+            switch (normalized.type) {
+                case 'ema': return createEmaFilter(normalized);
+                case 'oneEuro': return createOneEuroFilter(normalized);
+                case 'median': return createMedianFilter(normalized);
+                default: return createPassthroughFilter();
+            }
+        },
+
+        /**
+         * Create a One Euro filter with parameters that aren't limited to the ranges offered
+         * for servo filters, e.g. for landmark coordinates that change much less per second
+         * @param {Object} parameters - { minCutoff, beta, dCutoff }
+         * @returns {Object} A filter with filter(value, timestamp) and reset() methods
+         */
+        createOneEuro: function ({ minCutoff, beta, dCutoff }) {
+            return createOneEuroFilter({ minCutoff, beta, dCutoff });
+        },
+
+        /**
+         * Fill in missing or invalid parameters with their defaults
+         * @param {Object} settings - The filter settings ({ type, ...parameters })
+         * @returns {Object} Complete filter settings
+         */
+        normalizeSettings: function (settings) {
+            const type = settings && FILTER_TYPES[settings.type] ? settings.type : 'none';
+            const normalized = { type };
+
+            FILTER_TYPES[type].parameters.forEach(parameter => {
+                const value = parseFloat(settings[parameter.name]);
+                normalized[parameter.name] = isNaN(value)
+                    ? CONFIG.FILTER_DEFAULTS[type][parameter.name]
+                    : Math.max(parameter.min, Math.min(parameter.max, value));
+            });
+
+            return normalized;
+        },
+
+        /**
+         * Get the available filter types
+         * @returns {Object} Filter types keyed by type, with label and parameter descriptions
+         */
+        getTypes: function () {
+            return FILTER_TYPES;
+        }
+    };
+})();
+
+export default Filters;
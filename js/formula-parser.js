@@ -5,18 +5,34 @@
  * for controlling servo positions based on hand landmarks.
  */
 import CONFIG from './config.js';
+import ServoMap from './servo-map.js';
 
 const FormulaParser = (() => {
-    // Tokenize the formula string into tokens
+    // Tokenize the formula string into tokens. Tokens keep their start and end
+    // offset in the original formula, so parts of it can be rewritten.
     function tokenize(formula) {
-        // Replace all whitespace
+        // Replace all whitespace, remembering where each remaining character was
+        const offsets = [];
+        for (let j = 0; j < formula.length; j++) {
+            if (!/\s/.test(formula[j])) {
+                offsets.push(j);
+            }
+        }
         formula = formula.replace(/\s+/g, '');
 
         const tokens = [];
         let i = 0;
 
+        // Add a token that started at index start of the stripped formula and ends before i
+        function push(token, start) {
+            token.start = offsets[start];
+            token.end = offsets[i - 1] + 1;
+            tokens.push(token);
+        }
+
         while (i < formula.length) {
             const char = formula[i];
+            const start = i;
 
             // Handle numbers (including decimals)
             if (/[0-9]/.test(char)) {
@@ -25,43 +41,62 @@ const FormulaParser = (() => {
                     num += formula[i];
                     i++;
                 }
-                tokens.push({ type: 'number', value: parseFloat(num) });
+
+                // A number has at most one decimal point (e.g. not 1..2)
+                if (num.indexOf('.') !== num.lastIndexOf('.')) {
+                    throw new Error(`Invalid number: ${num}`);
+                }
+
+                push({ type: 'number', value: parseFloat(num) }, start);
+                continue;
+            }
+
+            // Handle two-character operators (comparison and logical)
+            const pair = formula.substr(i, 2);
+
+            // There is no decrement operator, but "5 - -3" is fine
+            if (pair === '--' && offsets[i + 1] === offsets[i] + 1) {
+                throw new Error('Unexpected operator: --');
+            }
+
+            if (['<=', '>=', '==', '!=', '&&', '||'].includes(pair)) {
+                i += 2;
+                push({ type: 'operator', value: pair }, start);
                 continue;
             }
 
             // Handle operators
-            if (['+', '-', '*', '/', '(', ')'].includes(char)) {
-                tokens.push({ type: 'operator', value: char });
+            if (['+', '-', '*', '/', '(', ')', '<', '>', '!', '?', ':'].includes(char)) {
                 i++;
+                push({ type: 'operator', value: char }, start);
                 continue;
             }
 
             // Handle function calls and variables
             if (/[a-zA-Z]/.test(char)) {
                 let name = '';
-                while (i < formula.length && /[a-zA-Z0-9_\[\]]/.test(formula[i])) {
+                while (i < formula.length && /[a-zA-Z0-9_\[\].]/.test(formula[i])) {
                     name += formula[i];
                     i++;
                 }
 
                 // Check if it's a function call (followed by parenthesis)
                 if (i < formula.length && formula[i] === '(') {
-                    tokens.push({ type: 'function', value: name });
+                    push({ type: 'function', value: name }, start);
                 } else {
-                    tokens.push({ type: 'variable', value: name });
+                    push({ type: 'variable', value: name }, start);
                 }
                 continue;
             }
 
             // Handle commas for function arguments
             if (char === ',') {
-                tokens.push({ type: 'comma', value: ',' });
                 i++;
+                push({ type: 'comma', value: ',' }, start);
                 continue;
             }
 
-            // Skip unrecognized characters
-            i++;
+            throw new Error(`Unexpected character: ${char}`);
         }
 
         return tokens;
@@ -79,8 +114,61 @@ const FormulaParser = (() => {
             return tokens[position++];
         }
 
+        function isOperator(token, ...values) {
+            return token && token.type === 'operator' && values.includes(token.value);
+        }
+
         function parseExpression() {
-            return parseAdditive();
+            return parseConditional();
+        }
+
+        // condition ? a : b (right-associative, lowest precedence)
+        function parseConditional() {
+            const test = parseLogicalOr();
+
+            if (!isOperator(peek(), '?')) {
+                return test;
+            }
+            consume();
+
+            const consequent = parseConditional();
+
+            if (!isOperator(peek(), ':')) {
+                throw new Error("Expected ':' in conditional expression");
+            }
+            consume();
+
+            const alternate = parseConditional();
+            return { type: 'conditional', test, consequent, alternate };
+        }
+
+        // Parse a left-associative chain of binary operators
+        function parseBinary(parseOperand, operators, type) {
+            let left = parseOperand();
+
+            while (isOperator(peek(), ...operators)) {
+                const op = consume();
+                const right = parseOperand();
+                left = { type, operator: op.value, left, right };
+            }
+
+            return left;
+        }
+
+        function parseLogicalOr() {
+            return parseBinary(parseLogicalAnd, ['||'], 'logical');
+        }
+
+        function parseLogicalAnd() {
+            return parseBinary(parseEquality, ['&&'], 'logical');
+        }
+
+        function parseEquality() {
+            return parseBinary(parseRelational, ['==', '!='], 'binary');
+        }
+
+        function parseRelational() {
+            return parseBinary(parseAdditive, ['<', '>', '<=', '>='], 'binary');
         }
 
         function parseAdditive() {
@@ -156,14 +244,21 @@ const FormulaParser = (() => {
                 consume();
 
                 const args = [];
+                const spans = []; // Offsets of the arguments in the formula
+
+                function parseArgument() {
+                    const start = peek() ? peek().start : undefined;
+                    args.push(parseExpression());
+                    spans.push({ start, end: tokens[position - 1].end });
+                }
 
                 // Parse arguments
                 if (peek() && !(peek().type === 'operator' && peek().value === ')')) {
-                    args.push(parseExpression());
+                    parseArgument();
 
                     while (peek() && peek().type === 'comma') {
                         consume();
-                        args.push(parseExpression());
+                        parseArgument();
                     }
                 }
 
@@ -173,7 +268,7 @@ const FormulaParser = (() => {
                 }
                 consume();
 
-                return { type: 'function', name: funcName, arguments: args };
+                return { type: 'function', name: funcName, arguments: args, spans };
             }
 
             // Handle variables
@@ -182,11 +277,11 @@ const FormulaParser = (() => {
                 return { type: 'variable', name: token.value };
             }
 
-            // Handle unary minus
-            if (token.type === 'operator' && token.value === '-') {
+            // Handle unary minus and logical not
+            if (token.type === 'operator' && (token.value === '-' || token.value === '!')) {
                 consume();
                 const expr = parsePrimary();
-                return { type: 'unary', operator: '-', expression: expr };
+                return { type: 'unary', operator: token.value, expression: expr };
             }
 
             throw new Error(`Unexpected token: ${token.value}`);
@@ -200,6 +295,26 @@ const FormulaParser = (() => {
 
         return ast;
     }
+    // Finger names, in the order their chains leave the wrist in CONFIG.HAND_CONNECTIONS
+    const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+    // Landmark chains from the wrist to each finger tip (e.g. [0, 5, 6, 7, 8] for the index finger).
+    // Each chain starts at a connection leaving the wrist and follows the first
+    // connection leaving its last landmark, which skips the palm cross-links.
+    const fingerChains = CONFIG.HAND_CONNECTIONS
+        .filter(([start]) => start === 0)
+        .map(([wrist, base]) => {
+            const chain = [wrist, base];
+            let next;
+
+            while ((next = CONFIG.HAND_CONNECTIONS.find(([start, end]) =>
+                start === chain[chain.length - 1] && !chain.includes(end)))) {
+                chain.push(next[1]);
+            }
+
+            return chain;
+        });
+
     const toVector = (a, b) => ({
         x: b.x - a.x,
         y: b.y - a.y,
@@ -211,112 +326,366 @@ const FormulaParser = (() => {
         return { x: v.x / length, y: v.y / length, z: v.z / length };
     };
 
-    // Evaluate the AST with the given context
-    function evaluate(ast, context) {
+    // Built-in functions, called with the evaluated arguments and the context
+    const functions = {
+        distance: function (args, context) {
+            if (args.length !== 2) {
+                throw new Error('distance function requires exactly 2 arguments');
+            }
+
+            const landmark1 = getLandmark(args[0], context);
+            const landmark2 = getLandmark(args[1], context);
+
+            if (!landmark1 || !landmark2) {
+                throw new Error(`Invalid landmark ID(s): ${args[0]}, ${args[1]}`);
+            }
+
+            return calculateDistance(landmark1, landmark2);
+        },
+
+        rotationX: function (args, context) {
+            return palmRotation('rotationX', args, context, { x: 1, y: 0, z: 0 });
+        },
+
+        rotationY: function (args, context) {
+            return palmRotation('rotationY', args, context, { x: 0, y: 1, z: 0 });
+        },
+
+        rotationZ: function (args, context) {
+            return palmRotation('rotationZ', args, context, { x: 0, y: 0, z: 1 });
+        },
+
+        rotationAxis: function (args, context) {
+            if (args.length !== 6) {
+                throw new Error('rotationAxis function requires exactly 6 arguments: landmark_1, landmark_2, landmark_3, axis_x, axis_y, axis_z');
+            }
+
+            const axis = { x: args[3], y: args[4], z: args[5] };
+            if (axis.x === 0 && axis.y === 0 && axis.z === 0) {
+                throw new Error('rotationAxis axis must not be zero');
+            }
+
+            return palmRotation('rotationAxis', args.slice(0, 3), context, normalize(axis));
+        },
+
+        roll: function (args, context) {
+            const { normal, side } = palmFrame('roll', args, context);
+            // Rotation about the forward axis, 0 when the palm normal points at the camera
+            return Math.atan2(-side.z, normal.z) * (180 / Math.PI);
+        },
+
+        pitch: function (args, context) {
+            const { forward } = palmFrame('pitch', args, context);
+            // Forward axis tilt out of the image plane, positive towards the camera
+            return Math.atan2(forward.z, Math.hypot(forward.x, forward.y)) * (180 / Math.PI);
+        },
+
+        yaw: function (args, context) {
+            const { forward } = palmFrame('yaw', args, context);
+            // Forward axis heading in the image plane, 0 pointing up, positive to the right
+            return Math.atan2(forward.x, forward.y) * (180 / Math.PI);
+        },
+
+        angle: function (args, context) {
+            if (args.length !== 3) {
+                throw new Error('angle function requires exactly 3 arguments: landmark_a, vertex_landmark_b, landmark_c');
+            }
+
+            const landmark1 = getLandmark(args[0], context);
+            const landmark2 = getLandmark(args[1], context);
+            const landmark3 = getLandmark(args[2], context);
+
+            if (!landmark1 || !landmark2 || !landmark3) {
+                throw new Error(`Invalid landmark ID(s): ${args[0]}, ${args[1]}, ${args[2]}`);
+            }
+
+            return calculateAngle(landmark1, landmark2, landmark3);
+        },
+
+        curl: function (args, context) {
+            if (args.length !== 1) {
+                throw new Error(`curl function requires exactly 1 argument: finger (${FINGER_NAMES.join(', ')})`);
+            }
+
+            const chain = fingerChains[args[0]];
+            if (!chain) {
+                throw new Error(`Invalid finger: ${args[0]}`);
+            }
+
+            const landmarks = chain.map(id => getLandmark(id, context));
+            if (landmarks.some(landmark => !landmark)) {
+                throw new Error(`Invalid landmark ID(s): ${chain.join(', ')}`);
+            }
+
+            // Sum the flexion (deviation from straight) of every joint between wrist and tip
+            let total = 0;
+            for (let i = 1; i < landmarks.length - 1; i++) {
+                total += 180 - calculateAngle(landmarks[i - 1], landmarks[i], landmarks[i + 1]);
+            }
+
+            return total;
+        },
+
+        map: function (args) {
+            if (args.length !== 5) {
+                throw new Error('map function requires exactly 5 arguments: value, domain_1_min, domain_1_max, domain_2_min, domain_2_max');
+            }
+
+            const value = args[0];
+            const domain1Min = args[1];
+            const domain1Max = args[2];
+            const domain2Min = args[3];
+            const domain2Max = args[4];
+
+            // Check if value is outside domain 1
+            if (value <= domain1Min) {
+                return domain2Min;
+            }
+            if (value >= domain1Max) {
+                return domain2Max;
+            }
+
+            // Map the value from domain 1 to domain 2
+            const normalizedValue = (value - domain1Min) / (domain1Max - domain1Min);
+            return domain2Min + normalizedValue * (domain2Max - domain2Min);
+        },
+
+        min: function (args) {
+            if (args.length === 0) {
+                throw new Error('min function requires at least 1 argument');
+            }
+
+            return Math.min(...args);
+        },
+
+        max: function (args) {
+            if (args.length === 0) {
+                throw new Error('max function requires at least 1 argument');
+            }
+
+            return Math.max(...args);
+        },
+
+        clamp: function (args) {
+            if (args.length !== 3) {
+                throw new Error('clamp function requires exactly 3 arguments: value, min, max');
+            }
+
+            const [value, min, max] = args;
+            return Math.max(min, Math.min(max, value));
+        },
+
+        // Trigonometric functions work in radians
+        abs: mathFunction('abs', ['value'], Math.abs),
+        sqrt: mathFunction('sqrt', ['value'], Math.sqrt),
+        pow: mathFunction('pow', ['base', 'exponent'], Math.pow),
+        sin: mathFunction('sin', ['angle'], Math.sin),
+        cos: mathFunction('cos', ['angle'], Math.cos),
+        tan: mathFunction('tan', ['angle'], Math.tan),
+        atan2: mathFunction('atan2', ['y', 'x'], Math.atan2),
+        acos: mathFunction('acos', ['value'], Math.acos),
+        round: mathFunction('round', ['value'], Math.round),
+        floor: mathFunction('floor', ['value'], Math.floor),
+        ceil: mathFunction('ceil', ['value'], Math.ceil)
+    };
+
+    // Named constants available in formulas, finger names evaluate to their index
+    const constants = {
+        PI: Math.PI,
+        E: Math.E
+    };
+    FINGER_NAMES.forEach((name, index) => {
+        constants[name] = index;
+    });
+
+    // Variables holding the calibrated range of a servo's measurement, see getMeasurement
+    const CALIBRATION_VARIABLES = {
+        calMin: 'min',
+        calMax: 'max'
+    };
+
+    // Wrap a Math function so it checks its argument count like the other built-ins
+    function mathFunction(name, argumentNames, func) {
+        const count = argumentNames.length;
+        const message = `${name} function requires exactly ${count} argument${count === 1 ? '' : 's'}: ${argumentNames.join(', ')}`;
+
+        return function (args) {
+            if (args.length !== count) {
+                throw new Error(message);
+            }
+
+            return func(...args);
+        };
+    }
+
+    // Compile the AST into a closure that evaluates it against a context.
+    // All name lookups happen here, so evaluating a frame only does arithmetic.
+    function compile(ast) {
         if (!ast) {
             throw new Error('Invalid formula');
         }
 
         switch (ast.type) {
-            case 'number':
-                return ast.value;
+            case 'number': {
+                const value = ast.value;
+                return () => value;
+            }
 
-            case 'binary':
-                const left = evaluate(ast.left, context);
-                const right = evaluate(ast.right, context);
+            case 'binary': {
+                const left = compile(ast.left);
+                const right = compile(ast.right);
 
                 switch (ast.operator) {
-                    case '+': return left + right;
-                    case '-': return left - right;
-                    case '*': return left * right;
+                    case '+': return context => left(context) + right(context);
+                    case '-': return context => left(context) - right(context);
+                    case '*': return context => left(context) * right(context);
                     case '/':
-                        if (right === 0) {
-                            throw new Error('Division by zero');
-                        }
-                        return left / right;
+                        return context => {
+                            const dividend = left(context);
+                            const divisor = right(context);
+                            if (divisor === 0) {
+                                throw new Error('Division by zero');
+                            }
+                            return dividend / divisor;
+                        };
+                    // Comparisons yield 1 for true and 0 for false
+                    case '<': return context => (left(context) < right(context) ? 1 : 0);
+                    case '>': return context => (left(context) > right(context) ? 1 : 0);
+                    case '<=': return context => (left(context) <= right(context) ? 1 : 0);
+                    case '>=': return context => (left(context) >= right(context) ? 1 : 0);
+                    case '==': return context => (left(context) === right(context) ? 1 : 0);
+                    case '!=': return context => (left(context) !== right(context) ? 1 : 0);
                     default:
                         throw new Error(`Unknown operator: ${ast.operator}`);
                 }
+            }
 
-            case 'unary':
-                const value = evaluate(ast.expression, context);
+            case 'unary': {
+                const expression = compile(ast.expression);
 
                 switch (ast.operator) {
-                    case '-': return -value;
+                    case '-': return context => -expression(context);
+                    case '!': return context => (expression(context) ? 0 : 1);
                     default:
                         throw new Error(`Unknown unary operator: ${ast.operator}`);
                 }
+            }
 
-            case 'function':
-                const args = ast.arguments.map(arg => evaluate(arg, context));
-
-                if (ast.name === 'distance') {
-                    if (args.length !== 2) {
-                        throw new Error('distance function requires exactly 2 arguments');
-                    }
-
-                    const landmark1 = getLandmark(args[0], context);
-                    const landmark2 = getLandmark(args[1], context);
-
-                    if (!landmark1 || !landmark2) {
-                        throw new Error(`Invalid landmark ID(s): ${args[0]}, ${args[1]}`);
-                    }
+            case 'logical': {
+                const left = compile(ast.left);
+                const right = compile(ast.right);
 
-                    return calculateDistance(landmark1, landmark2);
+                // Short-circuit, any non-zero value counts as true
+                switch (ast.operator) {
+                    case '&&': return context => (left(context) && right(context) ? 1 : 0);
+                    case '||': return context => (left(context) || right(context) ? 1 : 0);
+                    default:
+                        throw new Error(`Unknown logical operator: ${ast.operator}`);
                 }
+            }
 
-                if (ast.name === 'rotationY') {
-                    if (args.length !== 3) {
-                        throw new Error('distance function requires exactly 2 arguments');
-                    }
-
-                    const landmark1 = getLandmark(args[0], context);
-                    const landmark2 = getLandmark(args[1], context);
-                    const landmark3 = getLandmark(args[2], context);
+            case 'conditional':
+                return compileConditional(ast.test, ast.consequent, ast.alternate);
 
-                    if (!landmark1 || !landmark2 || !landmark3) {
-                        throw new Error(`Invalid landmark ID(s): ${args[0]}, ${args[1]}, ${args[2]}`);
+            case 'function': {
+                // if() only evaluates the branch that is taken
+                if (ast.name === 'if') {
+                    if (ast.arguments.length !== 3) {
+                        throw new Error('if function requires exactly 3 arguments: condition, value_if_true, value_if_false');
                     }
 
-                    // Camera looks along negative z-axis (0, 0, -1)
-                    const cameraDirection = { x: 0, y: -1, z: 0 };
-                    return rotation(landmark1, landmark2, landmark3, cameraDirection);
+                    return compileConditional(...ast.arguments);
                 }
 
-                if (ast.name === 'map') {
-                    if (args.length !== 5) {
-                        throw new Error('map function requires exactly 5 arguments: value, domain_1_min, domain_1_max, domain_2_min, domain_2_max');
-                    }
-
-                    const value = args[0];
-                    const domain1Min = args[1];
-                    const domain1Max = args[2];
-                    const domain2Min = args[3];
-                    const domain2Max = args[4];
+                // Hand prefix (e.g. L.distance(4, 8)): evaluate on that hand's landmarks
+                const { hand, name } = splitHandPrefix(ast.name);
 
-                    // Check if value is outside domain 1
-                    if (value <= domain1Min) {
-                        return domain2Min;
-                    }
-                    if (value >= domain1Max) {
-                        return domain2Max;
-                    }
+                const func = Object.prototype.hasOwnProperty.call(functions, name) ? functions[name] : null;
+                if (!func) {
+                    throw new Error(`Unknown function: ${ast.name}`);
+                }
 
-                    // Map the value from domain 1 to domain 2
-                    const normalizedValue = (value - domain1Min) / (domain1Max - domain1Min);
-                    return domain2Min + normalizedValue * (domain2Max - domain2Min);
+                const args = ast.arguments.map(compile);
+                if (hand) {
+                    return context => func(args.map(arg => arg(context)), getHandContext(hand, context));
                 }
 
-                throw new Error(`Unknown function: ${ast.name}`);
+                return context => func(args.map(arg => arg(context)), context);
+            }
 
             case 'variable':
-                return getVariableValue(ast.name, context);
+                return compileVariable(ast.name);
 
             default:
                 throw new Error(`Unknown AST node type: ${ast.type}`);
         }
     }
 
+    // Compile a conditional, any non-zero test value counts as true
+    function compileConditional(testAst, consequentAst, alternateAst) {
+        const test = compile(testAst);
+        const consequent = compile(consequentAst);
+        const alternate = compile(alternateAst);
+
+        return context => (test(context) ? consequent(context) : alternate(context));
+    }
+
+    // Parse a formula string into an abstract syntax tree
+    function parseFormula(formula) {
+        if (!formula || formula.trim() === '') {
+            throw new Error('Empty formula');
+        }
+
+        return parse(tokenize(formula));
+    }
+
+    // Parse and compile a formula string into an evaluator function
+    function compileFormula(formula) {
+        return compile(parseFormula(formula));
+    }
+
+    // Find the outermost map() call of a formula, its first argument is the measurement
+    // that is mapped to the servo range
+    function findMapCall(ast) {
+        if (!ast) {
+            return null;
+        }
+
+        if (ast.type === 'function' && ast.name === 'map' && ast.arguments.length === 5) {
+            return ast;
+        }
+
+        const children = [ast.left, ast.right, ast.expression, ast.test, ast.consequent, ast.alternate,
+            ...(ast.arguments || [])];
+
+        for (const child of children) {
+            const call = findMapCall(child);
+            if (call) {
+                return call;
+            }
+        }
+
+        return null;
+    }
+
+    // Wrap an evaluator so errors carry the formula error prefix and non-finite results are rejected
+    function createEvaluator(evaluator) {
+        return function (landmarks, hands, calibration) {
+            try {
+                const result = evaluator({ landmarks, hands, calibration });
+
+                // Never let NaN (e.g. sqrt(-1)) or Infinity reach a servo
+                if (!Number.isFinite(result)) {
+                    throw new Error(`Result is not a finite number: ${result}`);
+                }
+
+                return result;
+            } catch (error) {
+                throw new Error(`Formula error: ${error.message}`);
+            }
+        };
+    }
+
     // Helper function to get a landmark by ID
     function getLandmark(id, context) {
         if (!context.landmarks || id < 0 || id > 20) {
@@ -326,6 +695,26 @@ const FormulaParser = (() => {
         return context.landmarks[id];
     }
 
+    // Split a hand prefix off a name: R.L[8].x refers to the right hand, L.L[8].x to the left hand
+    function splitHandPrefix(name) {
+        const match = name.match(/^([LR])\.(.+)$/);
+        if (!match) {
+            return { hand: null, name };
+        }
+
+        return { hand: match[1] === 'L' ? 'left' : 'right', name: match[2] };
+    }
+
+    // Get a context that evaluates against the landmarks of one hand
+    function getHandContext(hand, context) {
+        const landmarks = context.hands && context.hands[hand];
+        if (!landmarks) {
+            throw new Error(`No ${hand} hand detected`);
+        }
+
+        return { ...context, landmarks };
+    }
+
     // Helper function to calculate Euclidean distance between two landmarks
     function calculateDistance(landmark1, landmark2) {
         // Use 3D coordinates for distance calculations
@@ -336,13 +725,76 @@ const FormulaParser = (() => {
         return Math.sqrt(dx * dx + dy * dy + dz * dz);
     }
 
-    function rotation(landmark1, landmark2, landmark3, direction) {
-        const crossProduct = (v1, v2) => ({
-            x: v1.y * v2.z - v1.z * v2.y,
-            y: v1.z * v2.x - v1.x * v2.z,
-            z: v1.x * v2.y - v1.y * v2.x,
-        });
+    // Helper function to calculate the angle in degrees at landmark2 between
+    // the segments to landmark1 and landmark3
+    function calculateAngle(landmark1, landmark2, landmark3) {
+        // Use 3D coordinates so the angle does not depend on the camera projection
+        const ax = landmark1.x3D - landmark2.x3D;
+        const ay = landmark1.y3D - landmark2.y3D;
+        const az = landmark1.z3D - landmark2.z3D;
+        const cx = landmark3.x3D - landmark2.x3D;
+        const cy = landmark3.y3D - landmark2.y3D;
+        const cz = landmark3.z3D - landmark2.z3D;
+
+        const cos = (ax * cx + ay * cy + az * cz) / (Math.hypot(ax, ay, az) * Math.hypot(cx, cy, cz));
+
+        // Guard against rounding pushing the cosine just outside [-1, 1]
+        return Math.acos(Math.max(-1, Math.min(1, cos))) * (180 / Math.PI);
+    }
+
+    // Vector between two landmarks in screen axes: x right, y up, z towards the camera.
+    // Landmark y grows downwards and z grows away from the camera, so both are flipped.
+    const toScreenVector = (a, b) => ({
+        x: b.x - a.x,
+        y: a.y - b.y,
+        z: a.z - b.z,
+    });
+
+    const crossProduct = (v1, v2) => ({
+        x: v1.y * v2.z - v1.z * v2.y,
+        y: v1.z * v2.x - v1.x * v2.z,
+        z: v1.x * v2.y - v1.y * v2.x,
+    });
+
+    // Helper function to look up the landmarks for a palm function's arguments
+    function getPalmLandmarks(name, args, context) {
+        if (args.length !== 3) {
+            throw new Error(`${name} function requires exactly 3 arguments: landmark_1, landmark_2, landmark_3`);
+        }
+
+        const landmarks = args.map(id => getLandmark(id, context));
+
+        if (landmarks.some(landmark => !landmark)) {
+            throw new Error(`Invalid landmark ID(s): ${args.join(', ')}`);
+        }
+
+        return landmarks;
+    }
 
+    // Angle in degrees (0 to 180) between the palm normal and an axis given in screen axes
+    function palmRotation(name, args, context, axis) {
+        const [landmark1, landmark2, landmark3] = getPalmLandmarks(name, args, context);
+
+        // rotation() works in landmark axes, where y and z point the other way
+        return rotation(landmark1, landmark2, landmark3, { x: axis.x, y: -axis.y, z: -axis.z });
+    }
+
+    // Orthonormal palm frame in screen axes, built from the landmarks 1 -> 2 (forward)
+    // and 1 -> 3 (e.g. wrist, index base and pinky base)
+    function palmFrame(name, args, context) {
+        const [landmark1, landmark2, landmark3] = getPalmLandmarks(name, args, context);
+
+        const v1 = toScreenVector(landmark1, landmark2);
+        const v2 = toScreenVector(landmark1, landmark3);
+
+        const forward = normalize(v1);
+        const normal = normalize(crossProduct(v1, v2));
+        const side = crossProduct(forward, normal);
+
+        return { forward, normal, side };
+    }
+
+    function rotation(landmark1, landmark2, landmark3, direction) {
         const dotProduct = (v1, v2) => v1.x * v2.x + v1.y * v2.y + v1.z * v2.z;
 
         // Define vectors from wrist (0) to index base (5) and pinky base (17)
@@ -353,44 +805,62 @@ const FormulaParser = (() => {
         let normal = crossProduct(v1, v2);
         normal = normalize(normal);
 
-        // Dot product gives cos(theta)
+        // Dot product gives cos(theta), rounding can take it just outside acos's domain
         const dot = dotProduct(normal, direction);
-        const angleRad = Math.acos(dot);
+        const angleRad = Math.acos(Math.max(-1, Math.min(1, dot)));
         let angleDeg = angleRad * (180 / Math.PI);
 
         return angleDeg;
     }
 
-    // Helper function to get variable value from context
-    function getVariableValue(name, context) {
-        // Handle direct landmark coordinate access (e.g., L[0].x or Lx[0])
-        const lMatch = name.match(/^L\[(\d+)\]\.([xyz])$/);
-        if (lMatch) {
-            const id = parseInt(lMatch[1], 10);
-            const coord = lMatch[2];
+    // Compile a variable reference into a function reading it from the context
+    function compileVariable(name) {
+        // Handle references to a specific hand (e.g., R.L[8].x)
+        const { hand, name: handName } = splitHandPrefix(name);
+        if (hand) {
+            const variable = compileVariable(handName);
+            return context => variable(getHandContext(hand, context));
+        }
 
-            const landmark = getLandmark(id, context);
-            if (!landmark) {
-                throw new Error(`Invalid landmark ID: ${id}`);
-            }
+        // Handle named constants (e.g., PI)
+        if (Object.prototype.hasOwnProperty.call(constants, name)) {
+            const value = constants[name];
+            return () => value;
+        }
 
-            // Use 3D coordinates for calculations
-            return landmark[`${coord}3D`];
+        // Handle the calibrated range of the servo's measurement (calMin, calMax)
+        if (Object.prototype.hasOwnProperty.call(CALIBRATION_VARIABLES, name)) {
+            const key = CALIBRATION_VARIABLES[name];
+
+            return context => {
+                if (!context.calibration) {
+                    throw new Error(`${name} is not calibrated`);
+                }
+
+                return context.calibration[key];
+            };
         }
 
+        // Handle direct landmark coordinate access (e.g., L[0].x)
         // Alternative syntax: Lx[0], Ly[0], Lz[0]
+        const lMatch = name.match(/^L\[(\d+)\]\.([xyz])$/);
         const lAltMatch = name.match(/^L([xyz])\[(\d+)\]$/);
-        if (lAltMatch) {
-            const coord = lAltMatch[1];
-            const id = parseInt(lAltMatch[2], 10);
 
-            const landmark = getLandmark(id, context);
-            if (!landmark) {
-                throw new Error(`Invalid landmark ID: ${id}`);
-            }
+        if (lMatch || lAltMatch) {
+            const id = parseInt(lMatch ? lMatch[1] : lAltMatch[2], 10);
+            const coord = lMatch ? lMatch[2] : lAltMatch[1];
 
             // Use 3D coordinates for calculations
-            return landmark[`${coord}3D`];
+            const key = `${coord}3D`;
+
+            return context => {
+                const landmark = getLandmark(id, context);
+                if (!landmark) {
+                    throw new Error(`Invalid landmark ID: ${id}`);
+                }
+
+                return landmark[key];
+            };
         }
 
         throw new Error(`Unknown variable: ${name}`);
@@ -399,38 +869,77 @@ const FormulaParser = (() => {
     // Public API
     return {
         /**
-         * Parse and evaluate a formula with the given landmarks
-         * @param {string} formula - The formula to evaluate
-         * @param {Array} landmarks - The hand landmarks array
-         * @returns {number} The evaluated result
-         * @throws {Error} If the formula is invalid or cannot be evaluated
+         * Compile a formula once so it can be evaluated cheaply on every frame
+         * @param {string} formula - The formula to compile
+         * @returns {Function} A function taking the hand landmarks array, the detected hands
+         *                    ({ left, right } landmarks for R. and L. references) and the servo's
+         *                    calibration ({ min, max } for calMin and calMax), returning the
+         *                    unclamped result
+         * @throws {Error} If the formula is invalid
          */
-        evaluate: function (id, formula, landmarks) {
+        compile: function (formula) {
             try {
-                if (!formula || formula.trim() === '') {
-                    throw new Error('Empty formula');
-                }
-
-                const tokens = tokenize(formula);
-                const ast = parse(tokens);
-                const result = evaluate(ast, { landmarks });
+                return createEvaluator(compileFormula(formula));
+            } catch (error) {
+                throw new Error(`Formula error: ${error.message}`);
+            }
+        },
 
-                let max = CONFIG.MAX_SERVO_VALUE
+        /**
+         * Compile the measurement of a formula: the first argument of its outermost
+         * map() call, e.g. distance(4, 8) in map(distance(4, 8), 0.02, 0.1, 0, 1023)
+         * @param {string} formula - The formula
+         * @returns {Function|null} An evaluator like the ones returned by compile, null if
+         *                         the formula is invalid or has no map() call
+         */
+        getMeasurement: function (formula) {
+            try {
+                const call = findMapCall(parseFormula(formula));
+                return call ? createEvaluator(compile(call.arguments[0])) : null;
+            } catch (error) {
+                return null;
+            }
+        },
 
-                if (id == 11) {
-                    max = 4095;
-                }
+        /**
+         * Replace the measurement range (the domain_1 bounds) of a formula's outermost map() call
+         * @param {string} formula - The formula
+         * @param {number|string} min - The new lower bound, a number or an expression such as calMin
+         * @param {number|string} max - The new upper bound, a number or an expression such as calMax
+         * @returns {string|null} The rewritten formula, null if the formula is invalid or has
+         *                        no map() call
+         */
+        setMeasurementRange: function (formula, min, max) {
+            let call;
 
-                // Clamp the result to the valid servo range and round to integer
-                return Math.round(
-                    Math.max(
-                        CONFIG.MIN_SERVO_VALUE,
-                        Math.min(max, result)
-                    )
-                );
+            try {
+                call = findMapCall(parseFormula(formula));
             } catch (error) {
-                throw new Error(`Formula error: ${error.message}`);
+                return null;
             }
+
+            if (!call) {
+                return null;
+            }
+
+            const [, minSpan, maxSpan] = call.spans;
+            return formula.slice(0, minSpan.start) + String(min) +
+                formula.slice(minSpan.end, maxSpan.start) + String(max) +
+                formula.slice(maxSpan.end);
+        },
+
+        /**
+         * Parse and evaluate a formula with the given landmarks
+         * @param {number} id - The servo ID
+         * @param {string} formula - The formula to evaluate
+         * @param {Array} landmarks - The hand landmarks array
+         * @param {Object} [hands] - The detected hands ({ left, right } landmarks)
+         * @param {Object} [calibration] - The servo's calibration ({ min, max })
+         * @returns {number} The evaluated result
+         * @throws {Error} If the formula is invalid or cannot be evaluated
+         */
+        evaluate: function (id, formula, landmarks, hands, calibration) {
+            return ServoMap.clamp(id, this.compile(formula)(landmarks, hands, calibration));
         },
 
         /**
@@ -440,12 +949,7 @@ const FormulaParser = (() => {
          */
         validate: function (formula) {
             try {
-                if (!formula || formula.trim() === '') {
-                    return false;
-                }
-
-                const tokens = tokenize(formula);
-                parse(tokens);
+                compileFormula(formula);
                 return true;
             } catch (error) {
                 return false;
@@ -459,12 +963,7 @@ const FormulaParser = (() => {
          */
         getErrorMessage: function (formula) {
             try {
-                if (!formula || formula.trim() === '') {
-                    return 'Empty formula';
-                }
-
-                const tokens = tokenize(formula);
-                parse(tokens);
+                compileFormula(formula);
                 return null;
             } catch (error) {
                 return error.message;
@@ -5,7 +5,7 @@
  * and processing video frames to detect hand landmarks.
  */
 import CONFIG from './config.js';
-import { FilesetResolver, HandLandmarker } from '../lib/vision_bundle.js'
+import Filters from './filters.js';
 
 const HandTracking = (() => {
     // Private variables
@@ -22,15 +22,29 @@ const HandTracking = (() => {
     let noHandMessageElement = null;
     let handDetected = false;
     let animationFrameId = null;
-    let handToTrack = CONFIG.HAND_TRACKING.DEFAULT_HAND; // "left" or "right"
+    let detectionTimer = null; // Used instead of animation frames when processing video files as fast as possible
+    let videoSource = 'camera'; // "camera" or "file"
+    let videoFileUrl = null;
+    let videoFileMode = 'realtime'; // "realtime" or "fast"
+    let handToTrack = CONFIG.HAND_TRACKING.DEFAULT_HAND; // "left", "right" or "both"
     let detectedHands = {
         left: null,
         right: null
     };
+    let landmarkFilter = {
+        enabled: CONFIG.LANDMARK_FILTER.DEFAULT_ENABLED,
+        strength: CONFIG.LANDMARK_FILTER.DEFAULT_STRENGTH
+    };
+    let landmarkFilters = { // Filter instances per hand, landmark and coordinate
+        left: null,
+        right: null
+    };
 
     // Callbacks
     let onLandmarksUpdateCallback = null;
     let onHandDetectionChangeCallback = null;
+    let onFrameCallback = null;
+    let onVideoEndedCallback = null;
 
     // Initialize the webcam and canvas
     async function setupCamera() {
@@ -63,7 +77,11 @@ const HandTracking = (() => {
         // Get user media
         try {
             const stream = await navigator.mediaDevices.getUserMedia(constraints);
+            closeVideoFile();
+            stopCameraStream();
+            webcamElement.autoplay = true;
             webcamElement.srcObject = stream;
+            videoSource = 'camera';
 
             return new Promise((resolve) => {
                 webcamElement.onloadedmetadata = () => {
@@ -84,6 +102,80 @@ const HandTracking = (() => {
         }
     }
 
+    // Release the camera, e.g. while a video file is the source
+    function stopCameraStream() {
+        if (webcamElement.srcObject) {
+            webcamElement.srcObject.getTracks().forEach(track => track.stop());
+            webcamElement.srcObject = null;
+        }
+    }
+
+    // Release the video file, if one is the source
+    function closeVideoFile() {
+        if (videoFileUrl) {
+            webcamElement.pause();
+            webcamElement.removeAttribute('src');
+            URL.revokeObjectURL(videoFileUrl);
+            videoFileUrl = null;
+        }
+    }
+
+    // Use a local video file as the source instead of the camera
+    function openVideoFile(file) {
+        stopCameraStream();
+        closeVideoFile();
+
+        videoFileUrl = URL.createObjectURL(file);
+        videoSource = 'file';
+
+        return new Promise((resolve, reject) => {
+            webcamElement.onloadedmetadata = () => {
+                videoWidth = webcamElement.videoWidth;
+                videoHeight = webcamElement.videoHeight;
+                webcamElement.width = videoWidth;
+                webcamElement.height = videoHeight;
+
+                // Set canvas dimensions to match video
+                canvasElement.width = videoWidth;
+                canvasElement.height = videoHeight;
+
+                // Tracking starts playback
+                webcamElement.pause();
+                resolve();
+            };
+            webcamElement.onerror = () => {
+                reject(new Error(`Cannot play video file ${file.name}`));
+            };
+
+            webcamElement.autoplay = false;
+            webcamElement.src = videoFileUrl;
+        });
+    }
+
+    // Check if frames come from a video file processed as fast as possible
+    function isProcessingFast() {
+        return videoSource === 'file' && videoFileMode === 'fast';
+    }
+
+    // Advance the paused video file by one frame, resolving to false at its end
+    function stepVideoFile() {
+        const nextTime = webcamElement.currentTime + 1 / CONFIG.VIDEO_FILE.FRAME_RATE;
+        if (nextTime >= webcamElement.duration) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            webcamElement.addEventListener('seeked', () => resolve(true), { once: true });
+            webcamElement.currentTime = nextTime;
+        });
+    }
+
+    // Get the time of the current frame: the position in a video file, so
+    // smoothing doesn't depend on how fast the file is processed
+    function getFrameTimestamp() {
+        return videoSource === 'file' ? webcamElement.currentTime * 1000 : performance.now();
+    }
+
     // Load the hand detection model
     async function loadModel() {
         try {
@@ -115,6 +207,8 @@ const HandTracking = (() => {
                 modelPath = "./lib/model/hand_landmarker.task";
             }
 
+            // Loaded on demand, so processing recorded frames doesn't need the detector
+            const { FilesetResolver, HandLandmarker } = await import('../lib/vision_bundle.js');
             const vision = await FilesetResolver.forVisionTasks(wasmPath);
 
             const landMarker = await HandLandmarker.createFromOptions(
@@ -174,83 +268,154 @@ const HandTracking = (() => {
         });
     }
 
-    // Detect hand landmarks in the current video frame
-    async function detectLandmarks() {
-        if (!detector || !webcamElement.readyState === 4) {
-            return null;
+    // Create One Euro filters for every coordinate of the 21 landmarks
+    function createLandmarkFilters() {
+        const settings = CONFIG.LANDMARK_FILTER;
+        const minCutoff = settings.MIN_CUTOFF.LIGHT +
+            (settings.MIN_CUTOFF.STRONG - settings.MIN_CUTOFF.LIGHT) * landmarkFilter.strength;
+
+        const create = beta => Filters.createOneEuro({ minCutoff, beta, dCutoff: settings.D_CUTOFF });
+
+        return Array.from({ length: 21 }, () => ({
+            x: create(settings.BETA_2D),
+            y: create(settings.BETA_2D),
+            z: create(settings.BETA_2D),
+            x3D: create(settings.BETA_3D),
+            y3D: create(settings.BETA_3D),
+            z3D: create(settings.BETA_3D)
+        }));
+    }
+
+    // Smooth the landmarks of one hand over time, if landmark filtering is enabled
+    function filterLandmarks(side, landmarks, timestamp) {
+        if (!landmarkFilter.enabled || !landmarks) {
+            return landmarks;
         }
 
-        try {
-            const detection = await detector.detect(webcamElement);
+        if (!landmarkFilters[side]) {
+            landmarkFilters[side] = createLandmarkFilters();
+        }
 
-            // Update hand detection status
-            const wasHandDetected = handDetected;
+        return landmarks.map((landmark, index) => {
+            const filters = landmarkFilters[side][index];
+            const filtered = {};
 
-            // If no hands detected
-            if (detection.landmarks.length === 0) {
-                handDetected = false;
+            for (const key in filters) {
+                filtered[key] = filters[key].filter(landmark[key], timestamp);
+            }
 
-                // Notify if hand detection status changed
-                if (wasHandDetected !== handDetected && onHandDetectionChangeCallback) {
-                    onHandDetectionChangeCallback(handDetected);
-                }
+            return filtered;
+        });
+    }
 
-                // Show no hand message
-                if (noHandMessageElement) {
-                    noHandMessageElement.style.display = 'block';
-                    noHandMessageElement.textContent = `No ${handToTrack} hand detected`;
-                }
+    // Get the hand driving the primary formulas
+    function getPrimaryHand() {
+        return handToTrack === 'both' ? CONFIG.HAND_TRACKING.PRIMARY_HAND : handToTrack;
+    }
 
-                return null;
-            }
+    // Get the hand driving the secondary formulas, only used when tracking both hands
+    function getSecondaryHand() {
+        if (handToTrack !== 'both') {
+            return null;
+        }
+
+        return getPrimaryHand() === 'right' ? 'left' : 'right';
+    }
 
-            let foundHand = -1
+    // Text shown when the tracked hand is missing
+    function getNoHandMessage() {
+        return handToTrack === 'both' ? 'No hands detected' : `No ${handToTrack} hand detected`;
+    }
+
+    // Detect the hands in the current video frame
+    // Returns the unfiltered landmarks of each hand as { left, right }, or null on errors
+    async function detectHands() {
+        if (!detector || !webcamElement.readyState === 4) {
+            return null;
+        }
+
+        try {
+            const detection = await detector.detect(webcamElement);
+
+            const hands = {
+                left: null,
+                right: null
+            };
 
-            // Process detected hands
             for (const [i, hand] of detection.handednesses.entries()) {
                 try {
-                    if (hand[0].categoryName.toLowerCase() === handToTrack) {
-                        foundHand = i;
-                        break;
+                    const side = hand[0].categoryName.toLowerCase();
+                    if (side in hands && !hands[side]) {
+                        hands[side] = convertLandmarks({
+                            keypoints: detection.landmarks[i],
+                            keypoints3D: detection.worldLandmarks[i]
+                        });
                     }
                 } catch (error) {
                     console.error('Error processing hand data:', error);
                 }
             }
 
-            // Determine if we have the hand we want to track
-            let trackedLandmarks = null;
+            return hands;
+        } catch (error) {
+            console.error('Error detecting landmarks:', error);
+            return null;
+        }
+    }
 
-            // Check if the selected hand is detected
-            handDetected = foundHand != -1
+    // Process the hands of a frame, live or replayed: smooth them, update the
+    // detection status and return the landmarks of the primary hand
+    function processHands(rawHands, timestamp) {
+        // Update hand detection status
+        const wasHandDetected = handDetected;
 
-            if (handDetected) {
-                let hand = {
-                    keypoints: detection.landmarks[foundHand],
-                    keypoints3D: detection.worldLandmarks[foundHand]
-                }
-                trackedLandmarks = convertLandmarks(hand);
-            }
+        // Keep both hands, so formulas can refer to either one with R. and L.
+        const hands = {
+            left: filterLandmarks('left', rawHands.left, timestamp),
+            right: filterLandmarks('right', rawHands.right, timestamp)
+        };
 
-            // Notify if hand detection status changed
-            if (wasHandDetected !== handDetected && onHandDetectionChangeCallback) {
-                onHandDetectionChangeCallback(handDetected);
+        // Start smoothing afresh when a hand comes back
+        for (const side in hands) {
+            if (!hands[side]) {
+                landmarkFilters[side] = null;
             }
+        }
 
-            // Update no hand message
-            if (noHandMessageElement) {
-                if (handDetected) {
-                    noHandMessageElement.style.display = 'none';
-                } else {
-                    noHandMessageElement.style.display = 'block';
-                    noHandMessageElement.textContent = `No ${handToTrack} hand detected`;
-                }
+        detectedHands = hands;
+
+        // Check if the selected hand, or in two-hand mode either hand, is detected
+        const secondaryHand = getSecondaryHand();
+        handDetected = Boolean(hands[getPrimaryHand()] || (secondaryHand && hands[secondaryHand]));
+
+        // Notify if hand detection status changed
+        if (wasHandDetected !== handDetected && onHandDetectionChangeCallback) {
+            onHandDetectionChangeCallback(handDetected);
+        }
+
+        // Update no hand message
+        if (noHandMessageElement) {
+            if (handDetected) {
+                noHandMessageElement.style.display = 'none';
+            } else {
+                noHandMessageElement.style.display = 'block';
+                noHandMessageElement.textContent = getNoHandMessage();
             }
+        }
 
-            return trackedLandmarks;
-        } catch (error) {
-            console.error('Error detecting landmarks:', error);
-            return null;
+        return hands[getPrimaryHand()];
+    }
+
+    // Draw the hands of a frame and pass them on
+    function handleFrame(rawHands, timestamp) {
+        const landmarks = processHands(rawHands, timestamp);
+
+        // Draw landmarks on canvas
+        drawLandmarks(landmarks);
+
+        // Notify about landmarks update
+        if (handDetected && onLandmarksUpdateCallback) {
+            onLandmarksUpdateCallback(landmarks, detectedHands, timestamp);
         }
     }
 
@@ -263,6 +428,12 @@ const HandTracking = (() => {
         // Clear the canvas
         canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
 
+        // Draw the second hand in its own colors when tracking both hands
+        const secondaryHand = getSecondaryHand();
+        if (secondaryHand) {
+            drawSingleHandLandmarks(detectedHands[secondaryHand], CONFIG.COLORS.SECONDARY_LANDMARKS, CONFIG.COLORS.SECONDARY_CONNECTIONS);
+        }
+
         // If no landmarks, return
         if (!landmarks) {
             return;
@@ -332,19 +503,111 @@ const HandTracking = (() => {
 
         lastFrameTime = timestamp;
 
-        // Detect landmarks
-        const landmarks = await detectLandmarks();
+        // Detect hands
+        const rawHands = await detectHands();
 
-        // Draw landmarks on canvas
-        drawLandmarks(landmarks);
+        // Tracking was stopped while detecting
+        if (!isTracking) {
+            return;
+        }
 
-        // Notify about landmarks update
-        if (landmarks && onLandmarksUpdateCallback) {
-            onLandmarksUpdateCallback(landmarks);
+        if (rawHands) {
+            const frameTimestamp = getFrameTimestamp();
+
+            // Notify about the camera frame, e.g. to record it
+            if (onFrameCallback) {
+                onFrameCallback(rawHands, frameTimestamp);
+            }
+
+            handleFrame(rawHands, frameTimestamp);
+        } else {
+            drawLandmarks(null);
+        }
+
+        // Stop at the end of a video file
+        if (videoSource === 'file' && (webcamElement.ended || (isProcessingFast() && !(await stepVideoFile())))) {
+            stopTracking();
+            if (onVideoEndedCallback) {
+                onVideoEndedCallback();
+            }
+            return;
         }
 
         // Continue the detection loop
-        animationFrameId = requestAnimationFrame(detectionLoop);
+        scheduleDetection();
+    }
+
+    // Run the detection loop on the next frame, or right away when processing a video file as fast as possible
+    function scheduleDetection() {
+        if (!isTracking) {
+            return;
+        }
+
+        if (isProcessingFast()) {
+            detectionTimer = setTimeout(() => detectionLoop(performance.now()), 0);
+        } else {
+            animationFrameId = requestAnimationFrame(detectionLoop);
+        }
+    }
+
+    // Start the detection loop
+    async function startTracking() {
+        if (isTracking) {
+            return;
+        }
+
+        isTracking = true;
+        lastFrameTime = 0;
+        frameCount = 0;
+
+        if (videoSource === 'file') {
+            // Start smoothing afresh, the file may start over
+            landmarkFilters = {
+                left: null,
+                right: null
+            };
+
+            if (webcamElement.ended || webcamElement.currentTime >= webcamElement.duration) {
+                webcamElement.currentTime = 0;
+            }
+
+            // Frames are stepped through when processing as fast as possible
+            if (!isProcessingFast()) {
+                await webcamElement.play();
+            }
+        }
+
+        // Start detection loop
+        scheduleDetection();
+    }
+
+    // Stop the detection loop
+    function stopTracking() {
+        isTracking = false;
+
+        if (animationFrameId) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+
+        if (detectionTimer) {
+            clearTimeout(detectionTimer);
+            detectionTimer = null;
+        }
+
+        if (videoSource === 'file') {
+            webcamElement.pause();
+        }
+
+        // Clear canvas
+        if (canvasCtx) {
+            canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+        }
+
+        // Hide no hand message
+        if (noHandMessageElement) {
+            noHandMessageElement.style.display = 'none';
+        }
     }
 
     // Populate camera select dropdown
@@ -418,12 +681,12 @@ const HandTracking = (() => {
                 // Populate camera select dropdown
                 await populateCameraSelect();
 
+                // Load hand detection model, first so video files can be used without a camera
+                await loadModel();
+
                 // Set up camera
                 await setupCamera();
 
-                // Load hand detection model
-                await loadModel();
-
                 return true;
             } catch (error) {
                 throw new Error(`Hand tracking initialization failed: ${error.message}`);
@@ -435,40 +698,87 @@ const HandTracking = (() => {
          * @returns {Promise} A promise that resolves when tracking starts
          */
         startTracking: async function () {
-            if (isTracking) {
-                return;
+            await startTracking();
+        },
+
+        /**
+         * Stop hand tracking
+         */
+        stopTracking: function () {
+            stopTracking();
+        },
+
+        /**
+         * Use a local video file (mp4/webm) as the source instead of the camera
+         * @param {File} file - The video file
+         * @returns {Promise} A promise that resolves when the file is ready to be tracked
+         */
+        useVideoFile: async function (file) {
+            const wasTracking = isTracking;
+            stopTracking();
+
+            await openVideoFile(file);
+
+            if (wasTracking) {
+                await startTracking();
             }
+        },
 
-            isTracking = true;
-            lastFrameTime = 0;
-            frameCount = 0;
+        /**
+         * Use the camera selected in the camera select as the source again
+         * @returns {Promise} A promise that resolves when the camera is ready
+         */
+        useCamera: async function () {
+            const wasTracking = isTracking;
+            stopTracking();
 
-            // Start detection loop
-            animationFrameId = requestAnimationFrame(detectionLoop);
+            await setupCamera();
+
+            if (wasTracking) {
+                await startTracking();
+            }
         },
 
         /**
-         * Stop hand tracking
+         * Get the video source
+         * @returns {string} "camera" or "file"
          */
-        stopTracking: function () {
-            isTracking = false;
+        getVideoSource: function () {
+            return videoSource;
+        },
 
-            if (animationFrameId) {
-                cancelAnimationFrame(animationFrameId);
-                animationFrameId = null;
+        /**
+         * Set how video files are processed
+         * @param {string} mode - "realtime" to play the file at its own speed, or
+         *                        "fast" to process its frames as fast as possible
+         */
+        setVideoFileMode: function (mode) {
+            if (mode !== 'realtime' && mode !== 'fast') {
+                console.error('Invalid video file mode:', mode);
+                return;
             }
 
-            // Clear canvas
-            if (canvasCtx) {
-                canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+            // Restart a running video file in the new mode
+            const restart = isTracking && videoSource === 'file';
+            if (restart) {
+                stopTracking();
             }
 
-            // Hide no hand message
-            if (noHandMessageElement) {
-                noHandMessageElement.style.display = 'none';
+            videoFileMode = mode;
+
+            if (restart) {
+                startTracking();
             }
         },
 
+        /**
+         * Set callback for the end of a video file, tracking stops when it is reached
+         * @param {Function} callback - Function to call when the video file ended
+         */
+        onVideoEnded: function (callback) {
+            onVideoEndedCallback = callback;
+        },
+
         /**
          * Toggle display of landmark IDs
          * @param {boolean} show - Whether to show landmark IDs
@@ -479,12 +789,48 @@ const HandTracking = (() => {
 
         /**
          * Set callback for landmarks update
-         * @param {Function} callback - Function to call when landmarks are updated
+         * @param {Function} callback - Function to call with the primary hand landmarks (null
+         *                              if only the secondary hand is visible), all detected
+         *                              hands ({ left, right }) and the time of the frame in
+         *                              milliseconds when landmarks are updated
          */
         onLandmarksUpdate: function (callback) {
             onLandmarksUpdateCallback = callback;
         },
 
+        /**
+         * Set callback for camera frames
+         * @param {Function} callback - Function to call with the unfiltered landmarks of the
+         *                              hands ({ left, right }) and the time in milliseconds of
+         *                              every camera frame, the position in a video file
+         */
+        onFrame: function (callback) {
+            onFrameCallback = callback;
+        },
+
+        /**
+         * Process a frame that didn't come from the camera, e.g. a replayed one,
+         * exactly like a camera frame
+         * @param {Object} hands - Unfiltered landmarks of the hands in the frame ({ left, right })
+         * @param {number} [timestamp] - Time of the frame in milliseconds, used for smoothing
+         */
+        injectFrame: function (hands, timestamp = performance.now()) {
+            handleFrame({
+                left: hands.left || null,
+                right: hands.right || null
+            }, timestamp);
+        },
+
+        /**
+         * Start landmark smoothing afresh, e.g. when the frames jump in time
+         */
+        resetFilters: function () {
+            landmarkFilters = {
+                left: null,
+                right: null
+            };
+        },
+
         /**
          * Set callback for hand detection change
          * @param {Function} callback - Function to call when hand detection status changes
@@ -510,16 +856,16 @@ const HandTracking = (() => {
         },
 
         /**
-         * Set which hand to track (left or right)
-         * @param {string} hand - The hand to track ("left" or "right")
+         * Set which hand to track (left, right or both)
+         * @param {string} hand - The hand to track ("left", "right" or "both")
          */
         setHandToTrack: function (hand) {
-            if (hand === "left" || hand === "right") {
+            if (hand === "left" || hand === "right" || hand === "both") {
                 handToTrack = hand;
 
                 // Update no hand message if it's visible
                 if (noHandMessageElement && noHandMessageElement.style.display === 'block') {
-                    noHandMessageElement.textContent = `No ${handToTrack} hand detected`;
+                    noHandMessageElement.textContent = getNoHandMessage();
                     console.log('Updated no hand message to:', noHandMessageElement.textContent);
                 }
             } else {
@@ -535,9 +881,42 @@ const HandTracking = (() => {
             return handToTrack;
         },
 
+        /**
+         * Get the hand driving the secondary formula profile
+         * @returns {string|null} "left" or "right" when tracking both hands, otherwise null
+         */
+        getSecondaryHand: function () {
+            return getSecondaryHand();
+        },
+
+        /**
+         * Set landmark smoothing, applied before landmarks are reported
+         * @param {Object} settings - { enabled: boolean, strength: number from 0 (light) to 1 (strong) }
+         */
+        setLandmarkFilter: function (settings) {
+            const strength = parseFloat(settings.strength);
+
+            landmarkFilter = {
+                enabled: Boolean(settings.enabled),
+                strength: isNaN(strength) ? CONFIG.LANDMARK_FILTER.DEFAULT_STRENGTH : Math.max(0, Math.min(1, strength))
+            };
+            landmarkFilters = {
+                left: null,
+                right: null
+            };
+        },
+
+        /**
+         * Get landmark smoothing settings
+         * @returns {Object} { enabled, strength }
+         */
+        getLandmarkFilter: function () {
+            return { ...landmarkFilter };
+        },
+
         /**
          * Get detected hands data
-         * @returns {Object} Object containing detected hands data
+         * @returns {Object} Landmarks of the detected hands as { left, right }, null if not detected
          */
         getDetectedHands: function () {
             return detectedHands;
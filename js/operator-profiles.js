@@ -0,0 +1,102 @@
+/**
+ * Operator Profiles Module
+ *
+ * Named profiles holding the settings of an operator (formulas, calibration,
+ * hand and filter settings), so the operators of a lab can switch quickly.
+ * The main process stores the profiles in the user data directory (see
+ * operator-profiles.js), single profiles can be exported to and imported
+ * from files:
+ *
+ *   { version, name, settings }
+ */
+const OperatorProfiles = (() => {
+    // Version of the profile file format
+    const PROFILE_FILE_VERSION = 1;
+
+    // Invoke an operator profile handler of the main process
+    function invoke(channel, ...args) {
+        const { ipcRenderer } = window.require('electron');
+        return ipcRenderer.invoke(channel, ...args);
+    }
+
+    // Public API
+    return {
+        /**
+         * List the stored profiles
+         * @returns {Promise<Object>} { names, active, recovered }, active is the name of the selected
+         *                            profile or null, recovered the name the profiles file was moved
+         *                            to if it was damaged and the profiles started over, otherwise null
+         */
+        list: function () {
+            return invoke('profiles:list');
+        },
+
+        /**
+         * Get the settings of a stored profile
+         * @param {string} name - The profile name
+         * @returns {Promise<Object>} The settings of the profile
+         */
+        get: function (name) {
+            return invoke('profiles:get', name);
+        },
+
+        /**
+         * Select the profile of an operator, it is selected again when the application starts
+         * @param {string|null} name - The profile name, null for none
+         * @returns {Promise<Object|null>} The settings of the profile, null for none
+         */
+        select: function (name) {
+            return invoke('profiles:select', name);
+        },
+
+        /**
+         * Store the settings of a profile and select it, replacing a profile with the same name
+         * @param {string} name - The profile name
+         * @param {Object} settings - The settings of the operator
+         * @returns {Promise<Object>} { names, active, recovered } after saving, see list
+         */
+        save: function (name, settings) {
+            return invoke('profiles:save', { name, settings });
+        },
+
+        /**
+         * Delete a stored profile
+         * @param {string} name - The profile name
+         * @returns {Promise<Object>} { names, active, recovered } after deleting, see list
+         */
+        remove: function (name) {
+            return invoke('profiles:delete', name);
+        },
+
+        /**
+         * Create the contents of a file with a single profile
+         * @param {string} name - The profile name
+         * @param {Object} settings - The settings of the operator
+         * @returns {Object} The file contents
+         */
+        toFile: function (name, settings) {
+            return { version: PROFILE_FILE_VERSION, name, settings };
+        },
+
+        /**
+         * Read the profile of a file created by toFile
+         * @param {Object} data - The file contents
+         * @returns {Object} { name, settings }
+         * @throws {Error} If the file doesn't hold a profile
+         */
+        fromFile: function (data) {
+            if (!data || typeof data.name !== 'string' || !data.name.trim() ||
+                typeof data.settings !== 'object' || data.settings === null) {
+                throw new Error('The file is not an operator profile');
+            }
+
+            if (data.version > PROFILE_FILE_VERSION) {
+                throw new Error(`Unsupported operator profile version ${data.version}`);
+            }
+
+            return { name: data.name.trim(), settings: data.settings };
+        }
+    };
+})();
+
+export default OperatorProfiles;
@@ -0,0 +1,149 @@
+/**
+ * OSC Output Module
+ *
+ * Streams calculated servo positions, and optionally the hand landmarks,
+ * as OSC messages over UDP so other tools can follow the tracking session:
+ *
+ *   /hand/servo/<id> <position>          (int32)
+ *   /hand/landmark/<index> <x> <y> <z>   (float32, normalized image coordinates)
+ *
+ * In two-hand mode the positions and landmarks of the secondary formula
+ * profile go to the same addresses under /hand/secondary, e.g.
+ * /hand/secondary/servo/<id>.
+ */
+import CONFIG from './config.js';
+
+const OscOutput = (() => {
+    // Private variables
+    let settings = {
+        enabled: false,
+        host: CONFIG.OSC.DEFAULT_HOST,
+        port: CONFIG.OSC.DEFAULT_PORT,
+        sendLandmarks: false
+    };
+    let socket = null;
+    let lastErrorTime = 0;
+
+    // Encode a string as a null terminated OSC string padded to a multiple of 4 bytes
+    function encodeString(value) {
+        const bytes = new TextEncoder().encode(value);
+        const buffer = new Uint8Array(Math.ceil((bytes.length + 1) / 4) * 4);
+        buffer.set(bytes);
+        return buffer;
+    }
+
+    // Encode an OSC message, types holds a type tag per argument: 'i' (int32) or 'f' (float32)
+    function encodeMessage(address, types, args) {
+        const addressBytes = encodeString(address);
+        const typeTagBytes = encodeString(`,${types}`);
+
+        const argumentBytes = new Uint8Array(args.length * 4);
+        const view = new DataView(argumentBytes.buffer);
+        args.forEach((arg, index) => {
+            if (types[index] === 'i') {
+                view.setInt32(index * 4, arg);
+            } else {
+                view.setFloat32(index * 4, arg);
+            }
+        });
+
+        const message = new Uint8Array(addressBytes.length + typeTagBytes.length + argumentBytes.length);
+        message.set(addressBytes, 0);
+        message.set(typeTagBytes, addressBytes.length);
+        message.set(argumentBytes, addressBytes.length + typeTagBytes.length);
+        return message;
+    }
+
+    // Get the UDP socket, creating it on first use
+    function getSocket() {
+        if (!socket) {
+            const dgram = window.require('dgram');
+            socket = dgram.createSocket('udp4');
+            socket.on('error', reportError);
+        }
+
+        return socket;
+    }
+
+    // Close the UDP socket
+    function closeSocket() {
+        if (socket) {
+            socket.close();
+            socket = null;
+        }
+    }
+
+    // Log send errors, at most once per second so an unreachable host doesn't flood the console
+    function reportError(error) {
+        if (error && performance.now() - lastErrorTime > 1000) {
+            lastErrorTime = performance.now();
+            console.error('Error sending OSC message:', error);
+        }
+    }
+
+    // Send one OSC message
+    function sendMessage(address, types, args) {
+        getSocket().send(encodeMessage(address, types, args), settings.port, settings.host, reportError);
+    }
+
+    // Public API
+    return {
+        /**
+         * Update the OSC output settings
+         * @param {Object} newSettings - Any of { enabled, host, port, sendLandmarks }
+         */
+        setSettings: function (newSettings) {
+            const port = parseInt(newSettings.port, 10);
+
+            settings = {
+                enabled: newSettings.enabled !== undefined ? Boolean(newSettings.enabled) : settings.enabled,
+                host: newSettings.host ? String(newSettings.host).trim() : settings.host,
+                port: port > 0 && port < 65536 ? port : settings.port,
+                sendLandmarks: newSettings.sendLandmarks !== undefined ? Boolean(newSettings.sendLandmarks) : settings.sendLandmarks
+            };
+
+            if (!settings.enabled) {
+                closeSocket();
+            }
+        },
+
+        /**
+         * Get the OSC output settings
+         * @returns {Object} { enabled, host, port, sendLandmarks }
+         */
+        getSettings: function () {
+            return { ...settings };
+        },
+
+        /**
+         * Send servo positions and, if enabled, landmarks as OSC messages
+         * @param {Object} positions - Servo positions keyed by servo ID
+         * @param {Array} landmarks - The hand landmarks
+         * @param {string} [profile] - The formula profile ('primary' or 'secondary') the
+         *                             positions were calculated with
+         */
+        send: function (positions, landmarks, profile = 'primary') {
+            if (!settings.enabled) {
+                return;
+            }
+
+            const prefix = profile === 'primary' ? CONFIG.OSC.ADDRESS_PREFIX : `${CONFIG.OSC.ADDRESS_PREFIX}/${profile}`;
+
+            try {
+                for (const servoId in positions) {
+                    sendMessage(`${prefix}/servo/${servoId}`, 'i', [Math.round(positions[servoId])]);
+                }
+
+                if (settings.sendLandmarks && landmarks) {
+                    landmarks.forEach((landmark, index) => {
+                        sendMessage(`${prefix}/landmark/${index}`, 'fff', [landmark.x, landmark.y, landmark.z]);
+                    });
+                }
+            } catch (error) {
+                reportError(error);
+            }
+        }
+    };
+})();
+
+export default OscOutput;
@@ -1,221 +1,1083 @@
 /**
  * Servo Control Module
  * 
- * Handles communication with the robot hand API and manages
+ * Handles communication with the robot hand through a transport and manages
  * servo positions based on hand landmarks and user-defined formulas.
  */
 import CONFIG from './config.js';
 import FormulaParser from './formula-parser.js';
+import Filters from './filters.js';
+import ServoMap from './servo-map.js';
+import Transports from './transports.js';
+import OscOutput from './osc-output.js';
 
 const ServoControl = (() => {
+    // Formula profiles: in two-hand mode each hand drives its own set of formulas
+    const FORMULA_PROFILES = {
+        primary: { label: 'Primary Hand' },
+        secondary: { label: 'Secondary Hand (two-hand mode)' }
+    };
+
+    // Protection levels of a servo, from its temperature and load thresholds
+    const PROTECTION_LEVELS = ['ok', 'warning', 'backoff', 'stop'];
+    const BACKOFF_LEVEL = PROTECTION_LEVELS.indexOf('backoff');
+    const STOP_LEVEL = PROTECTION_LEVELS.indexOf('stop');
+
+    // Watchdog actions, taken when no landmarks arrive and by robots whose heartbeat stops
+    const WATCHDOG_ACTIONS = {
+        hold: { label: 'Hold last position' },
+        ease: { label: 'Ease to neutral pose' },
+        release: { label: 'Release servos' }
+    };
+
     // Private variables
-    let robotIp = '';
     let minChangeThreshold = CONFIG.DEFAULT_MIN_CHANGE;
     let sendInterval = CONFIG.DEFAULT_SEND_INTERVAL * 1000; // Convert to milliseconds
-    let lastSentPositions = {};
-    let calculatedPositions = {};
-    let formulas = {};
-    let sendTimer = null;
-    let isConnected = false;
-    let statusUpdateTimer = null;
+    let calculatedPositions = createProfileState(); // Per formula profile, keyed by servo ID
+    let motionLimits = {};
+    let protectionLimits = {}; // Temperature and load thresholds per servo
+    let outputSettings = {}; // Soft limits, inversion and trim per servo
+    let formulas = createProfileState();
+    let compiledFormulas = createProfileState();
+    let calibration = createProfileState(); // Measurement range ({ min, max }) per servo, for calMin and calMax
+    let filterSettings = {};
+    let servoFilters = createProfileState();
+    let targets = []; // Robots the positions are sent to
+    let nextTargetId = 1;
+    let isRunning = false;
+    let isEmergencyStopped = false; // Sends are locked out until re-armed
+    let watchdogSettings = normalizeWatchdogSettings();
+    let stallSettings = normalizeStallSettings();
+    let watchdogTriggered = { primary: false, secondary: false }; // Per formula profile
+    let lastLandmarksTime = {}; // Per formula profile
+    let watchdogTimer = null;
 
     // Callbacks
     let onCalculatedPositionsUpdateCallback = null;
     let onSentPositionsUpdateCallback = null;
     let onRobotStatusUpdateCallback = null;
     let onConnectionStatusChangeCallback = null;
+    let onEmergencyStopChangeCallback = null;
+    let onWatchdogChangeCallback = null;
+    let onProtectionChangeCallback = null;
+    let onStallChangeCallback = null;
+    let onRobotErrorCallback = null;
+
+    // Create an empty object for every formula profile
+    function createProfileState() {
+        const state = {};
+        for (const profile in FORMULA_PROFILES) {
+            state[profile] = {};
+        }
+        return state;
+    }
 
-    // Get the full API URL
-    function getApiUrl() {
-        if (!robotIp) {
-            throw new Error('Robot IP not set');
+    // Create a robot target: a robot with its own transport, send and status
+    // loops, motion state and servo ID remap table. Positions and status are
+    // exchanged in servo map IDs, the remap table translates them to the IDs
+    // used by the robot.
+    function createTarget(id, settings) {
+        let transport = null;
+        let isConnected = false;
+        let lastSentPositions = {};
+        let targetPositions = {}; // Targets the last sent commands were ramping towards
+        let reportedPositions = {}; // Positions from the last robot status update
+        let motionState = {}; // Limited command position and velocity per servo
+        let lastSendTime = null;
+        let sendTimer = null;
+        let statusUpdateTimer = null;
+        let heartbeatTimer = null;
+        let heartbeatFailed = false;
+        let appliedWatchdogAction = null; // Watchdog action the last send tick applied
+        let protectionLevels = {}; // Protection level per servo, an index into PROTECTION_LEVELS
+        let stallStates = {}; // Per servo: { since, stalled }, since when the tracking error is too large
+
+        // Create the transport for the target's address and transport type
+        function createTransport() {
+            if (transport) {
+                transport.disconnect();
+                transport = null;
+            }
+
+            // Serial needs a port, the network transports need the robot IP, the simulator needs neither
+            const hasAddress = settings.transport === 'serial' ? Boolean(settings.serialPort)
+                : settings.transport === 'simulated' || Boolean(settings.host);
+            if (!settings.enabled || !hasAddress) {
+                return;
+            }
+
+            transport = Transports.create(settings.transport, settings);
+            transport.onStatus(handleRobotStatus);
+            transport.onConnectionChange(setConnectionStatus);
+            transport.onError(handleRobotError);
+            transport.connect();
         }
 
-        return `http://${robotIp}${CONFIG.API_ENDPOINT}`;
-    }
+        // Pass on an error the robot reported
+        function handleRobotError(message) {
+            if (onRobotErrorCallback) {
+                onRobotErrorCallback(id, message);
+            }
+        }
 
-    // Send servo positions to the robot hand
-    async function sendServoPositions() {
-        if (!robotIp || !isConnected) {
-            return;
+        // Update the connection status and notify if it changed
+        function setConnectionStatus(connected) {
+            if (isConnected === connected) {
+                return;
+            }
+
+            isConnected = connected;
+            if (onConnectionStatusChangeCallback) {
+                onConnectionStatusChangeCallback(id, connected);
+            }
         }
 
-        // Collect positions that have changed more than the threshold
-        const positionsToSend = [];
+        // Get the robot's ID for a servo, or null if the servo isn't sent to this robot
+        function getRobotServoId(servoId) {
+            const remapped = settings.remap[servoId];
+            return remapped === undefined ? parseInt(servoId, 10) : remapped;
+        }
 
-        for (const servoId in calculatedPositions) {
-            const calculatedPosition = calculatedPositions[servoId];
-            const lastSentPosition = lastSentPositions[servoId] || 0;
+        // Translate servo commands to the robot's servo IDs, dropping servos that aren't sent
+        function toRobotCommands(commands) {
+            return commands
+                .map(command => ({ ...command, id: getRobotServoId(command.id) }))
+                .filter(command => command.id !== null);
+        }
 
-            // Skip if the change is less than the threshold
-            if (Math.abs(calculatedPosition - lastSentPosition) <= minChangeThreshold) {
-                continue;
+        // Send servo positions to the robot hand
+        async function sendServoPositions() {
+            if (!transport || !isConnected || isEmergencyStopped) {
+                return;
+            }
+
+            // Time since the previous send tick in seconds, capped so a pause doesn't allow a jump
+            const now = performance.now();
+            const dt = lastSendTime === null ? sendInterval / 1000 : Math.min(now - lastSendTime, 2 * sendInterval) / 1000;
+            lastSendTime = now;
+
+            // Released servos stay released until landmarks arrive again
+            const watchdogAction = watchdogTriggered[settings.profile] ? watchdogSettings.action : null;
+            if (watchdogAction === 'release') {
+                if (appliedWatchdogAction !== 'release') {
+                    try {
+                        await releaseServos(Object.keys(calculatedPositions[settings.profile]));
+                        appliedWatchdogAction = 'release';
+                    } catch (error) {
+                        console.error(`Error releasing the servos of ${settings.name}:`, error);
+                        setConnectionStatus(false);
+                    }
+                }
+                return;
+            }
+
+            // Released servos may have moved, ramp from their reported positions
+            if (appliedWatchdogAction === 'release') {
+                lastSentPositions = {};
+                motionState = {};
+            }
+            appliedWatchdogAction = watchdogAction;
+
+            // Collect positions of the target's formula profile (or the neutral pose the
+            // watchdog eases to) that have changed more than the threshold
+            const positions = watchdogAction === 'ease'
+                ? getNeutralPose(Object.keys(calculatedPositions[settings.profile]))
+                : calculatedPositions[settings.profile];
+            const speedLimit = watchdogAction === 'ease' ? watchdogSettings.easeSpeed : 0;
+            const positionsToSend = [];
+
+            for (const servoId in positions) {
+                // Servos stopped by the protection or a stall get no positions until reset
+                const protectionLevel = protectionLevels[servoId] || 0;
+                if (protectionLevel === STOP_LEVEL || isStallStopped(servoId)) {
+                    continue;
+                }
+
+                const targetPosition = protectionLevel === BACKOFF_LEVEL
+                    ? backOff(servoId, positions[servoId])
+                    : positions[servoId];
+                const commandedPosition = limitMotion(servoId, targetPosition, dt, speedLimit);
+                const lastSentPosition = lastSentPositions[servoId] || 0;
+                const isRamping = commandedPosition !== targetPosition && commandedPosition !== lastSentPosition;
+
+                // Skip if the change is less than the threshold, unless the limiter is still ramping
+                if (!isRamping && Math.abs(commandedPosition - lastSentPosition) <= minChangeThreshold) {
+                    continue;
+                }
+
+                positionsToSend.push({
+                    id: parseInt(servoId, 10),
+                    position: commandedPosition
+                });
+
+                // Update last sent position
+                lastSentPositions[servoId] = commandedPosition;
+                targetPositions[servoId] = targetPosition;
+            }
+
+            const robotPositions = toRobotCommands(positionsToSend);
+
+            // If no positions to send, skip the API call
+            if (robotPositions.length === 0) {
+                return;
+            }
+
+            try {
+                await transport.send(robotPositions);
+
+                // Notify about sent positions update
+                if (onSentPositionsUpdateCallback) {
+                    onSentPositionsUpdateCallback(id, lastSentPositions, targetPositions);
+                }
+
+                // Update connection status if it was previously disconnected
+                setConnectionStatus(true);
+            } catch (error) {
+                console.error(`Error sending servo positions to ${settings.name}:`, error);
+
+                // Update connection status
+                setConnectionStatus(false);
             }
+        }
 
-            positionsToSend.push({
+        // Release servos (torque off), e.g. when the watchdog is triggered
+        async function releaseServos(servoIds) {
+            await transport.send(toRobotCommands(servoIds.map(servoId => ({
                 id: parseInt(servoId, 10),
-                position: calculatedPosition
-            });
+                release: true
+            }))));
+        }
+
+        // Update the protection level of every reported servo, releasing servos that are stopped
+        function updateProtection(servos) {
+            servos.forEach(servo => {
+                const previousLevel = protectionLevels[servo.id] || 0;
+                const level = getProtectionLevel(servo, previousLevel);
+                if (level === previousLevel) {
+                    return;
+                }
+
+                setProtectionLevel(servo.id, level, servo);
+
+                if (level === STOP_LEVEL) {
+                    // Ramp from the reported position once the servo is reset
+                    delete lastSentPositions[servo.id];
+                    delete motionState[servo.id];
 
-            // Update last sent position
-            lastSentPositions[servoId] = calculatedPosition;
+                    if (transport && isConnected) {
+                        releaseServos([String(servo.id)]).catch(error => {
+                            console.error(`Error releasing servo ${servo.id} of ${settings.name}:`, error);
+                        });
+                    }
+                }
+            });
         }
 
-        // If no positions to send, skip the API call
-        if (positionsToSend.length === 0) {
-            return;
+        // Check whether a servo is stalled and positions to it are stopped
+        function isStallStopped(servoId) {
+            return stallSettings.stopCommanding && Boolean(stallStates[servoId] && stallStates[servoId].stalled);
         }
 
-        try {
-            const response = await fetch(getApiUrl(), {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(positionsToSend)
+        // Compare the reported positions with the last commanded positions, flagging servos whose
+        // tracking error stays above the threshold for longer than the stall duration. Stalls clear
+        // when the error is back below the threshold, unless commanding stalled servos is stopped.
+        function updateStallDetection(servos) {
+            if (!stallSettings.enabled) {
+                return;
+            }
+
+            const now = performance.now();
+
+            servos.forEach(servo => {
+                const commanded = lastSentPositions[servo.id];
+                if (commanded === undefined || servo.position === undefined) {
+                    return;
+                }
+
+                const state = stallStates[servo.id] || (stallStates[servo.id] = { since: null, stalled: false });
+                const details = { commanded, reported: servo.position };
+
+                if (Math.abs(servo.position - commanded) > stallSettings.threshold) {
+                    if (state.since === null) {
+                        state.since = now;
+                    }
+
+                    if (!state.stalled && now - state.since >= stallSettings.duration * 1000) {
+                        state.stalled = true;
+                        notifyStallChange(servo.id, true, details);
+                    }
+                } else {
+                    state.since = null;
+
+                    if (state.stalled && !stallSettings.stopCommanding) {
+                        state.stalled = false;
+                        notifyStallChange(servo.id, false, details);
+                    }
+                }
             });
+        }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}`);
+        // Notify about a servo becoming stalled or no longer stalled
+        function notifyStallChange(servoId, stalled, details) {
+            if (onStallChangeCallback) {
+                onStallChangeCallback(id, parseInt(servoId, 10), stalled, details);
             }
+        }
 
-            // Notify about sent positions update
-            if (onSentPositionsUpdateCallback) {
-                onSentPositionsUpdateCallback(lastSentPositions);
+        // Set the protection level of a servo and notify about the change
+        function setProtectionLevel(servoId, level, status) {
+            if (level === 0) {
+                delete protectionLevels[servoId];
+            } else {
+                protectionLevels[servoId] = level;
             }
 
-            // Update connection status if it was previously disconnected
-            if (!isConnected) {
-                isConnected = true;
-                if (onConnectionStatusChangeCallback) {
-                    onConnectionStatusChangeCallback(true);
-                }
+            if (onProtectionChangeCallback) {
+                onProtectionChangeCallback(id, parseInt(servoId, 10), PROTECTION_LEVELS[level], status);
             }
-        } catch (error) {
-            console.error('Error sending servo positions:', error);
+        }
 
-            // Update connection status
-            if (isConnected) {
-                isConnected = false;
-                if (onConnectionStatusChangeCallback) {
-                    onConnectionStatusChangeCallback(false);
+        // Send a heartbeat, so robots that support it can take the watchdog action when the link is lost
+        async function sendHeartbeat() {
+            if (!transport || !isConnected) {
+                return;
+            }
+
+            try {
+                await transport.sendHeartbeat({ timeout: watchdogSettings.linkTimeout, action: watchdogSettings.action });
+                heartbeatFailed = false;
+            } catch (error) {
+                // Robots without heartbeat support reject it, only log the first failure
+                if (!heartbeatFailed) {
+                    console.error(`Error sending heartbeat to ${settings.name}: ${error.message}`);
+                    heartbeatFailed = true;
                 }
             }
         }
-    }
 
-    // Get robot status from the API
-    async function getRobotStatus() {
-        if (!robotIp) {
-            return;
-        }
+        // Handle a robot status report, polled or pushed by the transport
+        function handleRobotStatus(data) {
+            if (!Array.isArray(data)) {
+                return;
+            }
 
-        try {
-            const response = await fetch(getApiUrl(), {
-                method: 'GET'
+            // Translate the robot's servo IDs back to servo map IDs
+            const servoIds = {};
+            ServoMap.getServos().forEach(servo => {
+                const robotServoId = getRobotServoId(servo.id);
+                if (robotServoId !== null) {
+                    servoIds[robotServoId] = servo.id;
+                }
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}`);
-            }
+            const servos = data
+                .filter(servo => servoIds[servo.id] !== undefined)
+                .map(servo => ({ ...servo, id: servoIds[servo.id] }));
+
+            updateProtection(servos);
+
+            // Remember where the servos are, so the motion limiter can start from there
+            servos.forEach(servo => {
+                if (servo.position !== undefined) {
+                    reportedPositions[servo.id] = servo.position;
+                }
+            });
 
-            const data = await response.json();
+            updateStallDetection(servos);
 
             // Notify about robot status update
             if (onRobotStatusUpdateCallback) {
-                onRobotStatusUpdateCallback(data);
+                onRobotStatusUpdateCallback(id, servos);
+            }
+        }
+
+        // Get robot status from the API
+        async function getRobotStatus() {
+            if (!transport) {
+                return;
             }
 
-            // Update connection status if it was previously disconnected
-            if (!isConnected) {
-                isConnected = true;
-                if (onConnectionStatusChangeCallback) {
-                    onConnectionStatusChangeCallback(true);
+            try {
+                // Transports that answer asynchronously deliver the status through onStatus
+                const data = await transport.requestStatus();
+                if (data !== null) {
+                    handleRobotStatus(data);
+                }
+
+                // Update connection status if it was previously disconnected
+                setConnectionStatus(true);
+            } catch (error) {
+                // Only show status message if we were previously connected
+                if (isConnected) {
+                    console.error(`Error getting robot status from ${settings.name}: ${error.message}`);
                 }
+
+                // Update connection status
+                setConnectionStatus(false);
             }
-        } catch (error) {
-            console.error('Error getting robot status:', error);
+        }
+
+        // Move the commanded position of a servo towards its target within its
+        // velocity (units/s) and acceleration (units/s²) limits, 0 meaning unlimited.
+        // speedLimit (units/s) further limits the velocity, e.g. while the watchdog eases
+        function limitMotion(servoId, target, dt, speedLimit = 0) {
+            const limits = motionLimits[servoId] || {};
+            let maxVelocity = limits.maxVelocity || 0;
+            if (speedLimit > 0) {
+                maxVelocity = maxVelocity > 0 ? Math.min(maxVelocity, speedLimit) : speedLimit;
+            }
+            const maxAcceleration = limits.maxAcceleration || 0;
+
+            // Start from the reported robot position if known
+            let state = motionState[servoId];
+            if (!state) {
+                const start = reportedPositions[servoId] !== undefined ? reportedPositions[servoId] : target;
+                state = motionState[servoId] = { position: start, velocity: 0 };
+            }
+
+            const distance = target - state.position;
+            let velocity = distance / dt;
 
-            // Only show status message if we were previously connected
-            if (isConnected) {
-                console.error(`Error getting robot status: ${error.message}`);
+            if (maxVelocity > 0) {
+                velocity = Math.max(-maxVelocity, Math.min(maxVelocity, velocity));
             }
 
-            // Update connection status
-            if (isConnected) {
-                isConnected = false;
-                if (onConnectionStatusChangeCallback) {
-                    onConnectionStatusChangeCallback(false);
+            if (maxAcceleration > 0) {
+                // Slow down early enough to stop at the target...
+                const stoppingVelocity = Math.sqrt(2 * maxAcceleration * Math.abs(distance));
+                velocity = Math.max(-stoppingVelocity, Math.min(stoppingVelocity, velocity));
+
+                // ...and change speed no faster than the acceleration limit
+                const maxChange = maxAcceleration * dt;
+                velocity = Math.max(state.velocity - maxChange, Math.min(state.velocity + maxChange, velocity));
+            }
+
+            let position = state.position + velocity * dt;
+
+            // Don't overshoot the target
+            if ((target - position) * distance <= 0) {
+                position = target;
+                velocity = 0;
+            }
+
+            state.position = position;
+            state.velocity = velocity;
+
+            return Math.round(position);
+        }
+
+        // Start the send timer
+        function startSendTimer() {
+            stopSendTimer();
+            lastSendTime = null;
+            sendTimer = setInterval(sendServoPositions, sendInterval);
+        }
+
+        // Stop the send timer
+        function stopSendTimer() {
+            if (sendTimer) {
+                clearInterval(sendTimer);
+                sendTimer = null;
+            }
+        }
+
+        // Start the status update timer
+        function startStatusUpdateTimer() {
+            stopStatusUpdateTimer();
+
+            // Transports that push status updates don't need to be polled
+            if (!transport || transport.pushesStatus) {
+                return;
+            }
+
+            // Initial status update
+            getRobotStatus();
+
+            statusUpdateTimer = setInterval(getRobotStatus, CONFIG.ROBOT_STATUS_UPDATE_INTERVAL);
+        }
+
+        // Stop the status update timer
+        function stopStatusUpdateTimer() {
+            if (statusUpdateTimer) {
+                clearInterval(statusUpdateTimer);
+                statusUpdateTimer = null;
+            }
+        }
+
+        // Start the heartbeat timer if the heartbeat is enabled, sending several heartbeats per link timeout
+        function startHeartbeatTimer() {
+            stopHeartbeatTimer();
+
+            if (!transport || !watchdogSettings.heartbeat) {
+                return;
+            }
+
+            heartbeatFailed = false;
+            heartbeatTimer = setInterval(sendHeartbeat, watchdogSettings.linkTimeout / 3);
+        }
+
+        // Stop the heartbeat timer
+        function stopHeartbeatTimer() {
+            if (heartbeatTimer) {
+                clearInterval(heartbeatTimer);
+                heartbeatTimer = null;
+            }
+        }
+
+        return {
+            id,
+
+            getSettings: function () {
+                return { id, ...settings, remap: { ...settings.remap } };
+            },
+
+            isConnected: function () {
+                return isConnected;
+            },
+
+            // Apply changed settings. The target only reconnects when it is enabled or disabled or
+            // the robot's address changes. Protection levels and stalls are kept, they stay latched
+            // until reset.
+            update: function (newSettings) {
+                const reconnect = ['enabled', 'transport', 'host', 'serialPort', 'baudRate']
+                    .some(key => newSettings[key] !== settings[key]);
+
+                // Servos sent to another robot servo ramp from that servo's reported position
+                const servoIds = new Set([...Object.keys(settings.remap), ...Object.keys(newSettings.remap)]);
+                servoIds.forEach(servoId => {
+                    if (settings.remap[servoId] !== newSettings.remap[servoId]) {
+                        delete lastSentPositions[servoId];
+                        delete reportedPositions[servoId];
+                        delete motionState[servoId];
+                    }
+                });
+
+                settings = newSettings;
+
+                if (reconnect) {
+                    const wasSending = sendTimer !== null;
+                    this.disconnect();
+
+                    // Ramp from the positions the robot reports after reconnecting. Stalled servos
+                    // keep their last commanded position, so their tracking error shows until reset.
+                    for (const servoId in lastSentPositions) {
+                        if (!(stallStates[servoId] && stallStates[servoId].stalled)) {
+                            delete lastSentPositions[servoId];
+                            delete targetPositions[servoId];
+                        }
+                    }
+                    reportedPositions = {};
+                    motionState = {};
+
+                    this.connect();
+                    if (wasSending) {
+                        startSendTimer();
+                    }
+                }
+            },
+
+            // Connect and start polling the robot status and sending heartbeats
+            connect: function () {
+                createTransport();
+                startStatusUpdateTimer();
+                startHeartbeatTimer();
+            },
+
+            // Stop all loops and close the connection
+            disconnect: function () {
+                stopSendTimer();
+                stopStatusUpdateTimer();
+                stopHeartbeatTimer();
+
+                if (transport) {
+                    transport.disconnect();
+                    transport = null;
+                }
+
+                setConnectionStatus(false);
+            },
+
+            // Start or restart the send loop
+            start: function () {
+                startSendTimer();
+            },
+
+            // Stop the send loop
+            stop: function () {
+                stopSendTimer();
+            },
+
+            isSending: function () {
+                return sendTimer !== null;
+            },
+
+            // Get the protection levels of the servos that aren't ok, keyed by servo map ID
+            getProtectionLevels: function () {
+                const levels = {};
+                for (const servoId in protectionLevels) {
+                    levels[servoId] = PROTECTION_LEVELS[protectionLevels[servoId]];
+                }
+                return levels;
+            },
+
+            // Get the tracking error of every servo with a commanded and a reported position, keyed by servo map ID
+            getTrackingErrors: function () {
+                const errors = {};
+                for (const servoId in reportedPositions) {
+                    if (lastSentPositions[servoId] === undefined) {
+                        continue;
+                    }
+
+                    errors[servoId] = {
+                        commanded: lastSentPositions[servoId],
+                        reported: reportedPositions[servoId],
+                        error: Math.abs(reportedPositions[servoId] - lastSentPositions[servoId]),
+                        stalled: Boolean(stallStates[servoId] && stallStates[servoId].stalled)
+                    };
+                }
+                return errors;
+            },
+
+            // Clear the stall of a servo, commanding it again from its reported position
+            resetStall: function (servoId) {
+                const wasStalled = Boolean(stallStates[servoId] && stallStates[servoId].stalled);
+                delete stallStates[servoId];
+                delete lastSentPositions[servoId];
+                delete motionState[servoId];
+
+                if (wasStalled) {
+                    notifyStallChange(servoId, false, null);
                 }
+            },
+
+            // Clear the stall state of every servo, e.g. when stall detection is turned off
+            clearStalls: function () {
+                for (const servoId in stallStates) {
+                    if (stallStates[servoId].stalled) {
+                        this.resetStall(servoId);
+                    }
+                }
+                stallStates = {};
+            },
+
+            // Clear the protection level of a servo, letting a stopped servo move again
+            resetProtection: function (servoId) {
+                if (protectionLevels[servoId]) {
+                    setProtectionLevel(servoId, 0, null);
+                }
+            },
+
+            // Restart the heartbeat loop, e.g. after the watchdog settings changed
+            restartHeartbeat: function () {
+                startHeartbeatTimer();
+            },
+
+            // Stop the send loop and move the servos straight to a pose, keyed by servo map ID.
+            // Servos stopped by the protection stay released.
+            sendPose: async function (positions) {
+                stopSendTimer();
+
+                if (!transport) {
+                    throw new Error(`Not connected to ${settings.name}`);
+                }
+
+                const servoIds = Object.keys(positions).filter(servoId => protectionLevels[servoId] !== STOP_LEVEL);
+                const commands = servoIds.map(servoId => ({
+                    id: parseInt(servoId, 10),
+                    position: positions[servoId]
+                }));
+                await transport.send(toRobotCommands(commands));
+
+                // Ramp from the pose when sending resumes
+                for (const servoId of servoIds) {
+                    lastSentPositions[servoId] = positions[servoId];
+                    targetPositions[servoId] = positions[servoId];
+                    motionState[servoId] = { position: positions[servoId], velocity: 0 };
+                }
+
+                if (onSentPositionsUpdateCallback) {
+                    onSentPositionsUpdateCallback(id, lastSentPositions, targetPositions);
+                }
+            },
+
+            // Send servo commands (e.g. limits) to the robot, translated to its servo IDs
+            send: async function (commands) {
+                if (!transport || !isConnected) {
+                    throw new Error(`Not connected to ${settings.name}`);
+                }
+
+                await transport.send(toRobotCommands(commands));
+            },
+
+            // Move the state and remap entry of a servo to a new ID
+            renameServo: function (oldId, newId) {
+                [lastSentPositions, targetPositions, reportedPositions, motionState, protectionLevels,
+                    stallStates, settings.remap].forEach(state => {
+                    if (state[oldId] !== undefined) {
+                        state[newId] = state[oldId];
+                        delete state[oldId];
+                    }
+                });
+            }
+        };
+    }
+
+    // Make sure target settings are complete
+    function normalizeTargetSettings(settings) {
+        const baudRate = parseInt(settings && settings.baudRate, 10);
+        const remap = {};
+
+        // Remap entries: a robot servo ID, or null for servos that aren't sent to the target
+        const entries = (settings && settings.remap) || {};
+        for (const servoId in entries) {
+            const value = entries[servoId];
+            const robotServoId = parseInt(value, 10);
+
+            if (value === null || value === '-') {
+                remap[servoId] = null;
+            } else if (!isNaN(robotServoId) && robotServoId >= 0) {
+                remap[servoId] = robotServoId;
             }
         }
+
+        return {
+            name: settings && settings.name ? String(settings.name).trim() : 'Robot',
+            enabled: !settings || settings.enabled !== false,
+            profile: settings && FORMULA_PROFILES[settings.profile] ? settings.profile : 'primary',
+            transport: settings && Transports.getTypes()[settings.transport] ? settings.transport : CONFIG.DEFAULT_TRANSPORT,
+            host: settings && settings.host ? String(settings.host).trim() : '',
+            serialPort: settings && settings.serialPort ? String(settings.serialPort).trim() : '',
+            baudRate: isNaN(baudRate) || baudRate <= 0 ? CONFIG.SERIAL.DEFAULT_BAUD_RATE : baudRate,
+            remap
+        };
+    }
+
+    // Create and connect a target, sending right away if servo control is running
+    function addTarget(id, settings) {
+        const target = createTarget(id, normalizeTargetSettings(settings));
+        target.connect();
+
+        if (isRunning && !isEmergencyStopped) {
+            target.start();
+        }
+
+        return target;
     }
 
-    // Calculate servo positions based on landmarks and formulas
-    function calculatePositions(landmarks) {
+    // Find a target by ID
+    function findTarget(id) {
+        return targets.find(target => target.id === parseInt(id, 10));
+    }
+
+    // Calculate servo positions of a formula profile based on landmarks and formulas
+    function calculatePositions(profile, landmarks, hands, timestamp) {
         if (!landmarks) {
             return;
         }
 
-        // Process each servo formula
-        for (const servoId in formulas) {
-            const formula = formulas[servoId];
+        lastLandmarksTime[profile] = performance.now();
+
+        const positions = calculatedPositions[profile];
+        const clamped = []; // Servos whose formula result was outside their output range
+        const failed = []; // Servos whose formula couldn't be evaluated
 
-            // Skip empty formulas
-            if (!formula || formula.trim() === '') {
+        // Process each compiled servo formula
+        for (const servoId in compiledFormulas[profile]) {
+            // Skip formulas of servos that are no longer defined
+            if (!ServoMap.getServo(servoId)) {
+                delete positions[servoId];
                 continue;
             }
 
             try {
                 // Evaluate the formula
-                const position = FormulaParser.evaluate(servoId, formula, landmarks);
-                calculatedPositions[servoId] = position;
+                const value = applyOutputSettings(servoId, compiledFormulas[profile][servoId](landmarks, hands, calibration[profile][servoId]));
+                const range = getOutputRange(servoId);
+                if (value < range.min || value > range.max) {
+                    clamped.push(parseInt(servoId, 10));
+                }
+
+                const position = ServoMap.clamp(servoId, Math.max(range.min, Math.min(range.max, value)));
+
+                // Smooth the position with the servo's filter
+                positions[servoId] = Math.round(getFilter(profile, servoId).filter(position, timestamp));
             } catch (error) {
                 console.error(`Error evaluating formula for servo ${servoId}:`, error);
+                failed.push(parseInt(servoId, 10));
                 // Keep the previous calculated position
             }
         }
 
         // Notify about calculated positions update
         if (onCalculatedPositionsUpdateCallback) {
-            onCalculatedPositionsUpdateCallback(calculatedPositions);
+            onCalculatedPositionsUpdateCallback(profile, positions, { clamped, failed });
+        }
+    }
+
+    // Get the neutral pose: the default position of the servos (all, or those with the
+    // given IDs), within their soft limits. Sent as the safe pose by the emergency stop
+    // and eased to by the watchdog.
+    function getNeutralPose(servoIds) {
+        const pose = {};
+
+        ServoMap.getServos().forEach(servo => {
+            if (servoIds && !servoIds.includes(String(servo.id))) {
+                return;
+            }
+
+            const range = getOutputRange(servo.id);
+            pose[servo.id] = Math.max(range.min, Math.min(range.max, servo.defaultPosition));
+        });
+
+        return pose;
+    }
+
+    // Move a servo position toward the servo's neutral position while it is backed off by the protection
+    function backOff(servoId, position) {
+        const neutral = getNeutralPose([String(servoId)])[servoId];
+        if (neutral === undefined) {
+            return position;
+        }
+
+        return Math.round(neutral + (position - neutral) * CONFIG.PROTECTION.BACKOFF_FACTOR);
+    }
+
+    // Make sure protection limits are complete: temperature and load thresholds per level, 0 for off
+    function normalizeProtectionLimits(limits) {
+        const normalized = {};
+
+        ['temperature', 'load'].forEach(metric => {
+            const defaults = CONFIG.PROTECTION[metric.toUpperCase()];
+            normalized[metric] = {};
+
+            PROTECTION_LEVELS.slice(1).forEach(level => {
+                const number = parseFloat(limits && limits[metric] && limits[metric][level]);
+                normalized[metric][level] = isNaN(number) || number < 0 ? defaults[level.toUpperCase()] : number;
+            });
+        });
+
+        return normalized;
+    }
+
+    // Get the protection level of a servo from its reported temperature and load. Stops are
+    // latched until reset, lower levels only clear once the values dropped by the hysteresis.
+    function getProtectionLevel(servo, currentLevel) {
+        if (currentLevel === STOP_LEVEL) {
+            return STOP_LEVEL;
         }
+
+        const limits = protectionLimits[servo.id] || normalizeProtectionLimits();
+        const exceeds = (value, threshold, hysteresis, isActive) =>
+            value !== undefined && value !== null && threshold > 0 &&
+            Math.abs(value) >= threshold - (isActive ? hysteresis : 0);
+
+        let level = 0;
+        PROTECTION_LEVELS.forEach((name, index) => {
+            if (index === 0) {
+                return;
+            }
+
+            const isActive = index <= currentLevel;
+            if (exceeds(servo.temperature, limits.temperature[name], CONFIG.PROTECTION.TEMPERATURE_HYSTERESIS, isActive) ||
+                exceeds(servo.load, limits.load[name], CONFIG.PROTECTION.LOAD_HYSTERESIS, isActive)) {
+                level = index;
+            }
+        });
+
+        return level;
     }
 
-    // Start the send timer
-    function startSendTimer() {
-        if (sendTimer) {
-            clearInterval(sendTimer);
+    // Make sure stall detection settings are complete, with a positive threshold and duration
+    function normalizeStallSettings(settings) {
+        const toPositive = (value, defaultValue) => {
+            const number = parseFloat(value);
+            return isNaN(number) || number <= 0 ? defaultValue : number;
+        };
+        const toBoolean = (value, defaultValue) => value !== undefined ? Boolean(value) : defaultValue;
+
+        return {
+            enabled: toBoolean(settings && settings.enabled, CONFIG.STALL_DETECTION.DEFAULT_ENABLED),
+            threshold: toPositive(settings && settings.threshold, CONFIG.STALL_DETECTION.DEFAULT_THRESHOLD),
+            duration: toPositive(settings && settings.duration, CONFIG.STALL_DETECTION.DEFAULT_DURATION),
+            stopCommanding: toBoolean(settings && settings.stopCommanding, CONFIG.STALL_DETECTION.DEFAULT_STOP_COMMANDING)
+        };
+    }
+
+    // Make sure watchdog settings are complete, with positive timeouts and speed
+    function normalizeWatchdogSettings(settings) {
+        const toPositive = (value, defaultValue) => {
+            const number = parseFloat(value);
+            return isNaN(number) || number <= 0 ? defaultValue : number;
+        };
+
+        return {
+            action: settings && WATCHDOG_ACTIONS[settings.action] ? settings.action : CONFIG.WATCHDOG.DEFAULT_ACTION,
+            landmarkTimeout: toPositive(settings && settings.landmarkTimeout, CONFIG.WATCHDOG.DEFAULT_LANDMARK_TIMEOUT),
+            easeSpeed: toPositive(settings && settings.easeSpeed, CONFIG.WATCHDOG.DEFAULT_EASE_SPEED),
+            heartbeat: settings && settings.heartbeat !== undefined
+                ? Boolean(settings.heartbeat)
+                : CONFIG.WATCHDOG.DEFAULT_HEARTBEAT_ENABLED,
+            linkTimeout: toPositive(settings && settings.linkTimeout, CONFIG.WATCHDOG.DEFAULT_LINK_TIMEOUT)
+        };
+    }
+
+    // Set whether the watchdog of a formula profile is triggered, notifying about changes
+    function setWatchdogTriggered(profile, triggered) {
+        if (watchdogTriggered[profile] === triggered) {
+            return;
+        }
+
+        watchdogTriggered[profile] = triggered;
+        if (onWatchdogChangeCallback) {
+            onWatchdogChangeCallback(profile, triggered, watchdogSettings);
+        }
+    }
+
+    // Trigger the watchdog of formula profiles whose landmarks stopped arriving
+    function checkWatchdog() {
+        const now = performance.now();
+
+        for (const profile in FORMULA_PROFILES) {
+            // Profiles without positions have nothing to act on
+            const hasPositions = Object.keys(calculatedPositions[profile]).length > 0;
+            setWatchdogTriggered(profile, hasPositions && now - lastLandmarksTime[profile] > watchdogSettings.landmarkTimeout);
+        }
+    }
+
+    // Start the watchdog, counting the timeout from now
+    function startWatchdog() {
+        stopWatchdog();
+
+        const now = performance.now();
+        for (const profile in FORMULA_PROFILES) {
+            lastLandmarksTime[profile] = now;
+        }
+
+        watchdogTimer = setInterval(checkWatchdog, CONFIG.WATCHDOG.CHECK_INTERVAL);
+    }
+
+    // Stop the watchdog
+    function stopWatchdog() {
+        if (watchdogTimer) {
+            clearInterval(watchdogTimer);
+            watchdogTimer = null;
+        }
+
+        for (const profile in FORMULA_PROFILES) {
+            setWatchdogTriggered(profile, false);
+        }
+    }
+
+    // Notify about a change of the emergency stop state
+    function notifyEmergencyStopChange() {
+        if (onEmergencyStopChangeCallback) {
+            onEmergencyStopChangeCallback(isEmergencyStopped);
+        }
+    }
+
+    // Get the range a servo's positions are limited to: its soft limits within its full range
+    function getOutputRange(servoId) {
+        const range = ServoMap.getRange(servoId);
+        const settings = outputSettings[servoId];
+        if (!settings) {
+            return range;
+        }
+
+        return {
+            min: settings.min !== null ? Math.max(range.min, settings.min) : range.min,
+            max: settings.max !== null ? Math.min(range.max, settings.max) : range.max
+        };
+    }
+
+    // Apply a servo's inversion and offset to a formula result, soft limits are applied by the caller
+    function applyOutputSettings(servoId, value) {
+        const settings = outputSettings[servoId];
+        if (!settings) {
+            return value;
+        }
+
+        const range = ServoMap.getRange(servoId);
+        const min = settings.min !== null ? settings.min : range.min;
+        const max = settings.max !== null ? settings.max : range.max;
+
+        // Invert within the output range, so min and max swap places
+        if (settings.invert) {
+            value = min + max - value;
         }
 
-        sendTimer = setInterval(sendServoPositions, sendInterval);
+        return value + settings.offset;
     }
 
-    // Stop the send timer
-    function stopSendTimer() {
-        if (sendTimer) {
-            clearInterval(sendTimer);
-            sendTimer = null;
+    // Make sure output settings are complete, with null for unset limits
+    function normalizeOutputSettings(settings) {
+        const toLimit = value => {
+            const number = parseFloat(value);
+            return isNaN(number) ? null : number;
+        };
+
+        const normalized = {
+            min: toLimit(settings && settings.min),
+            max: toLimit(settings && settings.max),
+            invert: Boolean(settings && settings.invert),
+            offset: toLimit(settings && settings.offset) || 0
+        };
+
+        // Keep the range the right way round
+        if (normalized.min !== null && normalized.max !== null && normalized.min > normalized.max) {
+            [normalized.min, normalized.max] = [normalized.max, normalized.min];
         }
+
+        return normalized;
+    }
+
+    // Make sure motion limits are non-negative numbers
+    function normalizeMotionLimits(limits) {
+        const toLimit = value => {
+            const number = parseFloat(value);
+            return isNaN(number) || number < 0 ? 0 : number;
+        };
+
+        return {
+            maxVelocity: toLimit(limits && limits.maxVelocity),
+            maxAcceleration: toLimit(limits && limits.maxAcceleration)
+        };
     }
 
-    // Start the status update timer
-    function startStatusUpdateTimer() {
-        if (statusUpdateTimer) {
-            clearInterval(statusUpdateTimer);
+    // Get the filter instance for a servo in a formula profile, creating it from its settings if needed
+    function getFilter(profile, servoId) {
+        if (!servoFilters[profile][servoId]) {
+            servoFilters[profile][servoId] = Filters.create(filterSettings[servoId]);
         }
 
-        // Initial status update
-        getRobotStatus();
+        return servoFilters[profile][servoId];
+    }
 
-        statusUpdateTimer = setInterval(getRobotStatus, CONFIG.ROBOT_STATUS_UPDATE_INTERVAL);
+    // Drop the filter instances of a servo, so they are recreated from its settings
+    function resetFilters(servoId) {
+        for (const profile in servoFilters) {
+            delete servoFilters[profile][servoId];
+        }
     }
 
-    // Stop the status update timer
-    function stopStatusUpdateTimer() {
-        if (statusUpdateTimer) {
-            clearInterval(statusUpdateTimer);
-            statusUpdateTimer = null;
+    // Compile a formula, storing the result for the servo in a formula profile
+    // Returns false (keeping the previous compiled formula) if the formula is invalid
+    function compileFormula(profile, servoId, formula) {
+        // Empty formulas disable the servo, its last position isn't sent any more
+        if (!formula || formula.trim() === '') {
+            delete compiledFormulas[profile][servoId];
+            delete calculatedPositions[profile][servoId];
+            delete servoFilters[profile][servoId];
+            return true;
+        }
+
+        try {
+            compiledFormulas[profile][servoId] = FormulaParser.compile(formula);
+
+            // Don't smooth towards values of the previous formula
+            delete servoFilters[profile][servoId];
+            return true;
+        } catch (error) {
+            return false;
         }
     }
 
@@ -223,56 +1085,293 @@ const ServoControl = (() => {
     return {
         /**
          * Initialize the servo control module
-         * @param {string} ip - The robot hand IP address
          * @param {number} minChange - The minimum change threshold
          * @param {number} interval - The send interval in seconds
          */
-        init: function (ip, minChange, interval) {
-            robotIp = ip;
+        init: function (minChange, interval) {
             minChangeThreshold = minChange;
             sendInterval = interval * 1000; // Convert to milliseconds
 
             // Initialize empty objects
-            lastSentPositions = {};
-            calculatedPositions = {};
-            formulas = {};
-
-            // Start status update timer
-            startStatusUpdateTimer();
+            calculatedPositions = createProfileState();
+            formulas = createProfileState();
+            compiledFormulas = createProfileState();
+            servoFilters = createProfileState();
+
+            // Start with a single robot if no targets have been configured yet
+            if (targets.length === 0) {
+                this.setTargets([{ name: 'Robot 1' }]);
+            }
         },
 
         /**
-         * Start servo control
+         * Start servo control, unless the emergency stop is active
+         * @returns {boolean} True if started, false if locked out by the emergency stop
          */
         start: function () {
-            // Start send timer
-            startSendTimer();
+            if (isEmergencyStopped) {
+                return false;
+            }
+
+            startWatchdog();
+            isRunning = true;
+
+            // Start the send loop of every target
+            targets.forEach(target => target.start());
+            return true;
+        },
+
+        /**
+         * Check if servo control is running
+         * @returns {boolean} True if started
+         */
+        isRunning: function () {
+            return isRunning;
         },
 
         /**
          * Stop servo control
          */
         stop: function () {
-            // Stop send timer
-            stopSendTimer();
+            isRunning = false;
+            stopWatchdog();
+
+            // Stop the send loop of every target
+            targets.forEach(target => target.stop());
         },
 
         /**
-         * Update robot IP address
-         * @param {string} ip - The new robot IP address
+         * Emergency stop: stop servo control, send the safe pose (the servos' default
+         * positions) to every enabled target and lock out sends until re-armed
+         * @returns {Promise<Object>} Resolves with { sent, failed }: the number of targets the
+         *                            safe pose was sent to and the names of those it failed for
          */
-        updateRobotIp: function (ip) {
-            robotIp = ip;
+        emergencyStop: async function () {
+            // Lock out sends before anything else
+            isEmergencyStopped = true;
+            isRunning = false;
+            stopWatchdog();
+            targets.forEach(target => target.stop());
+            notifyEmergencyStopChange();
+
+            const pose = getNeutralPose();
+            const enabledTargets = targets.filter(target => target.getSettings().enabled);
+            const results = await Promise.allSettled(enabledTargets.map(target => target.sendPose(pose)));
+
+            const failed = [];
+            results.forEach((result, index) => {
+                if (result.status === 'rejected') {
+                    console.error('Error sending the safe pose:', result.reason);
+                    failed.push(enabledTargets[index].getSettings().name);
+                }
+            });
 
-            // Reset connection status
-            isConnected = false;
-            if (onConnectionStatusChangeCallback) {
-                onConnectionStatusChangeCallback(false);
+            return { sent: results.length - failed.length, failed };
+        },
+
+        /**
+         * Re-arm after an emergency stop, allowing servo control to be started again
+         */
+        rearm: function () {
+            if (!isEmergencyStopped) {
+                return;
             }
 
-            // Restart status update timer
-            stopStatusUpdateTimer();
-            startStatusUpdateTimer();
+            isEmergencyStopped = false;
+            notifyEmergencyStopChange();
+        },
+
+        /**
+         * Check if the emergency stop is active
+         * @returns {boolean} True if sends are locked out until re-armed
+         */
+        isEmergencyStopped: function () {
+            return isEmergencyStopped;
+        },
+
+        /**
+         * Set the protection limits for a servo
+         * @param {number} servoId - The servo ID
+         * @param {Object} limits - { temperature: { warning, backoff, stop }, load: { warning, backoff, stop } }
+         *                          in °C and percent, 0 for off
+         */
+        setProtectionLimit: function (servoId, limits) {
+            protectionLimits[servoId] = normalizeProtectionLimits(limits);
+        },
+
+        /**
+         * Get the protection limits of all servos, the defaults for servos without their own
+         * @returns {Object} Protection limits keyed by servo ID
+         */
+        getProtectionLimits: function () {
+            const limits = {};
+            ServoMap.getServos().forEach(servo => {
+                limits[servo.id] = protectionLimits[servo.id] || normalizeProtectionLimits();
+            });
+            return limits;
+        },
+
+        /**
+         * Set the protection limits of all servos
+         * @param {Object} newLimits - Protection limits keyed by servo ID
+         */
+        setProtectionLimits: function (newLimits) {
+            protectionLimits = {};
+
+            for (const servoId in newLimits) {
+                protectionLimits[servoId] = normalizeProtectionLimits(newLimits[servoId]);
+            }
+        },
+
+        /**
+         * Get the protection levels of a robot target's servos
+         * @param {number} targetId - The target ID
+         * @returns {Object} Levels ('warning', 'backoff' or 'stop') keyed by servo ID, for
+         *                   servos that aren't ok
+         */
+        getProtectionLevels: function (targetId) {
+            const target = findTarget(targetId);
+            return target ? target.getProtectionLevels() : {};
+        },
+
+        /**
+         * Reset the protection of a servo of a robot target, letting a stopped servo move again
+         * @param {number} targetId - The target ID
+         * @param {number} servoId - The servo ID
+         */
+        resetProtection: function (targetId, servoId) {
+            const target = findTarget(targetId);
+            if (target) {
+                target.resetProtection(servoId);
+            }
+        },
+
+        /**
+         * Get the stall detection settings
+         * @returns {Object} { enabled, threshold, duration, stopCommanding }, threshold in
+         *                   position units, duration in seconds
+         */
+        getStallSettings: function () {
+            return { ...stallSettings };
+        },
+
+        /**
+         * Set the stall detection settings, turning detection off clears all stalls
+         * @param {Object} settings - The stall detection settings, see getStallSettings
+         */
+        setStallSettings: function (settings) {
+            stallSettings = normalizeStallSettings({ ...stallSettings, ...settings });
+
+            if (!stallSettings.enabled) {
+                targets.forEach(target => target.clearStalls());
+            }
+        },
+
+        /**
+         * Get the tracking errors of a robot target's servos: the distance between the last
+         * commanded and the reported position
+         * @param {number} targetId - The target ID
+         * @returns {Object} { commanded, reported, error, stalled } keyed by servo ID
+         */
+        getTrackingErrors: function (targetId) {
+            const target = findTarget(targetId);
+            return target ? target.getTrackingErrors() : {};
+        },
+
+        /**
+         * Clear the stall of a servo of a robot target, commanding it again
+         * @param {number} targetId - The target ID
+         * @param {number} servoId - The servo ID
+         */
+        resetStall: function (targetId, servoId) {
+            const target = findTarget(targetId);
+            if (target) {
+                target.resetStall(servoId);
+            }
+        },
+
+        /**
+         * Get the watchdog actions
+         * @returns {Object} Watchdog actions keyed by name, with label
+         */
+        getWatchdogActions: function () {
+            return WATCHDOG_ACTIONS;
+        },
+
+        /**
+         * Get the watchdog settings
+         * @returns {Object} { action, landmarkTimeout, easeSpeed, heartbeat, linkTimeout },
+         *                   timeouts in milliseconds, speed in position units per second
+         */
+        getWatchdogSettings: function () {
+            return { ...watchdogSettings };
+        },
+
+        /**
+         * Set the watchdog settings, restarting the heartbeat of every target
+         * @param {Object} settings - The watchdog settings, see getWatchdogSettings
+         */
+        setWatchdogSettings: function (settings) {
+            watchdogSettings = normalizeWatchdogSettings({ ...watchdogSettings, ...settings });
+            targets.forEach(target => target.restartHeartbeat());
+        },
+
+        /**
+         * Get the settings of all robot targets
+         * @returns {Array} Target settings: { id, name, enabled, profile, transport, host,
+         *                  serialPort, baudRate, remap }
+         */
+        getTargets: function () {
+            return targets.map(target => target.getSettings());
+        },
+
+        /**
+         * Replace all robot targets
+         * @param {Array} newTargets - Target settings, see getTargets
+         */
+        setTargets: function (newTargets) {
+            targets.forEach(target => target.disconnect());
+            targets = newTargets.map(settings => addTarget(nextTargetId++, settings));
+        },
+
+        /**
+         * Add a robot target
+         * @param {Object} settings - Target settings, see getTargets
+         * @returns {number} The ID of the new target
+         */
+        addTarget: function (settings) {
+            const target = addTarget(nextTargetId++, settings);
+            targets.push(target);
+            return target.id;
+        },
+
+        /**
+         * Update the settings of a robot target, reconnecting it if its robot address or
+         * transport changed. Protection levels and stalls of its servos are kept.
+         * @param {number} id - The target ID
+         * @param {Object} settings - The changed target settings
+         */
+        updateTarget: function (id, settings) {
+            const target = findTarget(id);
+            if (!target) {
+                return;
+            }
+
+            target.update(normalizeTargetSettings({ ...target.getSettings(), ...settings }));
+        },
+
+        /**
+         * Remove a robot target
+         * @param {number} id - The target ID
+         */
+        removeTarget: function (id) {
+            const target = findTarget(id);
+            if (!target) {
+                return;
+            }
+
+            target.disconnect();
+            targets = targets.filter(other => other !== target);
         },
 
         /**
@@ -290,29 +1389,35 @@ const ServoControl = (() => {
         updateSendInterval: function (interval) {
             sendInterval = interval * 1000; // Convert to milliseconds
 
-            // Restart send timer if running
-            if (sendTimer) {
-                stopSendTimer();
-                startSendTimer();
-            }
+            // Restart the send timers that are running
+            targets.filter(target => target.isSending()).forEach(target => target.start());
         },
 
         /**
          * Update formula for a servo
          * @param {number} servoId - The servo ID
          * @param {string} formula - The formula to evaluate
+         * @param {string} [profile='primary'] - The formula profile
          * @returns {boolean} True if the formula is valid, false otherwise
          */
-        updateFormula: function (servoId, formula) {
-            // Validate formula
-            if (formula && formula.trim() !== '' && !FormulaParser.validate(formula)) {
+        updateFormula: function (servoId, formula, profile = 'primary') {
+            // Validate and compile formula
+            if (!compileFormula(profile, servoId, formula)) {
                 return false;
             }
 
-            formulas[servoId] = formula;
+            formulas[profile][servoId] = formula;
             return true;
         },
 
+        /**
+         * Get the formula profiles
+         * @returns {Object} Formula profiles keyed by name, with label
+         */
+        getProfiles: function () {
+            return FORMULA_PROFILES;
+        },
+
         /**
          * Get the error message for an invalid formula
          * @param {string} formula - The formula to validate
@@ -324,15 +1429,37 @@ const ServoControl = (() => {
 
         /**
          * Process landmarks and calculate servo positions
-         * @param {Array} landmarks - The hand landmarks array
+         * @param {Array} landmarks - The landmarks driving the primary formula profile, or null
+         * @param {Object} [hands] - All detected hands ({ left, right } landmarks), for R. and L. references
+         * @param {Array} [secondaryLandmarks] - The landmarks driving the secondary formula profile, or null
+         * @param {number} [timestamp] - Time of the landmarks in milliseconds, used for smoothing
+         */
+        processLandmarks: function (landmarks, hands, secondaryLandmarks, timestamp = performance.now()) {
+            calculatePositions('primary', landmarks, hands, timestamp);
+            calculatePositions('secondary', secondaryLandmarks, hands, timestamp);
+
+            // Stream to other tools alongside the robot output
+            if (landmarks) {
+                OscOutput.send(calculatedPositions.primary, landmarks, 'primary');
+            }
+            if (secondaryLandmarks) {
+                OscOutput.send(calculatedPositions.secondary, secondaryLandmarks, 'secondary');
+            }
+        },
+
+        /**
+         * Start smoothing the calculated positions of all servos afresh, e.g. when the landmarks jump in time
          */
-        processLandmarks: function (landmarks) {
-            calculatePositions(landmarks);
+        resetFilters: function () {
+            servoFilters = createProfileState();
         },
 
         /**
          * Set callback for calculated positions update
-         * @param {Function} callback - Function to call when calculated positions are updated
+         * @param {Function} callback - Function to call with the formula profile, its positions
+         *                              and { clamped, failed }, the IDs of servos whose formula
+         *                              result was clamped or couldn't be evaluated, when
+         *                              calculated positions are updated
          */
         onCalculatedPositionsUpdate: function (callback) {
             onCalculatedPositionsUpdateCallback = callback;
@@ -340,7 +1467,8 @@ const ServoControl = (() => {
 
         /**
          * Set callback for sent positions update
-         * @param {Function} callback - Function to call when sent positions are updated
+         * @param {Function} callback - Function to call with the target ID, the sent (limited)
+         *                              positions and the targets they are ramping towards
          */
         onSentPositionsUpdate: function (callback) {
             onSentPositionsUpdateCallback = callback;
@@ -348,7 +1476,8 @@ const ServoControl = (() => {
 
         /**
          * Set callback for robot status update
-         * @param {Function} callback - Function to call when robot status is updated
+         * @param {Function} callback - Function to call with the target ID and the servo status
+         *                              array (in servo map IDs) when robot status is updated
          */
         onRobotStatusUpdate: function (callback) {
             onRobotStatusUpdateCallback = callback;
@@ -356,34 +1485,245 @@ const ServoControl = (() => {
 
         /**
          * Set callback for connection status change
-         * @param {Function} callback - Function to call when connection status changes
+         * @param {Function} callback - Function to call with the target ID and the connection
+         *                              status when the connection status of a target changes
          */
         onConnectionStatusChange: function (callback) {
             onConnectionStatusChangeCallback = callback;
         },
 
         /**
-         * Get all formulas
+         * Set callback for emergency stop changes
+         * @param {Function} callback - Function to call with true when the emergency stop is
+         *                              triggered and false when re-armed
+         */
+        onEmergencyStopChange: function (callback) {
+            onEmergencyStopChangeCallback = callback;
+        },
+
+        /**
+         * Set callback for watchdog changes
+         * @param {Function} callback - Function to call with the formula profile, whether its
+         *                              watchdog is triggered and the watchdog settings
+         */
+        onWatchdogChange: function (callback) {
+            onWatchdogChangeCallback = callback;
+        },
+
+        /**
+         * Set callback for protection level changes
+         * @param {Function} callback - Function to call with the target ID, the servo ID, the new
+         *                              level ('ok', 'warning', 'backoff' or 'stop') and the servo
+         *                              status that caused it (null when reset)
+         */
+        onProtectionChange: function (callback) {
+            onProtectionChangeCallback = callback;
+        },
+
+        /**
+         * Set callback for stall changes
+         * @param {Function} callback - Function to call with the target ID, the servo ID, whether
+         *                              the servo is stalled and { commanded, reported } (null
+         *                              when reset)
+         */
+        onStallChange: function (callback) {
+            onStallChangeCallback = callback;
+        },
+
+        /**
+         * Set callback for errors reported by a robot
+         * @param {Function} callback - Function to call with the target ID and the error message
+         */
+        onRobotError: function (callback) {
+            onRobotErrorCallback = callback;
+        },
+
+        /**
+         * Get all formulas of a formula profile
+         * @param {string} [profile='primary'] - The formula profile
          * @returns {Object} The formulas object
          */
-        getFormulas: function () {
-            return { ...formulas };
+        getFormulas: function (profile = 'primary') {
+            return { ...formulas[profile] };
         },
 
         /**
-         * Set all formulas
+         * Set all formulas of a formula profile
          * @param {Object} newFormulas - The new formulas object
+         * @param {string} [profile='primary'] - The formula profile
+         */
+        setFormulas: function (newFormulas, profile = 'primary') {
+            formulas[profile] = { ...newFormulas };
+            compiledFormulas[profile] = {};
+
+            for (const servoId in formulas[profile]) {
+                if (!compileFormula(profile, servoId, formulas[profile][servoId])) {
+                    console.error(`Invalid formula for servo ${servoId}: ${FormulaParser.getErrorMessage(formulas[profile][servoId])}`);
+                }
+            }
+        },
+
+        /**
+         * Set the smoothing filter for a servo
+         * @param {number} servoId - The servo ID
+         * @param {Object} settings - The filter settings ({ type, ...parameters })
+         */
+        setFilter: function (servoId, settings) {
+            filterSettings[servoId] = Filters.normalizeSettings(settings);
+            resetFilters(servoId);
+        },
+
+        /**
+         * Get the smoothing filter settings of all servos
+         * @returns {Object} Filter settings keyed by servo ID
+         */
+        getFilters: function () {
+            return { ...filterSettings };
+        },
+
+        /**
+         * Set the smoothing filter settings of all servos
+         * @param {Object} newFilters - Filter settings keyed by servo ID
+         */
+        setFilters: function (newFilters) {
+            filterSettings = {};
+            servoFilters = createProfileState();
+
+            for (const servoId in newFilters) {
+                filterSettings[servoId] = Filters.normalizeSettings(newFilters[servoId]);
+            }
+        },
+
+        /**
+         * Set the motion limits for a servo
+         * @param {number} servoId - The servo ID
+         * @param {Object} limits - { maxVelocity: units/s, maxAcceleration: units/s² }, 0 for unlimited
+         */
+        setMotionLimit: function (servoId, limits) {
+            motionLimits[servoId] = normalizeMotionLimits(limits);
+        },
+
+        /**
+         * Get the motion limits of all servos
+         * @returns {Object} Motion limits keyed by servo ID
+         */
+        getMotionLimits: function () {
+            return { ...motionLimits };
+        },
+
+        /**
+         * Set the motion limits of all servos
+         * @param {Object} newLimits - Motion limits keyed by servo ID
+         */
+        setMotionLimits: function (newLimits) {
+            motionLimits = {};
+
+            for (const servoId in newLimits) {
+                motionLimits[servoId] = normalizeMotionLimits(newLimits[servoId]);
+            }
+        },
+
+        /**
+         * Set the output settings for a servo, applied after its formula
+         * @param {number} servoId - The servo ID
+         * @param {Object} settings - { min, max, invert, offset }, null min or max for the full servo range
+         */
+        setOutputSetting: function (servoId, settings) {
+            outputSettings[servoId] = normalizeOutputSettings(settings);
+        },
+
+        /**
+         * Get the output settings of all servos
+         * @returns {Object} Output settings keyed by servo ID
          */
-        setFormulas: function (newFormulas) {
-            formulas = { ...newFormulas };
+        getOutputSettings: function () {
+            return { ...outputSettings };
         },
 
         /**
-         * Get robot IP address
-         * @returns {string} The robot IP address
+         * Set the output settings of all servos
+         * @param {Object} newSettings - Output settings keyed by servo ID
          */
-        getRobotIp: function () {
-            return robotIp;
+        setOutputSettings: function (newSettings) {
+            outputSettings = {};
+
+            for (const servoId in newSettings) {
+                outputSettings[servoId] = normalizeOutputSettings(newSettings[servoId]);
+            }
+        },
+
+        /**
+         * Set the calibration the formulas' calMin and calMax variables refer to
+         * @param {Object|null} newCalibration - Per formula profile, the measurement range
+         *                                       ({ min, max }) keyed by servo ID, null for none
+         */
+        setCalibration: function (newCalibration) {
+            calibration = createProfileState();
+
+            for (const profile in calibration) {
+                Object.assign(calibration[profile], newCalibration && newCalibration[profile]);
+            }
+        },
+
+        /**
+         * Get the calibration the formulas' calMin and calMax variables refer to
+         * @returns {Object} Per formula profile, the measurement range ({ min, max }) keyed by servo ID
+         */
+        getCalibration: function () {
+            const copy = createProfileState();
+
+            for (const profile in calibration) {
+                Object.assign(copy[profile], calibration[profile]);
+            }
+
+            return copy;
+        },
+
+        /**
+         * Move the formula and settings of a servo to a new ID
+         * @param {number} oldId - The current servo ID
+         * @param {number} newId - The new servo ID
+         */
+        renameServo: function (oldId, newId) {
+            const move = (settings) => {
+                if (settings[oldId] !== undefined) {
+                    settings[newId] = settings[oldId];
+                    delete settings[oldId];
+                }
+            };
+
+            [filterSettings, outputSettings, motionLimits, protectionLimits].forEach(move);
+
+            for (const profile in FORMULA_PROFILES) {
+                [formulas[profile], compiledFormulas[profile], servoFilters[profile],
+                    calculatedPositions[profile], calibration[profile]].forEach(move);
+            }
+
+            targets.forEach(target => target.renameServo(oldId, newId));
+        },
+
+        /**
+         * Get the configured soft limits in the format expected by setServoLimits
+         * @returns {Array} Array of { id, min, max } objects for servos with a configured range
+         */
+        getConfiguredServoLimits: function () {
+            const limits = [];
+
+            for (const servoId in outputSettings) {
+                const settings = outputSettings[servoId];
+                if (settings.min === null && settings.max === null) {
+                    continue;
+                }
+
+                const range = ServoMap.getRange(servoId);
+                limits.push({
+                    id: parseInt(servoId, 10),
+                    min: settings.min !== null ? settings.min : range.min,
+                    max: settings.max !== null ? settings.max : range.max
+                });
+            }
+
+            return limits;
         },
 
         /**
@@ -403,38 +1743,35 @@ const ServoControl = (() => {
         },
 
         /**
-         * Check if connected to robot
+         * Check if connected to a robot
+         * @param {number} [targetId] - The target ID, or omitted for any target
          * @returns {boolean} True if connected, false otherwise
          */
-        isConnected: function () {
-            return isConnected;
+        isConnected: function (targetId) {
+            if (targetId !== undefined) {
+                const target = findTarget(targetId);
+                return Boolean(target && target.isConnected());
+            }
+
+            return targets.some(target => target.isConnected());
         },
 
         /**
-         * Set servo limits
+         * Set servo limits on every connected robot target
          * @param {Array} limits - Array of servo limit objects
-         * @returns {Promise} A promise that resolves when limits are set
+         * @returns {Promise<number>} Resolves with the number of targets the limits were sent to
          */
         setServoLimits: async function (limits) {
-            if (!robotIp || !isConnected) {
+            const connectedTargets = targets.filter(target => target.isConnected());
+            if (connectedTargets.length === 0) {
                 throw new Error('Not connected to robot');
             }
 
             try {
-                const response = await fetch(getApiUrl(), {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(limits)
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP error ${response.status}`);
-                }
+                await Promise.all(connectedTargets.map(target => target.send(limits)));
 
                 console.log('Servo limits updated successfully');
-                return true;
+                return connectedTargets.length;
             } catch (error) {
                 console.error('Error setting servo limits:', error);
                 throw error;
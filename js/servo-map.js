@@ -0,0 +1,164 @@
+/**
+ * Servo Map Module
+ *
+ * Holds the definitions of the servos in the robot hand: their IDs,
+ * names, position ranges, resolution and default positions.
+ */
+import CONFIG from './config.js';
+
+const ServoMap = (() => {
+    // Private variables
+    let servos = [];
+
+    // Callbacks
+    let onChangeCallback = null;
+
+    // Check a servo definition and fill in defaults for missing fields
+    function normalizeServo(servo) {
+        const id = parseInt(servo.id, 10);
+        if (isNaN(id) || id < 0) {
+            throw new Error(`Invalid servo ID: ${servo.id}`);
+        }
+
+        const toNumber = (value, fallback) => {
+            const number = parseFloat(value);
+            return isNaN(number) ? fallback : number;
+        };
+
+        const min = toNumber(servo.min, CONFIG.MIN_SERVO_VALUE);
+        const max = toNumber(servo.max, CONFIG.MAX_SERVO_VALUE);
+        if (min >= max) {
+            throw new Error(`Servo ${id}: minimum must be below maximum`);
+        }
+
+        const resolution = toNumber(servo.resolution, 1);
+        if (resolution <= 0) {
+            throw new Error(`Servo ${id}: resolution must be positive`);
+        }
+
+        const defaultPosition = toNumber(servo.defaultPosition, Math.round((min + max) / 2));
+
+        return {
+            id,
+            name: servo.name ? String(servo.name) : `Servo ${id}`,
+            min,
+            max,
+            resolution,
+            defaultPosition: Math.max(min, Math.min(max, defaultPosition))
+        };
+    }
+
+    // Check and normalize a list of servo definitions
+    function normalizeServos(newServos) {
+        if (!Array.isArray(newServos)) {
+            throw new Error('Servo definitions must be an array');
+        }
+
+        const normalized = newServos.map(normalizeServo);
+
+        const ids = new Set();
+        normalized.forEach(servo => {
+            if (ids.has(servo.id)) {
+                throw new Error(`Duplicate servo ID: ${servo.id}`);
+            }
+            ids.add(servo.id);
+        });
+
+        return normalized;
+    }
+
+    servos = normalizeServos(CONFIG.SERVOS);
+
+    // Public API
+    return {
+        /**
+         * Get all servo definitions
+         * @returns {Array} Array of { id, name, min, max, resolution, defaultPosition } objects
+         */
+        getServos: function () {
+            return servos.map(servo => ({ ...servo }));
+        },
+
+        /**
+         * Get the definition of a servo
+         * @param {number} id - The servo ID
+         * @returns {Object|null} The servo definition, or null if there is no such servo
+         */
+        getServo: function (id) {
+            const servo = servos.find(servo => servo.id === parseInt(id, 10));
+            return servo ? { ...servo } : null;
+        },
+
+        /**
+         * Check a list of servo definitions without applying it
+         * @param {Array} newServos - Array of servo definitions
+         * @returns {Array} The normalized servo definitions
+         * @throws {Error} If a definition is invalid or IDs are not unique
+         */
+        validateServos: function (newServos) {
+            return normalizeServos(newServos);
+        },
+
+        /**
+         * Replace all servo definitions
+         * @param {Array} newServos - Array of servo definitions
+         * @throws {Error} If a definition is invalid or IDs are not unique
+         */
+        setServos: function (newServos) {
+            servos = normalizeServos(newServos);
+
+            if (onChangeCallback) {
+                onChangeCallback(this.getServos());
+            }
+        },
+
+        /**
+         * Restore the default servo definitions from CONFIG.SERVOS
+         */
+        reset: function () {
+            this.setServos(CONFIG.SERVOS);
+        },
+
+        /**
+         * Get the valid position range of a servo
+         * @param {number} id - The servo ID
+         * @returns {Object} { min, max }, the default range for unknown servos
+         */
+        getRange: function (id) {
+            const servo = this.getServo(id);
+
+            if (!servo) {
+                return { min: CONFIG.MIN_SERVO_VALUE, max: CONFIG.MAX_SERVO_VALUE };
+            }
+
+            return { min: servo.min, max: servo.max };
+        },
+
+        /**
+         * Clamp a value to the range of a servo and round it to the servo's resolution
+         * @param {number} id - The servo ID
+         * @param {number} value - The value to clamp
+         * @returns {number} The servo position
+         */
+        clamp: function (id, value) {
+            const servo = this.getServo(id);
+            const { min, max } = this.getRange(id);
+            const resolution = servo ? servo.resolution : 1;
+
+            const clamped = Math.max(min, Math.min(max, value));
+            const stepped = min + Math.round((clamped - min) / resolution) * resolution;
+
+            return Math.round(Math.min(max, stepped));
+        },
+
+        /**
+         * Set callback for servo definition changes
+         * @param {Function} callback - Function to call with the new servo definitions
+         */
+        onChange: function (callback) {
+            onChangeCallback = callback;
+        }
+    };
+})();
+
+export default ServoMap;
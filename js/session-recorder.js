@@ -0,0 +1,408 @@
+/**
+ * Session Recorder Module
+ *
+ * Records the hands seen by hand tracking frame by frame, and replays
+ * recorded sessions through the same pipeline as live tracking, so formulas
+ * can be tuned, bugs reproduced and the robot demoed without a camera.
+ *
+ * Sessions are stored as JSON:
+ *
+ *   { version, recordedAt, frames: [{ t, hands: { left, right } }] }
+ *
+ * where t is the time in milliseconds since the start of the recording and
+ * left/right hold the unfiltered landmarks of each hand, or null.
+ */
+import CONFIG from './config.js';
+
+const SessionRecorder = (() => {
+    // Version of the session file format
+    const SESSION_VERSION = 1;
+
+    // Private variables
+    let isRecording = false;
+    let recordingTime = 0; // Milliseconds recorded so far
+    let lastFrameTimestamp = null; // Time of the frame recorded last
+    let recordingStartDate = null;
+    let recordedFrames = [];
+    let session = null; // Session available for replay
+    let isPlaying = false;
+    let isLooping = false;
+    let playbackSpeed = 1;
+    let playbackPosition = 0; // Milliseconds into the session
+    let frameIndex = -1; // Index of the frame replayed last
+    let loopOffset = 0; // Time added to the frame times, a session length per loop pass
+    let restartPending = true; // Whether smoothing starts afresh with the next replayed frame
+    let lastTickTime = null;
+    let animationFrameId = null;
+
+    // Callbacks
+    let onFrameCallback = null;
+    let onStateChangeCallback = null;
+
+    // Round the coordinates of a hand's landmarks to keep session files small
+    function roundLandmarks(landmarks) {
+        if (!landmarks) {
+            return null;
+        }
+
+        const factor = Math.pow(10, CONFIG.SESSION.PRECISION);
+
+        return landmarks.map(landmark => {
+            const rounded = {};
+            for (const key in landmark) {
+                rounded[key] = Math.round(landmark[key] * factor) / factor;
+            }
+            return rounded;
+        });
+    }
+
+    // Check a hand of a session frame: null or 21 landmarks with numeric coordinates
+    function validateHand(hand) {
+        if (hand === null || hand === undefined) {
+            return null;
+        }
+
+        if (!Array.isArray(hand) || hand.length !== 21) {
+            throw new Error('a hand must have 21 landmarks');
+        }
+
+        return hand.map(landmark => {
+            const validated = {};
+            ['x', 'y', 'z', 'x3D', 'y3D', 'z3D'].forEach(key => {
+                const value = Number(landmark && landmark[key]);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`invalid landmark coordinate ${key}`);
+                }
+                validated[key] = value;
+            });
+            return validated;
+        });
+    }
+
+    // Validate session data, returning the session with its frames sorted by time
+    function validateSession(data) {
+        if (!data || !Array.isArray(data.frames) || data.frames.length === 0) {
+            throw new Error('Session has no frames');
+        }
+
+        if (data.version > SESSION_VERSION) {
+            throw new Error(`Unsupported session version ${data.version}`);
+        }
+
+        const frames = data.frames.map((frame, index) => {
+            const t = Number(frame && frame.t);
+            if (!Number.isFinite(t) || t < 0) {
+                throw new Error(`Frame ${index}: invalid time`);
+            }
+
+            try {
+                const hands = frame.hands || {};
+                return { t, hands: { left: validateHand(hands.left), right: validateHand(hands.right) } };
+            } catch (error) {
+                throw new Error(`Frame ${index}: ${error.message}`);
+            }
+        });
+
+        frames.sort((a, b) => a.t - b.t);
+
+        return {
+            version: SESSION_VERSION,
+            recordedAt: data.recordedAt || null,
+            frames
+        };
+    }
+
+    // Get the length of the loaded session in milliseconds
+    function getDuration() {
+        return session ? session.frames[session.frames.length - 1].t : 0;
+    }
+
+    // Find the index of the last frame at or before a position
+    function findFrameIndex(position) {
+        const frames = session.frames;
+        let low = 0;
+        let high = frames.length - 1;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (frames[middle].t <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return low;
+    }
+
+    // Replay the frame at the playback position, unless it was replayed already
+    function replayFrame() {
+        const index = findFrameIndex(playbackPosition);
+        if (index === frameIndex) {
+            return;
+        }
+
+        frameIndex = index;
+        const restarted = restartPending;
+        restartPending = false;
+
+        if (onFrameCallback) {
+            onFrameCallback(session.frames[index].hands, session.frames[index].t + loopOffset, restarted);
+        }
+    }
+
+    // Notify about a change of the recording or playback state
+    function notifyStateChange() {
+        if (onStateChangeCallback) {
+            onStateChangeCallback(getState());
+        }
+    }
+
+    // Get the recording and playback state
+    function getState() {
+        return {
+            isRecording,
+            recordedFrames: recordedFrames.length,
+            hasSession: session !== null,
+            isPlaying,
+            isLooping,
+            speed: playbackSpeed,
+            position: playbackPosition,
+            duration: getDuration()
+        };
+    }
+
+    // Playback loop: advance the position by the elapsed time scaled by the playback speed
+    function playbackLoop(timestamp) {
+        if (!isPlaying) {
+            return;
+        }
+
+        if (lastTickTime !== null) {
+            playbackPosition += (timestamp - lastTickTime) * playbackSpeed;
+        }
+        lastTickTime = timestamp;
+
+        const duration = getDuration();
+        if (playbackPosition > duration) {
+            if (isLooping && duration > 0) {
+                // Start over, replaying from the first frame with times continuing after the last one
+                playbackPosition %= duration;
+                frameIndex = -1;
+                loopOffset += duration;
+                restartPending = true;
+            } else {
+                playbackPosition = duration;
+                replayFrame();
+                stopPlayback();
+                notifyStateChange();
+                return;
+            }
+        }
+
+        replayFrame();
+        notifyStateChange();
+
+        animationFrameId = requestAnimationFrame(playbackLoop);
+    }
+
+    // Stop the playback loop, keeping the position
+    function stopPlayback() {
+        isPlaying = false;
+        lastTickTime = null;
+
+        if (animationFrameId) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+    }
+
+    // Public API
+    return {
+        /**
+         * Start recording the frames passed to recordFrame
+         */
+        startRecording: function () {
+            isRecording = true;
+            recordingTime = 0;
+            lastFrameTimestamp = null;
+            recordingStartDate = new Date().toISOString();
+            recordedFrames = [];
+            notifyStateChange();
+        },
+
+        /**
+         * Stop recording, the recording becomes the session available for replay
+         * @returns {number} The number of recorded frames
+         */
+        stopRecording: function () {
+            if (!isRecording) {
+                return 0;
+            }
+
+            isRecording = false;
+
+            if (recordedFrames.length > 0) {
+                this.loadSession({
+                    version: SESSION_VERSION,
+                    recordedAt: recordingStartDate,
+                    frames: recordedFrames
+                });
+            }
+
+            const frameCount = recordedFrames.length;
+            recordedFrames = [];
+            notifyStateChange();
+            return frameCount;
+        },
+
+        /**
+         * Record a frame, if recording
+         * @param {Object} hands - Unfiltered landmarks of the hands in the frame ({ left, right })
+         * @param {number} [timestamp] - Time of the frame in milliseconds, e.g. its position in a video file
+         */
+        recordFrame: function (hands, timestamp = performance.now()) {
+            if (!isRecording) {
+                return;
+            }
+
+            // Advance by the time since the previous frame, a video file starting over doesn't go back in time
+            if (lastFrameTimestamp !== null) {
+                recordingTime += Math.max(0, timestamp - lastFrameTimestamp);
+            }
+            lastFrameTimestamp = timestamp;
+
+            recordedFrames.push({
+                t: Math.round(recordingTime),
+                hands: {
+                    left: roundLandmarks(hands.left),
+                    right: roundLandmarks(hands.right)
+                }
+            });
+            notifyStateChange();
+        },
+
+        /**
+         * Load a session for replay
+         * @param {Object} data - Session data, as returned by getSession or read from a session file
+         * @throws {Error} If the session is invalid
+         */
+        loadSession: function (data) {
+            const validated = validateSession(data);
+
+            stopPlayback();
+            session = validated;
+            playbackPosition = 0;
+            frameIndex = -1;
+            loopOffset = 0;
+            restartPending = true;
+            notifyStateChange();
+        },
+
+        /**
+         * Get the session available for replay
+         * @returns {Object|null} The session, null if nothing was recorded or loaded
+         */
+        getSession: function () {
+            return session;
+        },
+
+        /**
+         * Start or resume replaying the session
+         */
+        play: function () {
+            if (!session || isPlaying) {
+                return;
+            }
+
+            // Start over when the end was reached
+            if (playbackPosition >= getDuration()) {
+                playbackPosition = 0;
+                frameIndex = -1;
+                loopOffset = 0;
+            }
+
+            // Live frames may have been smoothed since the session was last replayed
+            restartPending = true;
+            isPlaying = true;
+            replayFrame();
+            notifyStateChange();
+            animationFrameId = requestAnimationFrame(playbackLoop);
+        },
+
+        /**
+         * Pause replaying the session
+         */
+        pause: function () {
+            stopPlayback();
+            notifyStateChange();
+        },
+
+        /**
+         * Jump to a position in the session and replay the frame there
+         * @param {number} position - Milliseconds into the session
+         */
+        seek: function (position) {
+            if (!session) {
+                return;
+            }
+
+            const value = parseFloat(position);
+            playbackPosition = Math.max(0, Math.min(getDuration(), isNaN(value) ? 0 : value));
+            restartPending = true;
+            replayFrame();
+            notifyStateChange();
+        },
+
+        /**
+         * Set the playback speed
+         * @param {number} speed - Speed factor, 1 is real time
+         */
+        setSpeed: function (speed) {
+            const value = parseFloat(speed);
+            if (value > 0) {
+                playbackSpeed = value;
+                notifyStateChange();
+            }
+        },
+
+        /**
+         * Set whether the session starts over when its end is reached
+         * @param {boolean} loop - Whether to loop
+         */
+        setLooping: function (loop) {
+            isLooping = Boolean(loop);
+            notifyStateChange();
+        },
+
+        /**
+         * Get the recording and playback state
+         * @returns {Object} { isRecording, recordedFrames, hasSession, isPlaying, isLooping,
+         *                   speed, position, duration } with times in milliseconds
+         */
+        getState: function () {
+            return getState();
+        },
+
+        /**
+         * Set callback for replayed frames
+         * @param {Function} callback - Function to call with the hands ({ left, right }) of each replayed
+         *                              frame, its time in milliseconds (increasing over loop passes)
+         *                              and whether smoothing should start afresh, as after a seek or
+         *                              when the session starts over
+         */
+        onFrame: function (callback) {
+            onFrameCallback = callback;
+        },
+
+        /**
+         * Set callback for recording and playback changes
+         * @param {Function} callback - Function to call with the state (see getState)
+         */
+        onStateChange: function (callback) {
+            onStateChangeCallback = callback;
+        }
+    };
+})();
+
+export default SessionRecorder;
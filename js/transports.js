@@ -0,0 +1,544 @@
+/**
+ * Transports Module
+ *
+ * Provides the connections used to talk to the robot hand. Every transport
+ * offers the same interface, so servo control doesn't need to know whether
+ * positions travel over plain HTTP requests, a persistent WebSocket or a
+ * serial port, or go to the robot simulator of the main process.
+ */
+import CONFIG from './config.js';
+import ServoMap from './servo-map.js';
+
+const Transports = (() => {
+    // Available transport types
+    const TRANSPORT_TYPES = {
+        http: {
+            label: 'HTTP'
+        },
+        websocket: {
+            label: 'WebSocket'
+        },
+        serial: {
+            label: 'Serial (USB)'
+        },
+        simulated: {
+            label: 'Simulated Robot'
+        }
+    };
+
+    // Calls open again after a connection was lost, doubling the delay after every failed attempt
+    function createReconnector(open) {
+        let timer = null;
+        let delay = CONFIG.RECONNECT_DELAY_MIN;
+
+        return {
+            schedule: function () {
+                if (timer) {
+                    return;
+                }
+
+                timer = setTimeout(function () {
+                    timer = null;
+                    open();
+                }, delay);
+                delay = Math.min(delay * 2, CONFIG.RECONNECT_DELAY_MAX);
+            },
+            succeeded: function () {
+                delay = CONFIG.RECONNECT_DELAY_MIN;
+            },
+            cancel: function () {
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+            },
+            isPending: function () {
+                return timer !== null;
+            }
+        };
+    }
+
+    // HTTP transport: one request per send, status has to be polled
+    function createHttpTransport(host) {
+        const url = `http://${host}${CONFIG.API_ENDPOINT}`;
+        const heartbeatUrl = `http://${host}${CONFIG.HEARTBEAT_ENDPOINT}`;
+
+        return {
+            pushesStatus: false,
+
+            connect: function () { },
+
+            disconnect: function () { },
+
+            send: async function (data) {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(data),
+                    signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error ${response.status}`);
+                }
+            },
+
+            requestStatus: async function () {
+                const response = await fetch(url, {
+                    method: 'GET',
+                    signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error ${response.status}`);
+                }
+
+                return response.json();
+            },
+
+            sendHeartbeat: async function (heartbeat) {
+                const response = await fetch(heartbeatUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(heartbeat),
+                    signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error ${response.status}`);
+                }
+            },
+
+            onStatus: function () { },
+
+            onConnectionChange: function () { },
+
+            onError: function () { }
+        };
+    }
+
+    // WebSocket transport: a persistent connection that sends servo frames
+    // and receives status pushes, reconnecting with backoff when dropped
+    function createWebSocketTransport(host) {
+        const url = `ws://${host}${CONFIG.WEBSOCKET_ENDPOINT}`;
+        const reconnector = createReconnector(open);
+        let socket = null;
+        let shouldReconnect = false;
+        let onStatusCallback = null;
+        let onConnectionChangeCallback = null;
+
+        // Open the socket and attach its handlers
+        function open() {
+            socket = new WebSocket(url);
+
+            socket.onopen = function () {
+                reconnector.succeeded();
+                if (onConnectionChangeCallback) {
+                    onConnectionChangeCallback(true);
+                }
+            };
+
+            socket.onmessage = function (event) {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.error('Invalid message from robot:', event.data);
+                    return;
+                }
+
+                if (message.type === 'status' && onStatusCallback) {
+                    onStatusCallback(message.data);
+                }
+            };
+
+            socket.onerror = function () {
+                console.error(`WebSocket error on ${url}`);
+            };
+
+            socket.onclose = function () {
+                socket = null;
+                if (onConnectionChangeCallback) {
+                    onConnectionChangeCallback(false);
+                }
+                if (shouldReconnect) {
+                    reconnector.schedule();
+                }
+            };
+        }
+
+        return {
+            pushesStatus: true,
+
+            connect: function () {
+                shouldReconnect = true;
+                if (!socket && !reconnector.isPending()) {
+                    open();
+                }
+            },
+
+            disconnect: function () {
+                shouldReconnect = false;
+                reconnector.cancel();
+
+                if (socket) {
+                    // Detach the handlers so closing doesn't trigger a reconnect
+                    socket.onopen = null;
+                    socket.onmessage = null;
+                    socket.onerror = null;
+                    socket.onclose = null;
+                    socket.close();
+                    socket = null;
+                }
+            },
+
+            send: async function (data) {
+                if (!socket || socket.readyState !== WebSocket.OPEN) {
+                    throw new Error('WebSocket not connected');
+                }
+
+                socket.send(JSON.stringify({ type: 'servos', data }));
+            },
+
+            requestStatus: async function () {
+                if (!socket || socket.readyState !== WebSocket.OPEN) {
+                    throw new Error('WebSocket not connected');
+                }
+
+                // The answer arrives as a status push
+                socket.send(JSON.stringify({ type: 'status' }));
+                return null;
+            },
+
+            sendHeartbeat: async function (heartbeat) {
+                if (!socket || socket.readyState !== WebSocket.OPEN) {
+                    throw new Error('WebSocket not connected');
+                }
+
+                socket.send(JSON.stringify({ type: 'heartbeat', data: heartbeat }));
+            },
+
+            onStatus: function (callback) {
+                onStatusCallback = callback;
+            },
+
+            onConnectionChange: function (callback) {
+                onConnectionChangeCallback = callback;
+            },
+
+            onError: function () { }
+        };
+    }
+
+    // Serial transport: the port is owned by the main process (see serial-bridge.js),
+    // status requests are answered with status lines that arrive as IPC events
+    function createSerialTransport(path, baudRate) {
+        const { ipcRenderer } = window.require('electron');
+        const reconnector = createReconnector(open);
+        let isOpen = false;
+        let shouldReconnect = false;
+        let onStatusCallback = null;
+        let onConnectionChangeCallback = null;
+        let onErrorCallback = null;
+
+        // IPC event handlers, kept so they can be removed on disconnect
+        function handleStatus(event, portPath, data) {
+            if (portPath === path && onStatusCallback) {
+                onStatusCallback(data);
+            }
+        }
+
+        function handleError(event, portPath, message) {
+            if (portPath !== path) {
+                return;
+            }
+
+            console.error(`Robot on ${path} reported an error: ${message}`);
+            if (onErrorCallback) {
+                onErrorCallback(message);
+            }
+        }
+
+        function handleClosed(event, portPath) {
+            if (portPath !== path) {
+                return;
+            }
+
+            isOpen = false;
+            if (onConnectionChangeCallback) {
+                onConnectionChangeCallback(false);
+            }
+            if (shouldReconnect) {
+                reconnector.schedule();
+            }
+        }
+
+        // Close the port. It can be gone already, e.g. when the robot was
+        // unplugged, so errors are only logged
+        function close() {
+            ipcRenderer.invoke('serial:close', path).catch(error => {
+                console.debug(`Error closing serial port ${path}:`, error);
+            });
+        }
+
+        // Open the port, retrying later if it isn't available
+        async function open() {
+            try {
+                await ipcRenderer.invoke('serial:open', { path, baudRate });
+            } catch (error) {
+                console.error(`Error opening serial port ${path}:`, error);
+                if (shouldReconnect) {
+                    reconnector.schedule();
+                }
+                return;
+            }
+
+            // Disconnected while the port was opening
+            if (!shouldReconnect) {
+                close();
+                return;
+            }
+
+            isOpen = true;
+            reconnector.succeeded();
+            if (onConnectionChangeCallback) {
+                onConnectionChangeCallback(true);
+            }
+        }
+
+        return {
+            pushesStatus: false,
+
+            connect: function () {
+                if (shouldReconnect) {
+                    return;
+                }
+
+                shouldReconnect = true;
+                ipcRenderer.on('serial:status', handleStatus);
+                ipcRenderer.on('serial:error', handleError);
+                ipcRenderer.on('serial:closed', handleClosed);
+                open();
+            },
+
+            disconnect: function () {
+                shouldReconnect = false;
+                reconnector.cancel();
+
+                ipcRenderer.removeListener('serial:status', handleStatus);
+                ipcRenderer.removeListener('serial:error', handleError);
+                ipcRenderer.removeListener('serial:closed', handleClosed);
+
+                if (isOpen) {
+                    isOpen = false;
+                    close();
+                }
+            },
+
+            send: async function (data) {
+                if (!isOpen) {
+                    throw new Error('Serial port not open');
+                }
+
+                await ipcRenderer.invoke('serial:send', path, data);
+            },
+
+            requestStatus: async function () {
+                if (!isOpen) {
+                    throw new Error('Serial port not open');
+                }
+
+                // The answer arrives as a status line
+                await ipcRenderer.invoke('serial:request-status', path);
+                return null;
+            },
+
+            sendHeartbeat: async function (heartbeat) {
+                if (!isOpen) {
+                    throw new Error('Serial port not open');
+                }
+
+                await ipcRenderer.invoke('serial:heartbeat', path, heartbeat);
+            },
+
+            onStatus: function (callback) {
+                onStatusCallback = callback;
+            },
+
+            onConnectionChange: function (callback) {
+                onConnectionChangeCallback = callback;
+            },
+
+            onError: function (callback) {
+                onErrorCallback = callback;
+            }
+        };
+    }
+
+    // Number of simulated robot targets connected or connecting, the simulator
+    // of the main process is stopped when the last one disconnects
+    let simulatedTargets = 0;
+
+    // Stop the robot simulator if no simulated target uses it
+    function stopUnusedSimulator(ipcRenderer) {
+        if (simulatedTargets > 0) {
+            return;
+        }
+
+        ipcRenderer.invoke('simulator:stop').catch(error => {
+            console.debug('Error stopping the robot simulator:', error);
+        });
+    }
+
+    // Simulated robot transport: starts the robot simulator of the main process
+    // (see robot-simulator.js) with the current servo definitions and talks HTTP to it
+    function createSimulatedTransport() {
+        const { ipcRenderer } = window.require('electron');
+        let httpTransport = null;
+        let isActive = false; // Counted in simulatedTargets
+        let onConnectionChangeCallback = null;
+
+        // Stop counting as a simulated target
+        function release() {
+            isActive = false;
+            simulatedTargets--;
+            stopUnusedSimulator(ipcRenderer);
+        }
+
+        return {
+            pushesStatus: false,
+
+            connect: async function () {
+                if (isActive) {
+                    return;
+                }
+
+                isActive = true;
+                simulatedTargets++;
+
+                let port;
+                try {
+                    ({ port } = await ipcRenderer.invoke('simulator:start', { servos: ServoMap.getServos() }));
+                } catch (error) {
+                    console.error('Error starting the robot simulator:', error);
+                    if (isActive) {
+                        release();
+                    }
+                    return;
+                }
+
+                // Disconnected while the simulator was starting
+                if (!isActive) {
+                    stopUnusedSimulator(ipcRenderer);
+                    return;
+                }
+
+                httpTransport = createHttpTransport(`localhost:${port}`);
+                if (onConnectionChangeCallback) {
+                    onConnectionChangeCallback(true);
+                }
+            },
+
+            disconnect: function () {
+                if (!isActive) {
+                    return;
+                }
+
+                const wasConnected = httpTransport !== null;
+                httpTransport = null;
+                release();
+
+                if (wasConnected && onConnectionChangeCallback) {
+                    onConnectionChangeCallback(false);
+                }
+            },
+
+            send: async function (data) {
+                if (!httpTransport) {
+                    throw new Error('Robot simulator not started');
+                }
+
+                await httpTransport.send(data);
+            },
+
+            requestStatus: async function () {
+                if (!httpTransport) {
+                    throw new Error('Robot simulator not started');
+                }
+
+                return httpTransport.requestStatus();
+            },
+
+            sendHeartbeat: async function (heartbeat) {
+                if (!httpTransport) {
+                    throw new Error('Robot simulator not started');
+                }
+
+                await httpTransport.sendHeartbeat(heartbeat);
+            },
+
+            onStatus: function () { },
+
+            onConnectionChange: function (callback) {
+                onConnectionChangeCallback = callback;
+            },
+
+            onError: function () { }
+        };
+    }
+
+    // Public API
+    return {
+        /**
+         * Create a transport
+         * @param {string} type - The transport type ('http', 'websocket', 'serial' or 'simulated')
+         * @param {Object} options - Connection options: host (robot hand host, optionally
+         *                           with a port), serialPort and baudRate
+         * @returns {Object} A transport with connect, disconnect, send, requestStatus,
+         *                   sendHeartbeat, onStatus, onConnectionChange and onError methods,
+         *                   onError is called with the messages of errors the robot reports
+         */
+        create: function (type, options) {
+            switch (type) {
+                case 'websocket': return createWebSocketTransport(options.host);
+                case 'serial': return createSerialTransport(options.serialPort, options.baudRate);
+                case 'simulated': return createSimulatedTransport();
+                default: return createHttpTransport(options.host);
+            }
+        },
+
+        /**
+         * List the serial ports of this computer
+         * @returns {Promise<Array>} Ports as { path, manufacturer } objects
+         */
+        listSerialPorts: async function () {
+            const { ipcRenderer } = window.require('electron');
+            return ipcRenderer.invoke('serial:list');
+        },
+
+        /**
+         * Configure the robot simulator used by simulated robot targets
+         * @param {Object} settings - { speed, faults: { timeoutRate, errorRate, stuckServos } },
+         *                            speed in position units per second, rates from 0 to 1
+         * @returns {Promise} A promise that resolves when the simulator is configured
+         */
+        configureSimulator: async function (settings) {
+            const { ipcRenderer } = window.require('electron');
+            return ipcRenderer.invoke('simulator:configure', settings);
+        },
+
+        /**
+         * Get the available transport types
+         * @returns {Object} Transport types keyed by type, with label
+         */
+        getTypes: function () {
+            return TRANSPORT_TYPES;
+        }
+    };
+})();
+
+export default Transports;
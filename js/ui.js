@@ -6,27 +6,58 @@
  */
 import CONFIG from './config.js';
 import FormulaParser from './formula-parser.js';
+import Filters from './filters.js';
+import ServoMap from './servo-map.js';
+import Transports from './transports.js';
+import OscOutput from './osc-output.js';
 import HandTracking from './hand-tracking.js';
 import ServoControl from './servo-control.js';
+import SessionRecorder from './session-recorder.js';
+import Calibration from './calibration.js';
+import OperatorProfiles from './operator-profiles.js';
 import HandVisualization3D from './hand-visualization-3d.js';
 import * as chart from '../lib/chart.js';
 
 const UI = (() => {
+    // Configuration settings stored in operator profiles, besides the operator's calibration
+    const OPERATOR_SETTINGS = ['handToTrack', 'landmarkFilter', 'formulas', 'secondaryFormulas', 'filters'];
+
     // Private variables
     let statusMessagesElement = null;
     let calculatedValuesTableElement = null;
     let sentValuesTableElement = null;
     let robotStatusTableElement = null;
-    let connectionIndicatorElement = null;
     let startTrackingButton = null;
     let toggleLandmarksButton = null;
-    let robotIpInput = null;
+    let emergencyStopButton = null;
+    let rearmButton = null;
+    let selectedTargetId = null; // Target shown on the monitoring and robot status tabs
+    let expandedRemaps = new Set(); // Targets whose servo ID remap table is shown
     let minChangeInput = null;
     let sendIntervalInput = null;
     let handSelectInput = null;
     let rightHandButton = null;
     let leftHandButton = null;
+    let bothHandsButton = null;
+    let formulaProfileSelect = null;
+    let selectedFormulaProfile = 'primary'; // Formula profile edited on the formulas tab
+    let landmarkSmoothingCheckbox = null;
+    let landmarkSmoothingSlider = null;
+    let landmarkSmoothingValue = null;
+    let oscInputs = {};
+    let watchdogInputs = {};
+    let stallInputs = {};
+    let triggeredWatchdogs = new Set(); // Formula profiles whose watchdog is triggered
+    let simulatorInputs = {};
+    let calibrationControls = {};
+    let operatorProfileControls = {};
+    let sessionControls = {};
+    let sessionWasPlaying = false;
     let formulaInputs = {};
+    let filterControls = {};
+    let motionLimitInputs = {};
+    let protectionInputs = {};
+    let outputSettingInputs = {};
     let showingLandmarkIds = false;
     let handVisualizationContainer = null;
 
@@ -35,6 +66,7 @@ const UI = (() => {
     let historyTimeRange = 10; // Default 10 seconds
     let selectedServoId = null;
     let historicalData = {}; // Object to store historical data for each servo
+    let commandHistoricalData = {}; // Object to store sent (motion limited) commands for each servo
     let historyUpdateInterval = null;
 
     // Robot status graph variables
@@ -56,21 +88,116 @@ const UI = (() => {
         calculatedValuesTableElement = document.getElementById('calculated-values-table').querySelector('tbody');
         sentValuesTableElement = document.getElementById('sent-values-table').querySelector('tbody');
         robotStatusTableElement = document.getElementById('robot-status-table').querySelector('tbody');
-        connectionIndicatorElement = document.getElementById('connection-indicator');
         handVisualizationContainer = document.getElementById('hand-visualization-container');
 
         // Control elements
         startTrackingButton = document.getElementById('start-tracking');
         toggleLandmarksButton = document.getElementById('toggle-landmarks');
-        robotIpInput = document.getElementById('robot-ip');
+        emergencyStopButton = document.getElementById('emergency-stop');
+        rearmButton = document.getElementById('rearm');
         minChangeInput = document.getElementById('min-change');
         sendIntervalInput = document.getElementById('send-interval');
 
         // Hand selection buttons
         rightHandButton = document.getElementById('right-hand-btn');
         leftHandButton = document.getElementById('left-hand-btn');
+        bothHandsButton = document.getElementById('both-hands-btn');
+
+        // Formula profile selection
+        formulaProfileSelect = document.getElementById('formula-profile');
+        populateFormulaProfileSelect();
+
+        // Landmark smoothing controls
+        landmarkSmoothingCheckbox = document.getElementById('landmark-smoothing-enabled');
+        landmarkSmoothingSlider = document.getElementById('landmark-smoothing-strength');
+        landmarkSmoothingValue = document.getElementById('landmark-smoothing-value');
+
+        // OSC output controls
+        oscInputs = {
+            enabled: document.getElementById('osc-enabled'),
+            host: document.getElementById('osc-host'),
+            port: document.getElementById('osc-port'),
+            sendLandmarks: document.getElementById('osc-landmarks')
+        };
+        updateOscInputs();
+
+        // Watchdog controls
+        watchdogInputs = {
+            action: document.getElementById('watchdog-action'),
+            landmarkTimeout: document.getElementById('watchdog-landmark-timeout'),
+            easeSpeed: document.getElementById('watchdog-ease-speed'),
+            heartbeat: document.getElementById('watchdog-heartbeat'),
+            linkTimeout: document.getElementById('watchdog-link-timeout')
+        };
+        populateWatchdogActionSelect();
+        updateWatchdogInputs();
+
+        // Stall detection controls
+        stallInputs = {
+            enabled: document.getElementById('stall-enabled'),
+            threshold: document.getElementById('stall-threshold'),
+            duration: document.getElementById('stall-duration'),
+            stopCommanding: document.getElementById('stall-stop-commanding')
+        };
+        updateStallInputs();
+
+        // Robot simulator controls
+        simulatorInputs = {
+            speed: document.getElementById('simulator-speed'),
+            timeoutRate: document.getElementById('simulator-timeout-rate'),
+            errorRate: document.getElementById('simulator-error-rate'),
+            stuckServos: document.getElementById('simulator-stuck-servos')
+        };
+        if (simulatorInputs.speed) {
+            simulatorInputs.speed.value = CONFIG.SIMULATOR.DEFAULT_SPEED;
+        }
+
+        // Operator profile controls
+        operatorProfileControls = {
+            select: document.getElementById('operator-profile-select'),
+            name: document.getElementById('operator-profile-name'),
+            save: document.getElementById('save-operator-profile'),
+            remove: document.getElementById('delete-operator-profile'),
+            exportButton: document.getElementById('export-operator-profile'),
+            importButton: document.getElementById('import-operator-profile'),
+            fileInput: document.getElementById('operator-profile-file-input')
+        };
+        renderOperatorProfiles({ names: [], active: null });
+
+        // Calibration controls
+        calibrationControls = {
+            select: document.getElementById('calibration-select'),
+            remove: document.getElementById('delete-calibration'),
+            start: document.getElementById('start-calibration'),
+            wizard: document.getElementById('calibration-wizard'),
+            step: document.getElementById('calibration-step'),
+            instruction: document.getElementById('calibration-instruction'),
+            record: document.getElementById('record-pose'),
+            skip: document.getElementById('skip-pose'),
+            cancel: document.getElementById('cancel-calibration'),
+            result: document.getElementById('calibration-result'),
+            resultTable: document.getElementById('calibration-result-table'),
+            name: document.getElementById('calibration-name'),
+            save: document.getElementById('save-calibration'),
+            rewrite: document.getElementById('rewrite-bounds')
+        };
+        populateCalibrationSelect();
+
+        // Session recording and replay controls
+        sessionControls = {
+            record: document.getElementById('record-session'),
+            save: document.getElementById('save-session'),
+            load: document.getElementById('load-session'),
+            fileInput: document.getElementById('session-file-input'),
+            play: document.getElementById('play-session'),
+            position: document.getElementById('session-position'),
+            time: document.getElementById('session-time'),
+            speed: document.getElementById('session-speed'),
+            loop: document.getElementById('session-loop')
+        };
+        populateSessionSpeedSelect();
 
-        // Generate formula inputs based on CONFIG.SERVOS
+        // Generate formula inputs based on the servo map
         generateFormulaInputs();
 
         // Initialize tabs
@@ -102,23 +229,12 @@ const UI = (() => {
         historyTimeRange = parseInt(historyTimeRangeInput.value, 10);
 
         // Populate servo select dropdown
-        servoSelect.innerHTML = '';
-        CONFIG.SERVOS.forEach(servo => {
-            const option = document.createElement('option');
-            option.value = servo.id;
-            option.textContent = `${servo.name} (ID: ${servo.id})`;
-            servoSelect.appendChild(option);
-        });
-
-        // Set initial selected servo
-        if (CONFIG.SERVOS.length > 0) {
-            selectedServoId = CONFIG.SERVOS[0].id;
-            servoSelect.value = selectedServoId;
-        }
+        populateServoSelect();
 
         // Initialize empty historical data for each servo
-        CONFIG.SERVOS.forEach(servo => {
+        ServoMap.getServos().forEach(servo => {
             historicalData[servo.id] = [];
+            commandHistoricalData[servo.id] = [];
         });
 
         // Initialize chart
@@ -136,218 +252,829 @@ const UI = (() => {
         });
     }
 
-    // Initialize history chart
-    function initHistoryChart(canvas) {
-        if (!canvas) {
+    // Show the OSC output settings in their inputs
+    function updateOscInputs() {
+        const settings = OscOutput.getSettings();
+
+        if (oscInputs.enabled) {
+            oscInputs.enabled.checked = settings.enabled;
+        }
+        if (oscInputs.host) {
+            oscInputs.host.value = settings.host;
+        }
+        if (oscInputs.port) {
+            oscInputs.port.value = settings.port;
+        }
+        if (oscInputs.sendLandmarks) {
+            oscInputs.sendLandmarks.checked = settings.sendLandmarks;
+        }
+    }
+
+    // Apply the OSC output inputs
+    function applyOscInputs() {
+        OscOutput.setSettings({
+            enabled: oscInputs.enabled.checked,
+            host: oscInputs.host.value,
+            port: oscInputs.port.value,
+            sendLandmarks: oscInputs.sendLandmarks.checked
+        });
+        updateOscInputs();
+
+        const settings = OscOutput.getSettings();
+        UI.showStatus(settings.enabled
+            ? `OSC output to ${settings.host}:${settings.port}${settings.sendLandmarks ? ' with landmarks' : ''}`
+            : 'OSC output disabled', 'info');
+    }
+
+    // Fill the watchdog action dropdown
+    function populateWatchdogActionSelect() {
+        if (!watchdogInputs.action) {
             return;
         }
 
-        // Create chart
-        historyChart = new Chart(canvas, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: [{
-                    label: 'Servo Value',
-                    data: [],
-                    borderColor: '#3498db',
-                    backgroundColor: 'rgba(52, 152, 219, 0.1)',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Time'
-                        }
-                    },
-                    y: {
-                        beginAtZero: false,
-                        grace: '10%',
-                        title: {
-                            display: true,
-                            text: 'Value'
-                        },
-                        ticks: {
-                            precision: 0
-                        }
-                    }
-                },
-                plugins: {
-                    tooltip: {
-                        mode: 'index',
-                        intersect: false
-                    },
-                    legend: {
-                        display: true
-                    }
-                }
+        const actions = ServoControl.getWatchdogActions();
+        for (const action in actions) {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = actions[action].label;
+            watchdogInputs.action.appendChild(option);
+        }
+    }
+
+    // Show the watchdog settings in their inputs
+    function updateWatchdogInputs() {
+        const settings = ServoControl.getWatchdogSettings();
+
+        for (const name in watchdogInputs) {
+            const input = watchdogInputs[name];
+            if (!input) {
+                continue;
+            }
+
+            if (input.type === 'checkbox') {
+                input.checked = settings[name];
+            } else {
+                input.value = settings[name];
             }
+        }
+
+        // The ease speed only matters when easing, the link timeout only with a heartbeat
+        if (watchdogInputs.easeSpeed) {
+            watchdogInputs.easeSpeed.disabled = settings.action !== 'ease';
+        }
+        if (watchdogInputs.linkTimeout) {
+            watchdogInputs.linkTimeout.disabled = !settings.heartbeat;
+        }
+    }
+
+    // Apply the watchdog inputs
+    function applyWatchdogInputs() {
+        ServoControl.setWatchdogSettings({
+            action: watchdogInputs.action.value,
+            landmarkTimeout: watchdogInputs.landmarkTimeout.value,
+            easeSpeed: watchdogInputs.easeSpeed.value,
+            heartbeat: watchdogInputs.heartbeat.checked,
+            linkTimeout: watchdogInputs.linkTimeout.value
         });
+        updateWatchdogInputs();
 
-        // Start history update interval
-        startHistoryUpdateInterval();
+        const settings = ServoControl.getWatchdogSettings();
+        const action = ServoControl.getWatchdogActions()[settings.action].label.toLowerCase();
+        UI.showStatus(`Watchdog: ${action} after ${settings.landmarkTimeout} ms without landmarks` +
+            (settings.heartbeat ? `, heartbeat with a ${settings.linkTimeout} ms link timeout` : ''), 'info');
     }
 
-    // Start history update interval
-    function startHistoryUpdateInterval() {
-        if (historyUpdateInterval) {
-            clearInterval(historyUpdateInterval);
+    // Show the stall detection settings in their inputs
+    function updateStallInputs() {
+        const settings = ServoControl.getStallSettings();
+
+        for (const name in stallInputs) {
+            const input = stallInputs[name];
+            if (!input) {
+                continue;
+            }
+
+            if (input.type === 'checkbox') {
+                input.checked = settings[name];
+            } else {
+                input.value = settings[name];
+            }
         }
+    }
 
-        // Update chart every second
-        historyUpdateInterval = setInterval(updateHistoryChart, 1000);
+    // Apply the stall detection inputs
+    function applyStallInputs() {
+        ServoControl.setStallSettings({
+            enabled: stallInputs.enabled.checked,
+            threshold: stallInputs.threshold.value,
+            duration: stallInputs.duration.value,
+            stopCommanding: stallInputs.stopCommanding.checked
+        });
+        updateStallInputs();
+
+        const settings = ServoControl.getStallSettings();
+        UI.showStatus(settings.enabled
+            ? `Stall detection: tracking error above ${settings.threshold} for ${settings.duration} s` +
+                (settings.stopCommanding ? ', stalled servos are no longer commanded' : '')
+            : 'Stall detection disabled', 'info');
     }
 
-    // Start robot status update interval
-    function startRobotStatusUpdateInterval() {
-        if (robotStatusUpdateInterval) {
-            clearInterval(robotStatusUpdateInterval);
-        }
+    // Apply the robot simulator inputs, used by simulated robot targets
+    async function applySimulatorInputs() {
+        const toRate = input => Math.max(0, Math.min(100, parseFloat(input.value) || 0)) / 100;
+        const speed = parseFloat(simulatorInputs.speed.value);
+        const stuckServos = simulatorInputs.stuckServos.value
+            .split(',')
+            .map(id => parseInt(id, 10))
+            .filter(id => ServoMap.getServo(id));
+
+        const settings = {
+            speed: speed > 0 ? speed : CONFIG.SIMULATOR.DEFAULT_SPEED,
+            faults: {
+                timeoutRate: toRate(simulatorInputs.timeoutRate),
+                errorRate: toRate(simulatorInputs.errorRate),
+                stuckServos
+            }
+        };
 
-        // Update charts every second
-        robotStatusUpdateInterval = setInterval(updateRobotStatusCharts, 1000);
+        simulatorInputs.speed.value = settings.speed;
+        simulatorInputs.stuckServos.value = stuckServos.join(', ');
+
+        try {
+            await Transports.configureSimulator(settings);
+            UI.showStatus(`Simulated robot: speed ${settings.speed}, ` +
+                `${Math.round(settings.faults.timeoutRate * 100)}% timeouts, ` +
+                `${Math.round(settings.faults.errorRate * 100)}% errors` +
+                (stuckServos.length > 0 ? `, servos ${stuckServos.join(', ')} stuck` : ''), 'info');
+        } catch (error) {
+            UI.showStatus(`Error configuring the robot simulator: ${error.message}`, 'error');
+        }
     }
 
-    // Update history chart
-    function updateHistoryChart() {
-        if (!historyChart || !selectedServoId) {
+    // Fill the calibration select with the saved operator calibrations
+    function populateCalibrationSelect() {
+        const select = calibrationControls.select;
+        if (!select) {
             return;
         }
 
-        // Get data for selected servo
-        const servoData = historicalData[selectedServoId] || [];
+        select.innerHTML = '';
 
-        // Calculate time range in milliseconds
-        const timeRangeMs = historyTimeRange * 1000;
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None';
+        select.appendChild(none);
 
-        // Filter data to only include points within the time range
-        const now = Date.now();
-        const filteredData = servoData.filter(point => (now - point.x) <= timeRangeMs);
+        Object.keys(Calibration.getCalibrations()).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
 
-        // Format data for chart
-        const labels = [];
-        const values = [];
+        select.value = Calibration.getActive() || '';
+        calibrationControls.remove.disabled = !Calibration.getActive();
+    }
 
-        filteredData.forEach(point => {
-            const date = new Date(point.x);
-            labels.push(date.toLocaleTimeString());
-            values.push(point.y);
-        });
+    // Make the formulas use the calibration of an operator, null for none
+    function selectCalibration(name) {
+        ServoControl.setCalibration(Calibration.setActive(name));
+        populateCalibrationSelect();
+    }
 
-        // Update chart data
-        historyChart.data.labels = labels;
-        historyChart.data.datasets[0].data = values;
+    // Start the calibration wizard for the formulas of both formula profiles
+    function startCalibration() {
+        const formulas = {};
+        for (const profile in ServoControl.getProfiles()) {
+            formulas[profile] = ServoControl.getFormulas(profile);
+        }
 
-        // Update chart label with servo name
-        const selectedServo = CONFIG.SERVOS.find(servo => servo.id === selectedServoId);
-        if (selectedServo) {
-            historyChart.data.datasets[0].label = `${selectedServo.name} (ID: ${selectedServoId})`;
+        try {
+            Calibration.start(formulas);
+            calibrationControls.name.value = Calibration.getActive() || '';
+        } catch (error) {
+            UI.showStatus(`Cannot start calibration: ${error.message}`, 'error');
         }
+    }
 
-        // Update chart
-        historyChart.update();
+    // Show the state of the calibration wizard
+    function renderCalibrationWizard(state) {
+        if (!calibrationControls.wizard) {
+            return;
+        }
 
-        // Update min/max values
-        updateMinMaxValues(filteredData);
+        calibrationControls.wizard.classList.toggle('active', state.active);
+        calibrationControls.start.disabled = state.active;
+        if (!state.active) {
+            calibrationControls.result.classList.remove('active');
+            return;
+        }
+
+        const instruction = calibrationControls.instruction;
+        const done = state.phase === 'done';
+
+        calibrationControls.step.textContent = done
+            ? 'All poses recorded'
+            : `Pose ${state.poseIndex + 1} of ${state.poseCount}`;
+        instruction.classList.toggle('recording', state.phase === 'recording');
+
+        if (done) {
+            instruction.textContent = 'Save the ranges as a calibration or write them into the formulas';
+        } else if (state.phase === 'settling') {
+            instruction.textContent = `${state.pose.instruction} and hold it...`;
+        } else if (state.phase === 'recording') {
+            instruction.textContent = `${state.pose.instruction}, recording (${state.samples} frames)`;
+        } else {
+            instruction.textContent = state.pose.instruction;
+        }
+
+        calibrationControls.record.disabled = state.phase !== 'ready';
+        calibrationControls.skip.disabled = done;
+
+        const showResult = done && !calibrationControls.result.classList.contains('active');
+        calibrationControls.result.classList.toggle('active', done);
+        if (showResult) {
+            renderCalibrationResult();
+        }
     }
 
-    // Update min/max values display
-    function updateMinMaxValues(data) {
-        const minValueElement = document.getElementById('min-value');
-        const maxValueElement = document.getElementById('max-value');
+    // Show the measurement ranges recorded by the calibration wizard
+    function renderCalibrationResult() {
+        const tbody = calibrationControls.resultTable.querySelector('tbody');
+        const result = Calibration.getResult();
+        const profiles = ServoControl.getProfiles();
+        let count = 0;
+
+        tbody.innerHTML = '';
+
+        for (const profile in result) {
+            for (const servoId in result[profile]) {
+                const servo = ServoMap.getServo(servoId);
+                const row = document.createElement('tr');
+                [
+                    profiles[profile] ? profiles[profile].label : profile,
+                    servo ? `${servo.name} (ID: ${servoId})` : servoId,
+                    result[profile][servoId].min,
+                    result[profile][servoId].max
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+                count++;
+            }
+        }
 
-        if (!minValueElement || !maxValueElement || data.length === 0) {
-            if (minValueElement) minValueElement.textContent = '--';
-            if (maxValueElement) maxValueElement.textContent = '--';
-            return;
+        if (count === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 4;
+            cell.textContent = 'No measurement changed between the poses, was the hand visible?';
+            row.appendChild(cell);
+            tbody.appendChild(row);
         }
 
-        // Calculate min and max values
-        const values = data.map(point => point.y);
-        const minValue = Math.min(...values);
-        const maxValue = Math.max(...values);
+        calibrationControls.save.disabled = count === 0;
+        calibrationControls.rewrite.disabled = count === 0;
+    }
 
-        // Update display
-        minValueElement.textContent = minValue;
-        maxValueElement.textContent = maxValue;
+    // Replace the measurement range of the map() call of every calibrated formula.
+    // bounds returns the new [min, max] for a recorded range. Returns the number of rewritten formulas.
+    function rewriteMeasurementRanges(result, bounds) {
+        let count = 0;
+
+        for (const profile in result) {
+            const formulas = ServoControl.getFormulas(profile);
+
+            for (const servoId in result[profile]) {
+                const formula = FormulaParser.setMeasurementRange(formulas[servoId], ...bounds(result[profile][servoId]));
+                if (formula !== null && ServoControl.updateFormula(servoId, formula, profile)) {
+                    count++;
+                }
+            }
+        }
+
+        showProfileFormulas();
+        return count;
     }
 
-    // Initialize robot status graph elements
-    function initRobotStatusGraphElements() {
-        // Get elements
-        const robotStatusTimeRangeInput = document.getElementById('robot-status-time-range');
-        const positionChartCanvas = document.getElementById('position-chart');
-        const loadChartCanvas = document.getElementById('load-chart');
-        const temperatureChartCanvas = document.getElementById('temperature-chart');
+    // Save the recorded ranges as an operator's calibration, used by the formulas through calMin and calMax
+    function saveCalibrationResult() {
+        const name = calibrationControls.name.value.trim();
+        const result = Calibration.getResult();
 
-        if (!robotStatusTimeRangeInput || !positionChartCanvas || !loadChartCanvas || !temperatureChartCanvas) {
-            console.error('Robot status graph elements not found');
+        try {
+            Calibration.saveCalibration(name, result);
+        } catch (error) {
+            UI.showStatus(error.message, 'error');
             return;
         }
 
-        // Set initial time range
-        robotStatusTimeRange = parseInt(robotStatusTimeRangeInput.value, 10);
+        const count = rewriteMeasurementRanges(result, () => ['calMin', 'calMax']);
+        Calibration.cancel();
+        selectCalibration(name);
+        UI.showStatus(`Calibration of ${name} saved and selected, ${count} formula(s) use calMin and calMax`, 'success');
+    }
 
-        // Initialize empty historical data for each servo
-        CONFIG.SERVOS.forEach(servo => {
-            robotStatusHistoricalData.position[servo.id] = [];
-            robotStatusHistoricalData.load[servo.id] = [];
-            robotStatusHistoricalData.temperature[servo.id] = [];
+    // Write the recorded ranges into the formulas
+    function rewriteFormulaBounds() {
+        const count = rewriteMeasurementRanges(Calibration.getResult(), range => [range.min, range.max]);
+        Calibration.cancel();
+        UI.showStatus(`Measurement ranges of ${count} formula(s) rewritten`, 'success');
+    }
+
+    // Get the settings of the current operator, as stored in operator profiles
+    function getOperatorSettings() {
+        const config = getConfiguration();
+        const settings = {};
+        OPERATOR_SETTINGS.forEach(key => {
+            settings[key] = config[key];
         });
 
-        // Initialize charts
-        initPositionChart(positionChartCanvas);
-        initLoadChart(loadChartCanvas);
-        initTemperatureChart(temperatureChartCanvas);
+        // Only the operator's own calibration
+        const activeCalibration = Calibration.getActive();
+        settings.calibrations = {};
+        if (activeCalibration) {
+            settings.calibrations[activeCalibration] = Calibration.getCalibration(activeCalibration);
+        }
+        settings.activeCalibration = activeCalibration;
 
-        // Add event listeners
-        robotStatusTimeRangeInput.addEventListener('change', function () {
-            robotStatusTimeRange = parseInt(robotStatusTimeRangeInput.value, 10);
-            updateRobotStatusCharts();
+        return settings;
+    }
+
+    // Apply the settings of an operator profile, its calibration is added to the saved calibrations
+    function applyOperatorSettings(settings) {
+        const config = {
+            calibrations: { ...Calibration.getCalibrations(), ...settings.calibrations },
+            activeCalibration: settings.activeCalibration || null
+        };
+        OPERATOR_SETTINGS.forEach(key => {
+            if (settings[key] !== undefined) {
+                config[key] = settings[key];
+            }
         });
 
-        // Start update interval
-        startRobotStatusUpdateInterval();
+        applyConfiguration(config);
     }
 
-    // Initialize position chart
-    function initPositionChart(canvas) {
-        if (!canvas) {
+    // Show the stored operator profiles ({ names, active, recovered }) in the profile select
+    function renderOperatorProfiles(list) {
+        if (list.recovered) {
+            UI.showStatus(`The operator profiles file was damaged and has been moved to ${list.recovered}, ` +
+                'the profiles start over', 'warning');
+        }
+
+        const select = operatorProfileControls.select;
+        if (!select) {
             return;
         }
 
-        // Create datasets for each servo
-        const datasets = CONFIG.SERVOS.map((servo, index) => {
-            // Generate a color based on the index
-            const hue = (index * 30) % 360;
-            const color = `hsl(${hue}, 70%, 50%)`;
+        select.innerHTML = '';
 
-            return {
-                label: `ID: ${servo.id}`,
-                data: [],
-                borderColor: color,
-                backgroundColor: `hsla(${hue}, 70%, 50%, 0.1)`,
-                borderWidth: 2,
-                fill: false,
-                tension: 0.2
-            };
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None';
+        select.appendChild(none);
+
+        list.names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
         });
 
-        // Create chart
-        positionChart = new Chart(canvas, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: datasets
-            },
-            options: {
+        select.value = list.active || '';
+        operatorProfileControls.name.value = list.active || '';
+        operatorProfileControls.remove.disabled = !list.active;
+        operatorProfileControls.exportButton.disabled = !list.active;
+    }
+
+    // Switch to the profile of an operator, null for none
+    async function selectOperatorProfile(name) {
+        try {
+            const settings = await OperatorProfiles.select(name);
+            if (settings) {
+                applyOperatorSettings(settings);
+                UI.showStatus(`Operator profile ${name} loaded`, 'success');
+            } else {
+                UI.showStatus('No operator profile selected, the current settings are kept', 'info');
+            }
+        } catch (error) {
+            UI.showStatus(`Error loading operator profile ${name}: ${error.message}`, 'error');
+        }
+
+        await refreshOperatorProfiles();
+    }
+
+    // Show the stored operator profiles again
+    async function refreshOperatorProfiles() {
+        try {
+            renderOperatorProfiles(await OperatorProfiles.list());
+        } catch (error) {
+            UI.showStatus(`Error listing operator profiles: ${error.message}`, 'error');
+        }
+    }
+
+    // Store the current settings as the profile named in the profile name input
+    async function saveOperatorProfile() {
+        const name = operatorProfileControls.name.value.trim();
+        if (!name) {
+            UI.showStatus('Enter a name for the operator profile', 'error');
+            return;
+        }
+
+        try {
+            renderOperatorProfiles(await OperatorProfiles.save(name, getOperatorSettings()));
+            UI.showStatus(`Operator profile ${name} saved`, 'success');
+        } catch (error) {
+            UI.showStatus(`Error saving operator profile: ${error.message}`, 'error');
+        }
+    }
+
+    // Delete the selected operator profile, the current settings are kept
+    async function deleteOperatorProfile() {
+        const name = operatorProfileControls.select.value;
+        if (!name) {
+            return;
+        }
+
+        try {
+            renderOperatorProfiles(await OperatorProfiles.remove(name));
+            UI.showStatus(`Operator profile ${name} deleted`, 'info');
+        } catch (error) {
+            UI.showStatus(`Error deleting operator profile ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Export the selected operator profile to a JSON file
+    async function exportOperatorProfile() {
+        const name = operatorProfileControls.select.value;
+        if (!name) {
+            return;
+        }
+
+        try {
+            const settings = await OperatorProfiles.get(name);
+            downloadJson(OperatorProfiles.toFile(name, settings), `${name.replace(/[^\w-]+/g, '_')}-profile.json`, 2);
+            UI.showStatus(`Operator profile ${name} exported`, 'success');
+        } catch (error) {
+            UI.showStatus(`Error exporting operator profile ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Import an operator profile from a file exported by exportOperatorProfile, storing and selecting it
+    function importOperatorProfile(file) {
+        const reader = new FileReader();
+
+        reader.onload = async function (event) {
+            try {
+                const { name, settings } = OperatorProfiles.fromFile(JSON.parse(event.target.result));
+                renderOperatorProfiles(await OperatorProfiles.save(name, settings));
+                applyOperatorSettings(settings);
+                UI.showStatus(`Operator profile ${name} imported`, 'success');
+            } catch (error) {
+                console.error('Error importing operator profile:', error);
+                UI.showStatus(`Error importing operator profile: ${error.message}`, 'error');
+            }
+        };
+
+        reader.onerror = function () {
+            UI.showStatus('Error reading operator profile file', 'error');
+        };
+
+        reader.readAsText(file);
+    }
+
+    // Render the robot targets editor
+    function renderTargets() {
+        const tableBody = document.querySelector('#targets-table tbody');
+        if (!tableBody) {
+            return;
+        }
+
+        tableBody.innerHTML = '';
+
+        ServoControl.getTargets().forEach(target => {
+            const row = document.createElement('tr');
+            row.setAttribute('data-target-id', target.id);
+
+            const addCell = element => {
+                const cell = document.createElement('td');
+                cell.appendChild(element);
+                row.appendChild(cell);
+                return element;
+            };
+
+            // Connection indicator
+            const indicator = addCell(document.createElement('div'));
+            indicator.className = 'connection-indicator';
+            updateTargetIndicator(indicator, target.enabled, ServoControl.isConnected(target.id));
+
+            // Enabled checkbox
+            const enabledInput = addCell(document.createElement('input'));
+            enabledInput.type = 'checkbox';
+            enabledInput.checked = target.enabled;
+            enabledInput.addEventListener('change', function () {
+                applyTargetSettings(target.id, { enabled: enabledInput.checked });
+            });
+
+            // Name
+            const nameInput = addCell(document.createElement('input'));
+            nameInput.type = 'text';
+            nameInput.value = target.name;
+            nameInput.addEventListener('change', function () {
+                applyTargetSettings(target.id, { name: nameInput.value });
+            });
+
+            // Formula profile driving the target
+            const profileSelect = addCell(document.createElement('select'));
+            const profiles = ServoControl.getProfiles();
+            for (const profile in profiles) {
+                const option = document.createElement('option');
+                option.value = profile;
+                option.textContent = profiles[profile].label;
+                profileSelect.appendChild(option);
+            }
+            profileSelect.value = target.profile;
+            profileSelect.addEventListener('change', function () {
+                applyTargetSettings(target.id, { profile: profileSelect.value });
+            });
+
+            // Transport type
+            const transportSelect = addCell(document.createElement('select'));
+            const transportTypes = Transports.getTypes();
+            for (const type in transportTypes) {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = transportTypes[type].label;
+                transportSelect.appendChild(option);
+            }
+            transportSelect.value = target.transport;
+            transportSelect.addEventListener('change', function () {
+                applyTargetSettings(target.id, { transport: transportSelect.value });
+                if (transportSelect.value === 'serial') {
+                    refreshSerialPorts();
+                }
+            });
+
+            // Address: the serial port for serial targets, none for simulated targets, otherwise the robot IP
+            const isSerial = target.transport === 'serial';
+            const isSimulated = target.transport === 'simulated';
+            const addressInput = addCell(document.createElement('input'));
+            addressInput.type = 'text';
+            addressInput.value = isSimulated ? '' : (isSerial ? target.serialPort : target.host);
+            addressInput.placeholder = isSimulated ? 'Built in' : (isSerial ? '/dev/ttyUSB0' : '192.168.1.100');
+            addressInput.disabled = isSimulated;
+            if (isSerial) {
+                addressInput.setAttribute('list', 'serial-port-list');
+            }
+            addressInput.addEventListener('change', function () {
+                applyTargetSettings(target.id, isSerial ? { serialPort: addressInput.value } : { host: addressInput.value });
+            });
+
+            // Baud rate, only used by serial targets
+            const baudRateSelect = addCell(document.createElement('select'));
+            CONFIG.SERIAL.BAUD_RATES.forEach(baudRate => {
+                const option = document.createElement('option');
+                option.value = baudRate;
+                option.textContent = baudRate;
+                baudRateSelect.appendChild(option);
+            });
+            baudRateSelect.value = target.baudRate;
+            baudRateSelect.disabled = !isSerial;
+            baudRateSelect.addEventListener('change', function () {
+                applyTargetSettings(target.id, { baudRate: baudRateSelect.value });
+            });
+
+            // Remap and remove buttons
+            const buttons = addCell(document.createElement('div'));
+            buttons.className = 'button-group';
+
+            const remapButton = document.createElement('button');
+            remapButton.textContent = 'Servo IDs';
+            remapButton.title = 'Map servos to different IDs on this robot';
+            remapButton.addEventListener('click', function () {
+                if (expandedRemaps.has(target.id)) {
+                    expandedRemaps.delete(target.id);
+                } else {
+                    expandedRemaps.add(target.id);
+                }
+                renderTargets();
+            });
+            buttons.appendChild(remapButton);
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.className = 'remove-button';
+            removeButton.addEventListener('click', function () {
+                ServoControl.removeTarget(target.id);
+                expandedRemaps.delete(target.id);
+                renderTargets();
+                UI.showStatus(`Target ${target.name} removed`, 'info');
+            });
+            buttons.appendChild(removeButton);
+
+            tableBody.appendChild(row);
+
+            if (expandedRemaps.has(target.id)) {
+                tableBody.appendChild(createTargetRemapRow(target));
+            }
+        });
+
+        populateTargetSelects();
+    }
+
+    // Create the row with the servo ID remap table of a target
+    function createTargetRemapRow(target) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 8;
+
+        const container = document.createElement('div');
+        container.className = 'target-remap';
+        container.title = 'Robot servo ID for each servo. Empty: same ID, -: not sent to this robot';
+
+        ServoMap.getServos().forEach(servo => {
+            const label = document.createElement('label');
+            label.textContent = `${servo.name} (${servo.id}) →`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = servo.id;
+            const remapped = target.remap[servo.id];
+            input.value = remapped === undefined ? '' : (remapped === null ? '-' : remapped);
+
+            input.addEventListener('change', function () {
+                const remap = { ...ServoControl.getTargets().find(other => other.id === target.id).remap };
+                const value = input.value.trim();
+
+                if (value === '') {
+                    delete remap[servo.id];
+                } else {
+                    remap[servo.id] = value;
+                }
+
+                applyTargetSettings(target.id, { remap });
+            });
+
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+
+        cell.appendChild(container);
+        row.appendChild(cell);
+        return row;
+    }
+
+    // Apply changed settings to a target and show the result
+    function applyTargetSettings(targetId, settings) {
+        ServoControl.updateTarget(targetId, settings);
+        renderTargets();
+    }
+
+    // Show a target's connection status in its indicator
+    function updateTargetIndicator(indicator, enabled, connected) {
+        indicator.classList.toggle('connected', connected);
+        indicator.classList.toggle('error', enabled && !connected);
+    }
+
+    // Fill the target dropdowns of the monitoring and robot status tabs
+    function populateTargetSelects() {
+        const targets = ServoControl.getTargets();
+
+        // Keep the selected target if it still exists, otherwise select the first one
+        if (!targets.some(target => target.id === selectedTargetId)) {
+            selectTarget(targets.length > 0 ? targets[0].id : null);
+        }
+
+        document.querySelectorAll('.target-select').forEach(select => {
+            select.innerHTML = '';
+            targets.forEach(target => {
+                const option = document.createElement('option');
+                option.value = target.id;
+                option.textContent = target.name;
+                select.appendChild(option);
+            });
+
+            if (selectedTargetId !== null) {
+                select.value = selectedTargetId;
+            }
+        });
+    }
+
+    // Show the sent values and robot status of another target
+    function selectTarget(targetId) {
+        const previousProfile = getSelectedTargetProfile();
+        selectedTargetId = targetId;
+
+        // Calculated values come from the formula profile driving the target
+        if (getSelectedTargetProfile() !== previousProfile) {
+            historicalData = {};
+            updateCalculatedValuesTable({});
+        }
+
+        document.querySelectorAll('.target-select').forEach(select => {
+            select.value = targetId;
+        });
+
+        // The collected data belongs to the previous target
+        robotStatusHistoricalData.position = {};
+        robotStatusHistoricalData.load = {};
+        robotStatusHistoricalData.temperature = {};
+        commandHistoricalData = {};
+
+        updateRobotStatusTable([]);
+        updateSentValuesTable({});
+        updateRobotStatusCharts();
+        updateHistoryChart();
+    }
+
+    // Fill the serial port suggestions with the ports of this computer
+    async function refreshSerialPorts() {
+        const portList = document.getElementById('serial-port-list');
+        if (!portList) {
+            return;
+        }
+
+        try {
+            const ports = await Transports.listSerialPorts();
+
+            portList.innerHTML = '';
+            ports.forEach(port => {
+                const option = document.createElement('option');
+                option.value = port.path;
+                if (port.manufacturer) {
+                    option.label = `${port.path} (${port.manufacturer})`;
+                }
+                portList.appendChild(option);
+            });
+
+            UI.showStatus(`Found ${ports.length} serial port(s)`, 'info');
+        } catch (error) {
+            UI.showStatus(`Error listing serial ports: ${error.message}`, 'error');
+        }
+    }
+
+    // Populate the servo select dropdown of the history chart
+    function populateServoSelect() {
+        const servoSelect = document.getElementById('servo-select');
+        if (!servoSelect) {
+            return;
+        }
+
+        const servos = ServoMap.getServos();
+
+        servoSelect.innerHTML = '';
+        servos.forEach(servo => {
+            const option = document.createElement('option');
+            option.value = servo.id;
+            option.textContent = `${servo.name} (ID: ${servo.id})`;
+            servoSelect.appendChild(option);
+        });
+
+        // Keep the selected servo if it still exists, otherwise select the first one
+        if (!servos.some(servo => servo.id === selectedServoId)) {
+            selectedServoId = servos.length > 0 ? servos[0].id : null;
+        }
+
+        if (selectedServoId !== null) {
+            servoSelect.value = selectedServoId;
+        }
+    }
+
+    // Initialize history chart
+    function initHistoryChart(canvas) {
+        if (!canvas) {
+            return;
+        }
+
+        // Create chart
+        historyChart = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Servo Value',
+                    data: [],
+                    borderColor: '#3498db',
+                    backgroundColor: 'rgba(52, 152, 219, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.2,
+                    spanGaps: true
+                }, {
+                    label: 'Command',
+                    data: [],
+                    borderColor: '#e67e22',
+                    backgroundColor: 'rgba(230, 126, 34, 0.1)',
+                    borderWidth: 2,
+                    fill: false,
+                    stepped: true,
+                    spanGaps: true
+                }]
+            },
+            options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
@@ -358,11 +1085,11 @@ const UI = (() => {
                         }
                     },
                     y: {
-                        beginAtZero: true,
+                        beginAtZero: false,
                         grace: '10%',
                         title: {
                             display: true,
-                            text: 'Position'
+                            text: 'Value'
                         },
                         ticks: {
                             precision: 0
@@ -375,29 +1102,151 @@ const UI = (() => {
                         intersect: false
                     },
                     legend: {
-                        display: true,
-                        position: 'top',
-                        labels: {
-                            boxWidth: 12,
-                            font: {
-                                size: 10
-                            }
-                        }
+                        display: true
                     }
-                },
-                animation: false
+                }
             }
         });
+
+        // Start history update interval
+        startHistoryUpdateInterval();
     }
 
-    // Initialize load chart
-    function initLoadChart(canvas) {
-        if (!canvas) {
+    // Start history update interval
+    function startHistoryUpdateInterval() {
+        if (historyUpdateInterval) {
+            clearInterval(historyUpdateInterval);
+        }
+
+        // Update chart every second
+        historyUpdateInterval = setInterval(updateHistoryChart, 1000);
+    }
+
+    // Start robot status update interval
+    function startRobotStatusUpdateInterval() {
+        if (robotStatusUpdateInterval) {
+            clearInterval(robotStatusUpdateInterval);
+        }
+
+        // Update charts every second
+        robotStatusUpdateInterval = setInterval(updateRobotStatusCharts, 1000);
+    }
+
+    // Update history chart
+    function updateHistoryChart() {
+        if (!historyChart || !selectedServoId) {
             return;
         }
 
-        // Create datasets for each servo
-        const datasets = CONFIG.SERVOS.map((servo, index) => {
+        // Get data for selected servo
+        const servoData = historicalData[selectedServoId] || [];
+        const commandData = commandHistoricalData[selectedServoId] || [];
+
+        // Calculate time range in milliseconds
+        const timeRangeMs = historyTimeRange * 1000;
+
+        // Filter data to only include points within the time range
+        const now = Date.now();
+        const filteredData = servoData.filter(point => (now - point.x) <= timeRangeMs);
+        const filteredCommandData = commandData.filter(point => (now - point.x) <= timeRangeMs);
+
+        // Merge the timestamps of both series, leaving gaps where a series has no point
+        const valueMap = new Map(filteredData.map(point => [point.x, point.y]));
+        const commandMap = new Map(filteredCommandData.map(point => [point.x, point.y]));
+        const timestamps = Array.from(new Set([...valueMap.keys(), ...commandMap.keys()])).sort((a, b) => a - b);
+
+        // Format data for chart
+        const labels = [];
+        const values = [];
+        const commands = [];
+
+        timestamps.forEach(timestamp => {
+            const date = new Date(timestamp);
+            labels.push(date.toLocaleTimeString());
+            values.push(valueMap.has(timestamp) ? valueMap.get(timestamp) : null);
+            commands.push(commandMap.has(timestamp) ? commandMap.get(timestamp) : null);
+        });
+
+        // Update chart data
+        historyChart.data.labels = labels;
+        historyChart.data.datasets[0].data = values;
+        historyChart.data.datasets[1].data = commands;
+
+        // Update chart label with servo name
+        const selectedServo = ServoMap.getServo(selectedServoId);
+        if (selectedServo) {
+            historyChart.data.datasets[0].label = `${selectedServo.name} (ID: ${selectedServoId})`;
+        }
+
+        // Update chart
+        historyChart.update();
+
+        // Update min/max values
+        updateMinMaxValues(filteredData);
+    }
+
+    // Update min/max values display
+    function updateMinMaxValues(data) {
+        const minValueElement = document.getElementById('min-value');
+        const maxValueElement = document.getElementById('max-value');
+
+        if (!minValueElement || !maxValueElement || data.length === 0) {
+            if (minValueElement) minValueElement.textContent = '--';
+            if (maxValueElement) maxValueElement.textContent = '--';
+            return;
+        }
+
+        // Calculate min and max values
+        const values = data.map(point => point.y);
+        const minValue = Math.min(...values);
+        const maxValue = Math.max(...values);
+
+        // Update display
+        minValueElement.textContent = minValue;
+        maxValueElement.textContent = maxValue;
+    }
+
+    // Initialize robot status graph elements
+    function initRobotStatusGraphElements() {
+        // Get elements
+        const robotStatusTimeRangeInput = document.getElementById('robot-status-time-range');
+        const positionChartCanvas = document.getElementById('position-chart');
+        const loadChartCanvas = document.getElementById('load-chart');
+        const temperatureChartCanvas = document.getElementById('temperature-chart');
+
+        if (!robotStatusTimeRangeInput || !positionChartCanvas || !loadChartCanvas || !temperatureChartCanvas) {
+            console.error('Robot status graph elements not found');
+            return;
+        }
+
+        // Set initial time range
+        robotStatusTimeRange = parseInt(robotStatusTimeRangeInput.value, 10);
+
+        // Initialize empty historical data for each servo
+        ServoMap.getServos().forEach(servo => {
+            robotStatusHistoricalData.position[servo.id] = [];
+            robotStatusHistoricalData.load[servo.id] = [];
+            robotStatusHistoricalData.temperature[servo.id] = [];
+        });
+
+        // Initialize charts
+        initPositionChart(positionChartCanvas);
+        initLoadChart(loadChartCanvas);
+        initTemperatureChart(temperatureChartCanvas);
+
+        // Add event listeners
+        robotStatusTimeRangeInput.addEventListener('change', function () {
+            robotStatusTimeRange = parseInt(robotStatusTimeRangeInput.value, 10);
+            updateRobotStatusCharts();
+        });
+
+        // Start update interval
+        startRobotStatusUpdateInterval();
+    }
+
+    // Create a robot status chart dataset for each servo
+    function createServoDatasets() {
+        return ServoMap.getServos().map((servo, index) => {
             // Generate a color based on the index
             const hue = (index * 30) % 360;
             const color = `hsl(${hue}, 70%, 50%)`;
@@ -412,9 +1261,19 @@ const UI = (() => {
                 tension: 0.2
             };
         });
+    }
+
+    // Initialize position chart
+    function initPositionChart(canvas) {
+        if (!canvas) {
+            return;
+        }
+
+        // Create datasets for each servo
+        const datasets = createServoDatasets();
 
         // Create chart
-        loadChart = new Chart(canvas, {
+        positionChart = new Chart(canvas, {
             type: 'line',
             data: {
                 labels: [],
@@ -435,7 +1294,7 @@ const UI = (() => {
                         grace: '10%',
                         title: {
                             display: true,
-                            text: 'Load'
+                            text: 'Position'
                         },
                         ticks: {
                             precision: 0
@@ -463,28 +1322,73 @@ const UI = (() => {
         });
     }
 
-    // Initialize temperature chart
-    function initTemperatureChart(canvas) {
+    // Initialize load chart
+    function initLoadChart(canvas) {
         if (!canvas) {
             return;
         }
 
         // Create datasets for each servo
-        const datasets = CONFIG.SERVOS.map((servo, index) => {
-            // Generate a color based on the index
-            const hue = (index * 30) % 360;
-            const color = `hsl(${hue}, 70%, 50%)`;
+        const datasets = createServoDatasets();
 
-            return {
-                label: `ID: ${servo.id}`,
-                data: [],
-                borderColor: color,
-                backgroundColor: `hsla(${hue}, 70%, 50%, 0.1)`,
-                borderWidth: 2,
-                fill: false,
-                tension: 0.2
-            };
+        // Create chart
+        loadChart = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Time'
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        grace: '10%',
+                        title: {
+                            display: true,
+                            text: 'Load'
+                        },
+                        ticks: {
+                            precision: 0
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    },
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            boxWidth: 12,
+                            font: {
+                                size: 10
+                            }
+                        }
+                    }
+                },
+                animation: false
+            }
         });
+    }
+
+    // Initialize temperature chart
+    function initTemperatureChart(canvas) {
+        if (!canvas) {
+            return;
+        }
+
+        // Create datasets for each servo
+        const datasets = createServoDatasets();
 
         // Create chart
         temperatureChart = new Chart(canvas, {
@@ -552,19 +1456,19 @@ const UI = (() => {
         const timeLabels = new Set();
 
         // Collect all timestamps from all servos and all data types
-        CONFIG.SERVOS.forEach(servo => {
+        ServoMap.getServos().forEach(servo => {
             // Position data
-            robotStatusHistoricalData.position[servo.id]
+            (robotStatusHistoricalData.position[servo.id] || [])
                 .filter(point => (now - point.x) <= timeRangeMs)
                 .forEach(point => timeLabels.add(point.x));
 
             // Load data
-            robotStatusHistoricalData.load[servo.id]
+            (robotStatusHistoricalData.load[servo.id] || [])
                 .filter(point => (now - point.x) <= timeRangeMs)
                 .forEach(point => timeLabels.add(point.x));
 
             // Temperature data
-            robotStatusHistoricalData.temperature[servo.id]
+            (robotStatusHistoricalData.temperature[servo.id] || [])
                 .filter(point => (now - point.x) <= timeRangeMs)
                 .forEach(point => timeLabels.add(point.x));
         });
@@ -598,7 +1502,7 @@ const UI = (() => {
         positionChart.data.labels = formattedLabels;
 
         // Update each dataset
-        CONFIG.SERVOS.forEach((servo, index) => {
+        ServoMap.getServos().forEach((servo, index) => {
             // Get filtered data for this servo
             const servoData = robotStatusHistoricalData.position[servo.id] || [];
             const filteredData = servoData.filter(point => (now - point.x) <= timeRangeMs);
@@ -609,162 +1513,610 @@ const UI = (() => {
                 dataMap.set(point.x, point.y);
             });
 
-            // Create data points for each timestamp
-            const dataPoints = timestamps.map(timestamp => {
-                return dataMap.has(timestamp) ? dataMap.get(timestamp) : null;
-            });
+            // Create data points for each timestamp
+            const dataPoints = timestamps.map(timestamp => {
+                return dataMap.has(timestamp) ? dataMap.get(timestamp) : null;
+            });
+
+            // Update dataset
+            positionChart.data.datasets[index].data = dataPoints;
+        });
+
+        // Update chart
+        positionChart.update();
+    }
+
+    // Update load chart
+    function updateLoadChart(timestamps, formattedLabels, timeRangeMs, now) {
+        if (!loadChart) {
+            return;
+        }
+
+        // Update chart labels
+        loadChart.data.labels = formattedLabels;
+
+        // Update each dataset
+        ServoMap.getServos().forEach((servo, index) => {
+            // Get filtered data for this servo
+            const servoData = robotStatusHistoricalData.load[servo.id] || [];
+            const filteredData = servoData.filter(point => (now - point.x) <= timeRangeMs);
+
+            // Create a map of timestamp to value for quick lookup
+            const dataMap = new Map();
+            filteredData.forEach(point => {
+                dataMap.set(point.x, point.y);
+            });
+
+            // Create data points for each timestamp
+            const dataPoints = timestamps.map(timestamp => {
+                return dataMap.has(timestamp) ? dataMap.get(timestamp) : null;
+            });
+
+            // Update dataset
+            loadChart.data.datasets[index].data = dataPoints;
+        });
+
+        // Update chart
+        loadChart.update();
+    }
+
+    // Update temperature chart
+    function updateTemperatureChart(timestamps, formattedLabels, timeRangeMs, now) {
+        if (!temperatureChart) {
+            return;
+        }
+
+        // Update chart labels
+        temperatureChart.data.labels = formattedLabels;
+
+        // Update each dataset
+        ServoMap.getServos().forEach((servo, index) => {
+            // Get filtered data for this servo
+            const servoData = robotStatusHistoricalData.temperature[servo.id] || [];
+            const filteredData = servoData.filter(point => (now - point.x) <= timeRangeMs);
+
+            // Create a map of timestamp to value for quick lookup
+            const dataMap = new Map();
+            filteredData.forEach(point => {
+                dataMap.set(point.x, point.y);
+            });
+
+            // Create data points for each timestamp
+            const dataPoints = timestamps.map(timestamp => {
+                return dataMap.has(timestamp) ? dataMap.get(timestamp) : null;
+            });
+
+            // Update dataset
+            temperatureChart.data.datasets[index].data = dataPoints;
+        });
+
+        // Update chart
+        temperatureChart.update();
+    }
+
+    // Initialize tab functionality
+    function initTabs() {
+        const tabButtons = document.querySelectorAll('.tab-button');
+        const tabContents = document.querySelectorAll('.tab-content');
+
+        tabButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const tabName = button.getAttribute('data-tab');
+                console.log('Tab clicked:', tabName);
+
+                // Deactivate all tabs
+                tabButtons.forEach(btn => btn.classList.remove('active'));
+                tabContents.forEach(content => content.classList.remove('active'));
+
+                // Activate selected tab
+                button.classList.add('active');
+                const tabContent = document.getElementById(`${tabName}-tab`);
+                if (tabContent) {
+                    tabContent.classList.add('active');
+                    console.log(`Activated tab: ${tabName}-tab`);
+
+                    // If this is the status tab, make sure messages are visible
+                    if (tabName === 'status') {
+                        if (statusMessagesElement) {
+                            console.log('Status tab activated, scrolling messages into view');
+                            statusMessagesElement.scrollTop = statusMessagesElement.scrollHeight;
+                        }
+
+                        // Trigger resize for 3D visualization when status tab is activated
+                        if (HandVisualization3D) {
+                            console.log('Triggering resize for 3D visualization');
+                            HandVisualization3D.resize();
+                        }
+                    }
+                } else {
+                    console.error(`Tab content not found: ${tabName}-tab`);
+                }
+            });
+        });
+    }
+
+    // Generate formula inputs based on the servo map
+    function generateFormulaInputs() {
+        const formulaContainer = document.getElementById('formula-container');
+
+        if (!formulaContainer) {
+            console.error('Formula container not found');
+            return;
+        }
+
+        // Clear container
+        formulaContainer.innerHTML = '';
+        formulaInputs = {};
+        filterControls = {};
+        outputSettingInputs = {};
+        motionLimitInputs = {};
+        protectionInputs = {};
+
+        // Generate formula inputs for each servo
+        ServoMap.getServos().forEach(servo => {
+            const formulaGroup = document.createElement('div');
+            formulaGroup.className = 'formula-group';
+            formulaGroup.setAttribute('data-servo-id', servo.id);
+
+            const label = document.createElement('label');
+            label.setAttribute('for', `formula-${servo.id}`);
+            label.textContent = `${servo.name} (ID: ${servo.id}):`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `formula-${servo.id}`;
+            input.className = 'formula-input';
+            input.placeholder = 'Enter formula';
+
+            formulaGroup.appendChild(label);
+            formulaGroup.appendChild(input);
+            formulaGroup.appendChild(createFilterControls(servo.id));
+            formulaGroup.appendChild(createOutputSettingControls(servo.id));
+            formulaGroup.appendChild(createMotionLimitControls(servo.id));
+            formulaGroup.appendChild(createProtectionControls(servo.id));
+            formulaContainer.appendChild(formulaGroup);
+
+            // Store input element reference
+            formulaInputs[servo.id] = input;
+        });
+
+        // Show the current settings of each servo
+        showProfileFormulas();
+
+        const filters = ServoControl.getFilters();
+        const outputSettings = ServoControl.getOutputSettings();
+        const motionLimits = ServoControl.getMotionLimits();
+
+        for (const servoId in formulaInputs) {
+            if (filters[servoId]) {
+                renderFilterParameters(servoId, filters[servoId]);
+            }
+
+            updateOutputSettingInputs(servoId, outputSettings[servoId]);
+
+            const limits = motionLimits[servoId] || { maxVelocity: 0, maxAcceleration: 0 };
+            motionLimitInputs[servoId].maxVelocity.value = limits.maxVelocity;
+            motionLimitInputs[servoId].maxAcceleration.value = limits.maxAcceleration;
+        }
+
+        updateProtectionInputs();
+
+        // Set up event listeners for formula inputs
+        setupFormulaInputEventListeners();
+    }
+
+    // Fill the formula profile select with the profiles of servo control
+    function populateFormulaProfileSelect() {
+        if (!formulaProfileSelect) {
+            return;
+        }
+
+        const profiles = ServoControl.getProfiles();
+        for (const profile in profiles) {
+            const option = document.createElement('option');
+            option.value = profile;
+            option.textContent = profiles[profile].label;
+            formulaProfileSelect.appendChild(option);
+        }
+        formulaProfileSelect.value = selectedFormulaProfile;
+    }
+
+    // Show the formulas of the selected formula profile in the formula inputs
+    function showProfileFormulas() {
+        const formulas = ServoControl.getFormulas(selectedFormulaProfile);
+
+        for (const servoId in formulaInputs) {
+            formulaInputs[servoId].value = formulas[servoId] || '';
+            validateFormula(servoId, formulaInputs[servoId].value);
+        }
+    }
+
+    // Get the formula profile driving the target shown on the monitoring tab
+    function getSelectedTargetProfile() {
+        const target = ServoControl.getTargets().find(target => target.id === selectedTargetId);
+        return target ? target.profile : 'primary';
+    }
+
+    // Render the servo definitions editor
+    function renderServoDefinitions() {
+        const tableBody = document.querySelector('#servo-definitions-table tbody');
+        if (!tableBody) {
+            return;
+        }
+
+        tableBody.innerHTML = '';
+
+        ServoMap.getServos().forEach(servo => {
+            const row = document.createElement('tr');
+            row.setAttribute('data-servo-id', servo.id);
+
+            const fields = [
+                { name: 'id', type: 'number', step: 1 },
+                { name: 'name', type: 'text' },
+                { name: 'min', type: 'number', step: 1 },
+                { name: 'max', type: 'number', step: 1 },
+                { name: 'resolution', type: 'number', step: 1 },
+                { name: 'defaultPosition', type: 'number', step: 1 }
+            ];
+
+            fields.forEach(field => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = field.type;
+                input.name = field.name;
+                input.value = servo[field.name];
+                if (field.step) {
+                    input.step = field.step;
+                }
+
+                input.addEventListener('change', applyServoDefinitions);
+
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            // Remove button
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.className = 'remove-button';
+            removeButton.addEventListener('click', function () {
+                row.remove();
+                applyServoDefinitions();
+            });
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+
+            tableBody.appendChild(row);
+        });
+    }
+
+    // Apply the servo definitions editor to the servo map
+    function applyServoDefinitions() {
+        const rows = document.querySelectorAll('#servo-definitions-table tbody tr');
+        const servos = [];
+        const renamed = [];
+
+        rows.forEach(row => {
+            const servo = {};
+            row.querySelectorAll('input').forEach(input => {
+                servo[input.name] = input.value;
+            });
+            servos.push(servo);
+
+            const originalId = parseInt(row.getAttribute('data-servo-id'), 10);
+            if (!isNaN(originalId) && parseInt(servo.id, 10) !== originalId) {
+                renamed.push({ from: originalId, to: parseInt(servo.id, 10) });
+            }
+        });
+
+        try {
+            ServoMap.validateServos(servos);
+
+            // Keep the formula and settings of servos whose ID changed
+            renamed.forEach(({ from, to }) => ServoControl.renameServo(from, to));
+
+            ServoMap.setServos(servos);
+            UI.showStatus('Servo definitions updated', 'info');
+        } catch (error) {
+            UI.showStatus(`Invalid servo definitions: ${error.message}`, 'error');
+            renderServoDefinitions();
+        }
+    }
+
+    // Add a servo with the next free ID
+    function addServoDefinition() {
+        const servos = ServoMap.getServos();
+        const id = servos.reduce((max, servo) => Math.max(max, servo.id), 0) + 1;
+
+        servos.push({ id, name: `Servo ${id}` });
+        ServoMap.setServos(servos);
+        UI.showStatus(`Servo ${id} added`, 'info');
+    }
+
+    // Update every view that lists the servos after the servo map changed
+    function refreshServoViews() {
+        generateFormulaInputs();
+        populateServoSelect();
+        renderServoDefinitions();
+        renderTargets();
+
+        // Recreate the robot status datasets for the new servo list
+        [positionChart, loadChart, temperatureChart].forEach(chart => {
+            if (chart) {
+                chart.data.datasets = createServoDatasets();
+            }
+        });
+        updateRobotStatusCharts();
+        updateHistoryChart();
+
+        updateCalculatedValuesTable({});
+        updateSentValuesTable({});
+    }
+
+    // Create the smoothing filter controls shown below a servo's formula
+    function createFilterControls(servoId) {
+        const container = document.createElement('div');
+        container.className = 'filter-settings';
+
+        const label = document.createElement('span');
+        label.textContent = 'Filter:';
+
+        const select = document.createElement('select');
+        const filterTypes = Filters.getTypes();
+        for (const type in filterTypes) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = filterTypes[type].label;
+            select.appendChild(option);
+        }
+
+        const parametersContainer = document.createElement('span');
+        parametersContainer.className = 'filter-parameters';
+
+        container.appendChild(label);
+        container.appendChild(select);
+        container.appendChild(parametersContainer);
+
+        // Store control references
+        filterControls[servoId] = { select, parametersContainer };
+
+        select.addEventListener('change', function () {
+            const settings = Filters.normalizeSettings({ type: select.value });
+            ServoControl.setFilter(servoId, settings);
+            renderFilterParameters(servoId, settings);
+            UI.showStatus(`Filter for servo ${servoId} set to ${filterTypes[settings.type].label}`, 'info');
+        });
+
+        renderFilterParameters(servoId, Filters.normalizeSettings({ type: 'none' }));
+
+        return container;
+    }
+
+    // Create the soft limit, offset and invert inputs shown below a servo's formula
+    function createOutputSettingControls(servoId) {
+        const container = document.createElement('div');
+        container.className = 'output-settings';
+
+        const range = ServoMap.getRange(servoId);
+
+        const createInput = (name, labelText, type, placeholder) => {
+            const label = document.createElement('label');
+            label.textContent = `${labelText}:`;
+
+            const input = document.createElement('input');
+            input.type = type;
+            if (type === 'number') {
+                input.placeholder = placeholder;
+            }
+
+            input.addEventListener('change', function () {
+                applyOutputSettingInputs(servoId);
+                UI.showStatus(`Output settings for servo ${servoId} updated`, 'info');
+            });
+
+            label.appendChild(input);
+            container.appendChild(label);
+            return input;
+        };
+
+        const title = document.createElement('span');
+        title.textContent = 'Output:';
+        container.appendChild(title);
+
+        outputSettingInputs[servoId] = {
+            min: createInput('min', 'Min', 'number', range.min),
+            max: createInput('max', 'Max', 'number', range.max),
+            offset: createInput('offset', 'Offset', 'number', 0),
+            invert: createInput('invert', 'Invert', 'checkbox')
+        };
+
+        return container;
+    }
 
-            // Update dataset
-            positionChart.data.datasets[index].data = dataPoints;
+    // Read a servo's output setting inputs into ServoControl
+    function applyOutputSettingInputs(servoId) {
+        const inputs = outputSettingInputs[servoId];
+
+        ServoControl.setOutputSetting(servoId, {
+            min: inputs.min.value,
+            max: inputs.max.value,
+            offset: inputs.offset.value,
+            invert: inputs.invert.checked
         });
 
-        // Update chart
-        positionChart.update();
+        updateOutputSettingInputs(servoId, ServoControl.getOutputSettings()[servoId]);
     }
 
-    // Update load chart
-    function updateLoadChart(timestamps, formattedLabels, timeRangeMs, now) {
-        if (!loadChart) {
+    // Show a servo's output settings in its inputs
+    function updateOutputSettingInputs(servoId, settings) {
+        const inputs = outputSettingInputs[servoId];
+        if (!inputs) {
             return;
         }
 
-        // Update chart labels
-        loadChart.data.labels = formattedLabels;
+        inputs.min.value = settings && settings.min !== null ? settings.min : '';
+        inputs.max.value = settings && settings.max !== null ? settings.max : '';
+        inputs.offset.value = settings && settings.offset ? settings.offset : '';
+        inputs.invert.checked = Boolean(settings && settings.invert);
+    }
 
-        // Update each dataset
-        CONFIG.SERVOS.forEach((servo, index) => {
-            // Get filtered data for this servo
-            const servoData = robotStatusHistoricalData.load[servo.id] || [];
-            const filteredData = servoData.filter(point => (now - point.x) <= timeRangeMs);
+    // Push the configured soft limits to the robot
+    async function pushServoLimits() {
+        const limits = ServoControl.getConfiguredServoLimits();
 
-            // Create a map of timestamp to value for quick lookup
-            const dataMap = new Map();
-            filteredData.forEach(point => {
-                dataMap.set(point.x, point.y);
-            });
+        if (limits.length === 0) {
+            UI.showStatus('No servo output limits configured', 'warning');
+            return;
+        }
 
-            // Create data points for each timestamp
-            const dataPoints = timestamps.map(timestamp => {
-                return dataMap.has(timestamp) ? dataMap.get(timestamp) : null;
+        try {
+            const targetCount = await ServoControl.setServoLimits(limits);
+            UI.showStatus(`Limits pushed to ${targetCount} robot(s) for ${limits.length} servo(s)`, 'success');
+        } catch (error) {
+            UI.showStatus(`Error pushing limits to robot: ${error.message}`, 'error');
+        }
+    }
+
+    // Create the velocity and acceleration limit inputs shown below a servo's formula
+    function createMotionLimitControls(servoId) {
+        const container = document.createElement('div');
+        container.className = 'motion-settings';
+
+        const createLimitInput = (name, labelText) => {
+            const label = document.createElement('label');
+            label.textContent = `${labelText}:`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.step = 10;
+            input.value = 0;
+            input.title = '0 for unlimited';
+
+            input.addEventListener('change', function () {
+                const limits = ServoControl.getMotionLimits()[servoId] || {};
+                ServoControl.setMotionLimit(servoId, { ...limits, [name]: input.value });
+                input.value = ServoControl.getMotionLimits()[servoId][name];
+                UI.showStatus(`Motion limits for servo ${servoId} updated`, 'info');
             });
 
-            // Update dataset
-            loadChart.data.datasets[index].data = dataPoints;
-        });
+            label.appendChild(input);
+            container.appendChild(label);
+            return input;
+        };
 
-        // Update chart
-        loadChart.update();
-    }
+        const title = document.createElement('span');
+        title.textContent = 'Motion limit:';
+        container.appendChild(title);
 
-    // Update temperature chart
-    function updateTemperatureChart(timestamps, formattedLabels, timeRangeMs, now) {
-        if (!temperatureChart) {
-            return;
-        }
+        motionLimitInputs[servoId] = {
+            maxVelocity: createLimitInput('maxVelocity', 'Max speed (units/s)'),
+            maxAcceleration: createLimitInput('maxAcceleration', 'Max accel (units/s²)')
+        };
 
-        // Update chart labels
-        temperatureChart.data.labels = formattedLabels;
+        return container;
+    }
 
-        // Update each dataset
-        CONFIG.SERVOS.forEach((servo, index) => {
-            // Get filtered data for this servo
-            const servoData = robotStatusHistoricalData.temperature[servo.id] || [];
-            const filteredData = servoData.filter(point => (now - point.x) <= timeRangeMs);
+    // Create the temperature and load threshold inputs shown below a servo's formula
+    function createProtectionControls(servoId) {
+        const container = document.createElement('div');
+        container.className = 'protection-settings';
+        container.title = 'Exceeding a threshold logs a warning, backs the position off toward neutral ' +
+            'or stops (releases) the servo until reset on the Robot Status tab. 0 for off.';
 
-            // Create a map of timestamp to value for quick lookup
-            const dataMap = new Map();
-            filteredData.forEach(point => {
-                dataMap.set(point.x, point.y);
-            });
+        const createThresholdInput = (metric, level, labelText) => {
+            const label = document.createElement('label');
+            label.textContent = `${labelText}:`;
 
-            // Create data points for each timestamp
-            const dataPoints = timestamps.map(timestamp => {
-                return dataMap.has(timestamp) ? dataMap.get(timestamp) : null;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.step = 1;
+
+            input.addEventListener('change', function () {
+                const limits = ServoControl.getProtectionLimits()[servoId];
+                ServoControl.setProtectionLimit(servoId, {
+                    ...limits,
+                    [metric]: { ...limits[metric], [level]: input.value }
+                });
+                input.value = ServoControl.getProtectionLimits()[servoId][metric][level];
+                UI.showStatus(`Protection limits for servo ${servoId} updated`, 'info');
             });
 
-            // Update dataset
-            temperatureChart.data.datasets[index].data = dataPoints;
-        });
-
-        // Update chart
-        temperatureChart.update();
-    }
+            label.appendChild(input);
+            container.appendChild(label);
+            return input;
+        };
 
-    // Initialize tab functionality
-    function initTabs() {
-        const tabButtons = document.querySelectorAll('.tab-button');
-        const tabContents = document.querySelectorAll('.tab-content');
+        const title = document.createElement('span');
+        title.textContent = 'Protection:';
+        container.appendChild(title);
 
-        tabButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const tabName = button.getAttribute('data-tab');
-                console.log('Tab clicked:', tabName);
+        protectionInputs[servoId] = {
+            temperature: {
+                warning: createThresholdInput('temperature', 'warning', 'Warn (°C)'),
+                backoff: createThresholdInput('temperature', 'backoff', 'Back off (°C)'),
+                stop: createThresholdInput('temperature', 'stop', 'Stop (°C)')
+            },
+            load: {
+                warning: createThresholdInput('load', 'warning', 'Warn (load %)'),
+                backoff: createThresholdInput('load', 'backoff', 'Back off (load %)'),
+                stop: createThresholdInput('load', 'stop', 'Stop (load %)')
+            }
+        };
 
-                // Deactivate all tabs
-                tabButtons.forEach(btn => btn.classList.remove('active'));
-                tabContents.forEach(content => content.classList.remove('active'));
+        return container;
+    }
 
-                // Activate selected tab
-                button.classList.add('active');
-                const tabContent = document.getElementById(`${tabName}-tab`);
-                if (tabContent) {
-                    tabContent.classList.add('active');
-                    console.log(`Activated tab: ${tabName}-tab`);
+    // Show the protection limits of every servo in their inputs
+    function updateProtectionInputs() {
+        const protectionLimits = ServoControl.getProtectionLimits();
 
-                    // If this is the status tab, make sure messages are visible
-                    if (tabName === 'status') {
-                        if (statusMessagesElement) {
-                            console.log('Status tab activated, scrolling messages into view');
-                            statusMessagesElement.scrollTop = statusMessagesElement.scrollHeight;
-                        }
+        for (const servoId in protectionInputs) {
+            const limits = protectionLimits[servoId];
+            if (!limits) {
+                continue;
+            }
 
-                        // Trigger resize for 3D visualization when status tab is activated
-                        if (HandVisualization3D) {
-                            console.log('Triggering resize for 3D visualization');
-                            HandVisualization3D.resize();
-                        }
-                    }
-                } else {
-                    console.error(`Tab content not found: ${tabName}-tab`);
+            for (const metric in protectionInputs[servoId]) {
+                for (const level in protectionInputs[servoId][metric]) {
+                    protectionInputs[servoId][metric][level].value = limits[metric][level];
                 }
-            });
-        });
+            }
+        }
     }
 
-    // Generate formula inputs based on CONFIG.SERVOS
-    function generateFormulaInputs() {
-        const formulaContainer = document.getElementById('formula-container');
-
-        if (!formulaContainer) {
-            console.error('Formula container not found');
+    // Show the filter type and parameter inputs for a servo's filter settings
+    function renderFilterParameters(servoId, settings) {
+        const controls = filterControls[servoId];
+        if (!controls) {
             return;
         }
 
-        // Clear container
-        formulaContainer.innerHTML = '';
-
-        // Generate formula inputs for each servo
-        CONFIG.SERVOS.forEach(servo => {
-            const formulaGroup = document.createElement('div');
-            formulaGroup.className = 'formula-group';
-            formulaGroup.setAttribute('data-servo-id', servo.id);
+        controls.select.value = settings.type;
+        controls.parametersContainer.innerHTML = '';
 
+        Filters.getTypes()[settings.type].parameters.forEach(parameter => {
             const label = document.createElement('label');
-            label.setAttribute('for', `formula-${servo.id}`);
-            label.textContent = `${servo.name} (ID: ${servo.id}):`;
+            label.textContent = `${parameter.label}:`;
 
             const input = document.createElement('input');
-            input.type = 'text';
-            input.id = `formula-${servo.id}`;
-            input.className = 'formula-input';
-            input.placeholder = 'Enter formula';
-
-            formulaGroup.appendChild(label);
-            formulaGroup.appendChild(input);
-            formulaContainer.appendChild(formulaGroup);
+            input.type = 'number';
+            input.min = parameter.min;
+            input.max = parameter.max;
+            input.step = parameter.step;
+            input.value = settings[parameter.name];
+
+            input.addEventListener('change', function () {
+                const current = ServoControl.getFilters()[servoId] || settings;
+                const updated = Filters.normalizeSettings({ ...current, [parameter.name]: input.value });
+                ServoControl.setFilter(servoId, updated);
+                input.value = updated[parameter.name];
+            });
 
-            // Store input element reference
-            formulaInputs[servo.id] = input;
+            label.appendChild(input);
+            controls.parametersContainer.appendChild(label);
         });
     }
 
@@ -775,20 +2127,25 @@ const UI = (() => {
             startTrackingButton.addEventListener('click', function () {
                 const isTracking = HandTracking.isTracking();
 
+                if (!isTracking && !checkArmed()) {
+                    return;
+                }
+
+                // Live tracking takes over from a replayed session
+                SessionRecorder.pause();
+
                 if (isTracking) {
                     // Stop tracking
                     HandTracking.stopTracking();
                     ServoControl.stop();
-                    startTrackingButton.textContent = 'Start Tracking';
-                    startTrackingButton.classList.remove('stop');
+                    updateTrackingButton(false);
                     UI.showStatus('Tracking stopped', 'info');
                 } else {
                     // Start tracking
                     HandTracking.startTracking()
                         .then(() => {
                             ServoControl.start();
-                            startTrackingButton.textContent = 'Stop Tracking';
-                            startTrackingButton.classList.add('stop');
+                            updateTrackingButton(true);
                             UI.showStatus('Tracking started', 'success');
                         })
                         .catch(error => {
@@ -798,52 +2155,59 @@ const UI = (() => {
             });
         }
 
+        // Emergency stop and re-arm buttons
+        if (emergencyStopButton) {
+            emergencyStopButton.addEventListener('click', function () {
+                UI.emergencyStop();
+            });
+        }
+
+        if (rearmButton) {
+            rearmButton.addEventListener('click', function () {
+                ServoControl.rearm();
+                UI.showStatus('Re-armed, start tracking to resume sending to the robot', 'success');
+            });
+        }
+
         // Hand selection buttons
         if (rightHandButton && leftHandButton) {
-            // Right hand button
             rightHandButton.addEventListener('click', function () {
-                console.log('Right hand button clicked');
-                // Update active state
-                rightHandButton.classList.add('active');
-                leftHandButton.classList.remove('active');
-                // Set hand to track
-                HandTracking.setHandToTrack('right');
-                // Add status message directly
-                if (statusMessagesElement) {
-                    const messageElement = document.createElement('div');
-                    messageElement.classList.add('status-message');
-                    messageElement.classList.add('info');
-
-                    const timestamp = new Date().toLocaleTimeString();
-                    messageElement.textContent = `[${timestamp}] Now tracking right hand`;
-
-                    statusMessagesElement.appendChild(messageElement);
-                    statusMessagesElement.scrollTop = statusMessagesElement.scrollHeight;
-                }
-                UI.showStatus('Now tracking right hand', 'info');
+                selectHandToTrack('right');
             });
 
-            // Left hand button
             leftHandButton.addEventListener('click', function () {
-                console.log('Left hand button clicked');
-                // Update active state
-                leftHandButton.classList.add('active');
-                rightHandButton.classList.remove('active');
-                // Set hand to track
-                HandTracking.setHandToTrack('left');
-                // Add status message directly
-                if (statusMessagesElement) {
-                    const messageElement = document.createElement('div');
-                    messageElement.classList.add('status-message');
-                    messageElement.classList.add('info');
-
-                    const timestamp = new Date().toLocaleTimeString();
-                    messageElement.textContent = `[${timestamp}] Now tracking left hand`;
-
-                    statusMessagesElement.appendChild(messageElement);
-                    statusMessagesElement.scrollTop = statusMessagesElement.scrollHeight;
-                }
-                UI.showStatus('Now tracking left hand', 'info');
+                selectHandToTrack('left');
+            });
+        }
+
+        if (bothHandsButton) {
+            bothHandsButton.addEventListener('click', function () {
+                selectHandToTrack('both');
+            });
+        }
+
+        // Formula profile selection
+        if (formulaProfileSelect) {
+            formulaProfileSelect.addEventListener('change', function () {
+                selectedFormulaProfile = formulaProfileSelect.value;
+                showProfileFormulas();
+            });
+        }
+
+        // Landmark smoothing controls
+        if (landmarkSmoothingCheckbox && landmarkSmoothingSlider) {
+            landmarkSmoothingCheckbox.addEventListener('change', function () {
+                applyLandmarkSmoothing();
+                UI.showStatus(`Landmark smoothing ${landmarkSmoothingCheckbox.checked ? 'enabled' : 'disabled'}`, 'info');
+            });
+
+            landmarkSmoothingSlider.addEventListener('input', function () {
+                updateLandmarkSmoothingControls(HandTracking.getLandmarkFilter().enabled, landmarkSmoothingSlider.value / 100);
+            });
+
+            landmarkSmoothingSlider.addEventListener('change', function () {
+                applyLandmarkSmoothing();
+                UI.showStatus(`Landmark smoothing strength set to ${landmarkSmoothingSlider.value}%`, 'info');
             });
         }
 
@@ -856,17 +2220,108 @@ const UI = (() => {
             });
         }
 
-        // Robot IP input
-        if (robotIpInput) {
-            robotIpInput.addEventListener('change', function () {
-                const ip = robotIpInput.value.trim();
-                if (ip) {
-                    ServoControl.updateRobotIp(ip);
-                    UI.showStatus(`Robot IP updated to ${ip}`, 'info');
+        // Robot targets
+        const addTargetButton = document.getElementById('add-target');
+        if (addTargetButton) {
+            addTargetButton.addEventListener('click', function () {
+                const name = `Robot ${ServoControl.getTargets().length + 1}`;
+                ServoControl.addTarget({ name });
+                renderTargets();
+                UI.showStatus(`Target ${name} added`, 'info');
+            });
+        }
+
+        document.querySelectorAll('.target-select').forEach(select => {
+            select.addEventListener('change', function () {
+                selectTarget(parseInt(select.value, 10));
+            });
+        });
+
+        const refreshSerialPortsButton = document.getElementById('refresh-serial-ports');
+        if (refreshSerialPortsButton) {
+            refreshSerialPortsButton.addEventListener('click', function () {
+                refreshSerialPorts();
+            });
+        }
+
+        // OSC output controls
+        Object.values(oscInputs).forEach(input => {
+            if (input) {
+                input.addEventListener('change', applyOscInputs);
+            }
+        });
+
+        // Watchdog controls
+        Object.values(watchdogInputs).forEach(input => {
+            if (input) {
+                input.addEventListener('change', applyWatchdogInputs);
+            }
+        });
+
+        // Stall detection controls
+        Object.values(stallInputs).forEach(input => {
+            if (input) {
+                input.addEventListener('change', applyStallInputs);
+            }
+        });
+
+        // Operator profile controls
+        if (operatorProfileControls.select) {
+            operatorProfileControls.select.addEventListener('change', function () {
+                selectOperatorProfile(operatorProfileControls.select.value || null);
+            });
+            operatorProfileControls.save.addEventListener('click', saveOperatorProfile);
+            operatorProfileControls.remove.addEventListener('click', deleteOperatorProfile);
+            operatorProfileControls.exportButton.addEventListener('click', exportOperatorProfile);
+            operatorProfileControls.importButton.addEventListener('click', function () {
+                operatorProfileControls.fileInput.click();
+            });
+            operatorProfileControls.fileInput.addEventListener('change', function (event) {
+                if (event.target.files.length > 0) {
+                    importOperatorProfile(event.target.files[0]);
+                    event.target.value = '';
+                }
+            });
+        }
+
+        // Calibration controls
+        if (calibrationControls.select) {
+            calibrationControls.select.addEventListener('change', function () {
+                const name = calibrationControls.select.value || null;
+                selectCalibration(name);
+                UI.showStatus(name ? `Using the calibration of ${name}` : 'Formulas are not calibrated', 'info');
+            });
+
+            calibrationControls.remove.addEventListener('click', function () {
+                const name = Calibration.getActive();
+                if (name) {
+                    Calibration.deleteCalibration(name);
+                    selectCalibration(null);
+                    UI.showStatus(`Calibration of ${name} deleted`, 'info');
                 }
             });
+
+            calibrationControls.start.addEventListener('click', startCalibration);
+            calibrationControls.record.addEventListener('click', function () {
+                Calibration.recordPose();
+            });
+            calibrationControls.skip.addEventListener('click', function () {
+                Calibration.skipPose();
+            });
+            calibrationControls.cancel.addEventListener('click', function () {
+                Calibration.cancel();
+            });
+            calibrationControls.save.addEventListener('click', saveCalibrationResult);
+            calibrationControls.rewrite.addEventListener('click', rewriteFormulaBounds);
         }
 
+        // Robot simulator controls
+        Object.values(simulatorInputs).forEach(input => {
+            if (input) {
+                input.addEventListener('change', applySimulatorInputs);
+            }
+        });
+
         // Min change input
         if (minChangeInput) {
             minChangeInput.addEventListener('change', function () {
@@ -899,14 +2354,156 @@ const UI = (() => {
             });
         }
 
-        // Set up event listeners for formula inputs
-        setupFormulaInputEventListeners();
+        // Servo definitions editor buttons
+        const addServoButton = document.getElementById('add-servo');
+        if (addServoButton) {
+            addServoButton.addEventListener('click', function () {
+                addServoDefinition();
+            });
+        }
+
+        const resetServosButton = document.getElementById('reset-servos');
+        if (resetServosButton) {
+            resetServosButton.addEventListener('click', function () {
+                ServoMap.reset();
+                UI.showStatus('Servo definitions reset to defaults', 'info');
+            });
+        }
+
+        // Push limits button
+        const pushLimitsButton = document.getElementById('push-limits');
+        if (pushLimitsButton) {
+            pushLimitsButton.addEventListener('click', function () {
+                pushServoLimits();
+            });
+        }
+
+        // Save configuration button
+        const saveConfigButton = document.getElementById('save-config');
+        if (saveConfigButton) {
+            saveConfigButton.addEventListener('click', function () {
+                saveConfiguration();
+            });
+        }
+
+        // Video file source controls
+        const openVideoFileButton = document.getElementById('open-video-file');
+        const videoFileInput = document.getElementById('video-file-input');
+        const useCameraButton = document.getElementById('use-camera');
+        const videoFileModeSelect = document.getElementById('video-file-mode');
+
+        if (openVideoFileButton && videoFileInput) {
+            openVideoFileButton.addEventListener('click', function () {
+                videoFileInput.click();
+            });
+
+            videoFileInput.addEventListener('change', function (event) {
+                const file = event.target.files[0];
+                event.target.value = '';
+                if (!file) {
+                    return;
+                }
+
+                HandTracking.useVideoFile(file)
+                    .then(() => {
+                        updateVideoSourceControls();
+                        UI.showStatus(`Using video file ${file.name}, click "Start Tracking" to process it`, 'success');
+                    })
+                    .catch(error => {
+                        updateVideoSourceControls();
+                        UI.showStatus(`Error opening video file: ${error.message}`, 'error');
+                    });
+            });
+        }
+
+        if (useCameraButton) {
+            useCameraButton.addEventListener('click', function () {
+                HandTracking.useCamera()
+                    .then(() => {
+                        updateVideoSourceControls();
+                        UI.showStatus('Using camera', 'success');
+                    })
+                    .catch(error => {
+                        UI.showStatus(`Error switching to camera: ${error.message}`, 'error');
+                    });
+            });
+        }
+
+        if (videoFileModeSelect) {
+            videoFileModeSelect.addEventListener('change', function () {
+                HandTracking.setVideoFileMode(videoFileModeSelect.value);
+            });
+        }
+
+        // Session recording and replay controls
+        if (sessionControls.record) {
+            sessionControls.record.addEventListener('click', function () {
+                if (SessionRecorder.getState().isRecording) {
+                    const frameCount = SessionRecorder.stopRecording();
+                    UI.showStatus(`Recording stopped, ${frameCount} frames recorded`, frameCount > 0 ? 'success' : 'warning');
+                } else {
+                    SessionRecorder.startRecording();
+                    UI.showStatus(HandTracking.isTracking() ? 'Recording session' : 'Recording session, start tracking to record frames', 'info');
+                }
+            });
+        }
+
+        if (sessionControls.save) {
+            sessionControls.save.addEventListener('click', function () {
+                saveSession();
+            });
+        }
+
+        if (sessionControls.load && sessionControls.fileInput) {
+            sessionControls.load.addEventListener('click', function () {
+                sessionControls.fileInput.click();
+            });
+
+            sessionControls.fileInput.addEventListener('change', function (event) {
+                if (event.target.files.length > 0) {
+                    loadSession(event.target.files[0]);
+                }
+                event.target.value = '';
+            });
+        }
+
+        if (sessionControls.play) {
+            sessionControls.play.addEventListener('click', function () {
+                if (SessionRecorder.getState().isPlaying) {
+                    SessionRecorder.pause();
+                    return;
+                }
+
+                if (!checkArmed()) {
+                    return;
+                }
+
+                // The replayed session takes over from live tracking
+                if (HandTracking.isTracking()) {
+                    HandTracking.stopTracking();
+                    updateTrackingButton(false);
+                }
+
+                ServoControl.start();
+                SessionRecorder.play();
+            });
+        }
+
+        if (sessionControls.position) {
+            sessionControls.position.addEventListener('input', function () {
+                SessionRecorder.seek(sessionControls.position.value);
+            });
+        }
 
-        // Save configuration button
-        const saveConfigButton = document.getElementById('save-config');
-        if (saveConfigButton) {
-            saveConfigButton.addEventListener('click', function () {
-                saveConfiguration();
+        if (sessionControls.speed) {
+            sessionControls.speed.addEventListener('change', function () {
+                SessionRecorder.setSpeed(sessionControls.speed.value);
+            });
+        }
+
+        if (sessionControls.loop) {
+            sessionControls.loop.addEventListener('change', function () {
+                SessionRecorder.setLooping(sessionControls.loop.checked);
             });
         }
 
@@ -927,6 +2524,31 @@ const UI = (() => {
         }
     }
 
+    // Apply the landmark smoothing controls to hand tracking
+    function applyLandmarkSmoothing() {
+        HandTracking.setLandmarkFilter({
+            enabled: landmarkSmoothingCheckbox.checked,
+            strength: landmarkSmoothingSlider.value / 100
+        });
+        updateLandmarkSmoothingControls(landmarkSmoothingCheckbox.checked, landmarkSmoothingSlider.value / 100);
+    }
+
+    // Show landmark smoothing settings in the controls
+    function updateLandmarkSmoothingControls(enabled, strength) {
+        if (!landmarkSmoothingCheckbox || !landmarkSmoothingSlider) {
+            return;
+        }
+
+        const percentage = Math.round(strength * 100);
+        landmarkSmoothingCheckbox.checked = enabled;
+        landmarkSmoothingSlider.value = percentage;
+        landmarkSmoothingSlider.disabled = !enabled;
+
+        if (landmarkSmoothingValue) {
+            landmarkSmoothingValue.textContent = `${percentage}%`;
+        }
+    }
+
     // Set up event listeners for formula inputs
     function setupFormulaInputEventListeners() {
         for (const servoId in formulaInputs) {
@@ -938,13 +2560,14 @@ const UI = (() => {
 
             inputElement.addEventListener('change', function () {
                 const formula = inputElement.value.trim();
-                const isValid = ServoControl.updateFormula(servoId, formula);
+                const isValid = ServoControl.updateFormula(servoId, formula, selectedFormulaProfile);
 
                 if (isValid) {
                     inputElement.classList.remove('error');
                     if (formula) {
                         // Clear historical data for this servo when formula changes
                         historicalData[servoId] = [];
+                        commandHistoricalData[servoId] = [];
                         // Update chart if this is the currently selected servo
                         if (selectedServoId === parseInt(servoId, 10)) {
                             updateHistoryChart();
@@ -992,7 +2615,7 @@ const UI = (() => {
         calculatedValuesTableElement.innerHTML = '';
 
         // Add rows for each servo
-        CONFIG.SERVOS.forEach(servo => {
+        ServoMap.getServos().forEach(servo => {
             const row = document.createElement('tr');
 
             // Servo ID
@@ -1023,7 +2646,7 @@ const UI = (() => {
     }
 
     // Update sent values table
-    function updateSentValuesTable(positions) {
+    function updateSentValuesTable(positions, targets = {}) {
         if (!sentValuesTableElement) {
             return;
         }
@@ -1032,7 +2655,7 @@ const UI = (() => {
         sentValuesTableElement.innerHTML = '';
 
         // Add rows for each servo
-        CONFIG.SERVOS.forEach(servo => {
+        ServoMap.getServos().forEach(servo => {
             const row = document.createElement('tr');
 
             // Servo ID
@@ -1045,7 +2668,20 @@ const UI = (() => {
             nameCell.textContent = servo.name;
             row.appendChild(nameCell);
 
-            // Servo value
+            // Target the command is ramping towards
+            const targetCell = document.createElement('td');
+            const target = targets[servo.id];
+
+            if (target !== undefined) {
+                targetCell.textContent = target;
+            } else {
+                targetCell.textContent = 'N/A';
+                targetCell.classList.add('error-value');
+            }
+
+            row.appendChild(targetCell);
+
+            // Sent (motion limited) command
             const valueCell = document.createElement('td');
             const position = positions[servo.id];
 
@@ -1071,9 +2707,13 @@ const UI = (() => {
         // Clear table
         robotStatusTableElement.innerHTML = '';
 
+        const protectionLevels = ServoControl.getProtectionLevels(selectedTargetId);
+        const trackingErrors = ServoControl.getTrackingErrors(selectedTargetId);
+
         // Add rows for each servo
         servos.forEach(servo => {
             const row = document.createElement('tr');
+            row.setAttribute('data-servo-id', servo.id);
 
             // Servo ID
             const idCell = document.createElement('td');
@@ -1105,6 +2745,18 @@ const UI = (() => {
             maxCell.textContent = servo.max !== undefined ? servo.max : 'N/A';
             row.appendChild(maxCell);
 
+            // Tracking error, highlighting stalled servos
+            const trackingErrorCell = document.createElement('td');
+            trackingErrorCell.className = 'tracking-error-cell';
+            row.appendChild(trackingErrorCell);
+            updateStallRow(row, servo.id, trackingErrors[servo.id]);
+
+            // Protection level, highlighting the row
+            const protectionCell = document.createElement('td');
+            protectionCell.className = 'protection-cell';
+            row.appendChild(protectionCell);
+            updateProtectionRow(row, servo.id, protectionLevels[servo.id] || 'ok');
+
             robotStatusTableElement.appendChild(row);
         });
 
@@ -1172,41 +2824,187 @@ const UI = (() => {
         });
     }
 
-    // Update connection indicator
-    function updateConnectionIndicator(connected) {
-        if (!connectionIndicatorElement) {
+    // Refuse to start sending to the robot while the emergency stop is active
+    function checkArmed() {
+        if (ServoControl.isEmergencyStopped()) {
+            UI.showStatus('Emergency stop is active, re-arm before starting', 'warning');
+            return false;
+        }
+
+        return true;
+    }
+
+    // Show a servo's protection level in its robot status row, with a reset button for stopped servos
+    function updateProtectionRow(row, servoId, level) {
+        const labels = { ok: 'OK', warning: 'Warning', backoff: 'Backed off', stop: 'Stopped' };
+        const cell = row.querySelector('.protection-cell');
+
+        ['warning', 'backoff', 'stop'].forEach(name => row.classList.toggle(`protection-${name}`, name === level));
+        cell.textContent = labels[level];
+
+        if (level === 'stop') {
+            const resetButton = document.createElement('button');
+            resetButton.textContent = 'Reset';
+            resetButton.addEventListener('click', function () {
+                ServoControl.resetProtection(selectedTargetId, servoId);
+            });
+            cell.appendChild(resetButton);
+        }
+    }
+
+    // Show a servo's tracking error in its robot status row, with a reset button for stalled servos
+    function updateStallRow(row, servoId, trackingError) {
+        const cell = row.querySelector('.tracking-error-cell');
+        const stalled = Boolean(trackingError && trackingError.stalled);
+
+        row.classList.toggle('stalled', stalled);
+        cell.textContent = trackingError ? `${trackingError.error}${stalled ? ' (stalled)' : ''}` : '--';
+
+        if (stalled) {
+            const resetButton = document.createElement('button');
+            resetButton.textContent = 'Reset';
+            resetButton.addEventListener('click', function () {
+                ServoControl.resetStall(selectedTargetId, servoId);
+            });
+            cell.appendChild(resetButton);
+        }
+    }
+
+    // Show the tracking state on the start tracking button
+    function updateTrackingButton(isTracking) {
+        startTrackingButton.textContent = isTracking ? 'Stop Tracking' : 'Start Tracking';
+        startTrackingButton.classList.toggle('stop', isTracking);
+    }
+
+    // Enable the video source buttons that switch away from the current source
+    function updateVideoSourceControls() {
+        const useCameraButton = document.getElementById('use-camera');
+        if (useCameraButton) {
+            useCameraButton.disabled = HandTracking.getVideoSource() === 'camera';
+        }
+    }
+
+    // Fill the playback speed select
+    function populateSessionSpeedSelect() {
+        if (!sessionControls.speed) {
+            return;
+        }
+
+        CONFIG.SESSION.PLAYBACK_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            sessionControls.speed.appendChild(option);
+        });
+        sessionControls.speed.value = SessionRecorder.getState().speed;
+    }
+
+    // Show the recording and playback state in the session controls
+    function renderSessionControls(state) {
+        if (!sessionControls.record) {
+            return;
+        }
+
+        sessionControls.record.textContent = state.isRecording ? `Stop Recording (${state.recordedFrames})` : 'Record';
+        sessionControls.record.classList.toggle('recording', state.isRecording);
+        sessionControls.save.disabled = !state.hasSession;
+        sessionControls.play.disabled = !state.hasSession;
+        sessionControls.play.textContent = state.isPlaying ? 'Pause' : 'Play';
+        sessionControls.position.disabled = !state.hasSession;
+        sessionControls.position.max = Math.round(state.duration);
+        sessionControls.position.value = Math.round(state.position);
+        sessionControls.time.textContent = `${(state.position / 1000).toFixed(1)} / ${(state.duration / 1000).toFixed(1)} s`;
+        sessionControls.loop.checked = state.isLooping;
+    }
+
+    // Save the recorded or loaded session to a JSON file
+    function saveSession() {
+        const session = SessionRecorder.getSession();
+        if (!session) {
             return;
         }
 
-        if (connected) {
-            connectionIndicatorElement.classList.add('connected');
-            connectionIndicatorElement.classList.remove('error');
+        downloadJson(session, 'hand-session.json');
+        UI.showStatus(`Session saved (${session.frames.length} frames)`, 'success');
+    }
+
+    // Load a session from a JSON file for replay
+    function loadSession(file) {
+        const reader = new FileReader();
+
+        reader.onload = function (event) {
+            try {
+                SessionRecorder.loadSession(JSON.parse(event.target.result));
+
+                const state = SessionRecorder.getState();
+                UI.showStatus(`Session loaded (${(state.duration / 1000).toFixed(1)} s), click Play to replay it`, 'success');
+            } catch (error) {
+                console.error('Error loading session:', error);
+                UI.showStatus(`Error loading session: ${error.message}`, 'error');
+            }
+        };
+
+        reader.onerror = function () {
+            UI.showStatus('Error reading session file', 'error');
+        };
+
+        reader.readAsText(file);
+    }
+
+    // Track a hand ('left', 'right' or 'both') and mark its button as active
+    function selectHandToTrack(hand) {
+        HandTracking.setHandToTrack(hand);
+        updateHandButtons(hand);
+
+        if (hand === 'both') {
+            UI.showStatus(`Now tracking both hands, the ${CONFIG.HAND_TRACKING.PRIMARY_HAND} hand drives the primary formulas`, 'info');
         } else {
-            connectionIndicatorElement.classList.remove('connected');
-            connectionIndicatorElement.classList.add('error');
+            UI.showStatus(`Now tracking ${hand} hand`, 'info');
+        }
+    }
+
+    // Mark the button of the tracked hand as active
+    function updateHandButtons(hand) {
+        const buttons = { right: rightHandButton, left: leftHandButton, both: bothHandsButton };
+
+        for (const buttonHand in buttons) {
+            if (buttons[buttonHand]) {
+                buttons[buttonHand].classList.toggle('active', buttonHand === hand);
+            }
         }
     }
 
     // Save configuration to JSON file
-    function saveConfiguration() {
-        // Get current configuration
-        const config = {
-            robotIp: ServoControl.getRobotIp(),
+    // Get the current configuration, as saved to configuration files
+    function getConfiguration() {
+        return {
+            targets: ServoControl.getTargets().map(({ id, ...target }) => target),
             minChangeThreshold: ServoControl.getMinChangeThreshold(),
             sendInterval: ServoControl.getSendInterval(),
             handToTrack: HandTracking.getHandToTrack(),
-            formulas: ServoControl.getFormulas()
+            servos: ServoMap.getServos(),
+            landmarkFilter: HandTracking.getLandmarkFilter(),
+            osc: OscOutput.getSettings(),
+            watchdog: ServoControl.getWatchdogSettings(),
+            protectionLimits: ServoControl.getProtectionLimits(),
+            stallDetection: ServoControl.getStallSettings(),
+            calibrations: Calibration.getCalibrations(),
+            activeCalibration: Calibration.getActive(),
+            formulas: ServoControl.getFormulas('primary'),
+            secondaryFormulas: ServoControl.getFormulas('secondary'),
+            filters: ServoControl.getFilters(),
+            outputSettings: ServoControl.getOutputSettings(),
+            motionLimits: ServoControl.getMotionLimits()
         };
+    }
 
-        // Convert to JSON
-        const json = JSON.stringify(config, null, 2);
-
-        // Create download link
-        const blob = new Blob([json], { type: 'application/json' });
+    // Download data as a JSON file
+    function downloadJson(data, fileName, indent) {
+        const blob = new Blob([JSON.stringify(data, null, indent)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'robot-hand-config.json';
+        a.download = fileName;
 
         // Trigger download
         document.body.appendChild(a);
@@ -1215,71 +3013,148 @@ const UI = (() => {
         // Clean up
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
+    }
 
+    // Save configuration to a JSON file
+    function saveConfiguration() {
+        downloadJson(getConfiguration(), 'robot-hand-config.json', 2);
         UI.showStatus('Configuration saved', 'success');
     }
 
-    // Load configuration from JSON file
-    function loadConfiguration(file) {
-        const reader = new FileReader();
+    // Apply a configuration, settings missing from it are left unchanged
+    function applyConfiguration(config) {
+        // Update servo definitions first, the other settings refer to them
+        if (config.servos) {
+            ServoMap.setServos(config.servos);
+        }
 
-        reader.onload = function (event) {
-            try {
-                const config = JSON.parse(event.target.result);
+        // Update robot targets, older configurations have a single robot
+        if (config.targets) {
+            ServoControl.setTargets(config.targets);
+        } else if (config.robotIp || config.serial) {
+            ServoControl.setTargets([{
+                name: 'Robot 1',
+                transport: config.transport,
+                host: config.robotIp,
+                serialPort: config.serial && config.serial.path,
+                baudRate: config.serial && config.serial.baudRate
+            }]);
+        }
+        renderTargets();
 
-                // Update robot IP
-                if (config.robotIp && robotIpInput) {
-                    robotIpInput.value = config.robotIp;
-                    ServoControl.updateRobotIp(config.robotIp);
-                }
+        // Update min change threshold
+        if (config.minChangeThreshold !== undefined && minChangeInput) {
+            minChangeInput.value = config.minChangeThreshold;
+            ServoControl.updateMinChangeThreshold(config.minChangeThreshold);
+        }
 
-                // Update min change threshold
-                if (config.minChangeThreshold !== undefined && minChangeInput) {
-                    minChangeInput.value = config.minChangeThreshold;
-                    ServoControl.updateMinChangeThreshold(config.minChangeThreshold);
-                }
+        // Update send interval
+        if (config.sendInterval && sendIntervalInput) {
+            sendIntervalInput.value = config.sendInterval;
+            ServoControl.updateSendInterval(config.sendInterval);
+        }
 
-                // Update send interval
-                if (config.sendInterval && sendIntervalInput) {
-                    sendIntervalInput.value = config.sendInterval;
-                    ServoControl.updateSendInterval(config.sendInterval);
-                }
+        // Update hand to track
+        if (config.handToTrack) {
+            HandTracking.setHandToTrack(config.handToTrack);
 
-                // Update hand to track
-                if (config.handToTrack) {
-                    HandTracking.setHandToTrack(config.handToTrack);
-
-                    // Update hand selection buttons
-                    if (rightHandButton && leftHandButton) {
-                        // Reset all buttons
-                        rightHandButton.classList.remove('active');
-                        leftHandButton.classList.remove('active');
-
-                        // Set active button based on config
-                        if (config.handToTrack === 'right') {
-                            rightHandButton.classList.add('active');
-                        } else if (config.handToTrack === 'left') {
-                            leftHandButton.classList.add('active');
-                        }
-                    }
-                }
+            // Update hand selection buttons
+            updateHandButtons(HandTracking.getHandToTrack());
+        }
+
+        // Update OSC output
+        if (config.osc) {
+            OscOutput.setSettings(config.osc);
+            updateOscInputs();
+        }
 
-                // Update formulas
-                if (config.formulas) {
-                    ServoControl.setFormulas(config.formulas);
+        // Update watchdog
+        if (config.watchdog) {
+            ServoControl.setWatchdogSettings(config.watchdog);
+            updateWatchdogInputs();
+        }
 
-                    // Update formula inputs
-                    for (const servoId in config.formulas) {
-                        const formula = config.formulas[servoId];
-                        const inputElement = formulaInputs[servoId];
+        // Update landmark smoothing
+        if (config.landmarkFilter) {
+            HandTracking.setLandmarkFilter(config.landmarkFilter);
+            const landmarkFilter = HandTracking.getLandmarkFilter();
+            updateLandmarkSmoothingControls(landmarkFilter.enabled, landmarkFilter.strength);
+        }
 
-                        if (inputElement) {
-                            inputElement.value = formula;
-                            validateFormula(servoId, formula);
-                        }
-                    }
-                }
+        // Update formulas of both formula profiles
+        if (config.formulas) {
+            ServoControl.setFormulas(config.formulas, 'primary');
+        }
+        if (config.secondaryFormulas) {
+            ServoControl.setFormulas(config.secondaryFormulas, 'secondary');
+        }
+
+        // Update formula inputs
+        if (config.formulas || config.secondaryFormulas) {
+            showProfileFormulas();
+        }
+
+        // Update operator calibrations
+        if (config.calibrations) {
+            Calibration.setCalibrations(config.calibrations);
+            selectCalibration(config.activeCalibration || null);
+        }
+
+        // Update filters
+        if (config.filters) {
+            ServoControl.setFilters(config.filters);
+
+            // Update filter controls
+            const filters = ServoControl.getFilters();
+            for (const servoId in filterControls) {
+                renderFilterParameters(servoId, filters[servoId] || Filters.normalizeSettings({ type: 'none' }));
+            }
+        }
 
+        // Update output settings
+        if (config.outputSettings) {
+            ServoControl.setOutputSettings(config.outputSettings);
+
+            // Update output setting inputs
+            const outputSettings = ServoControl.getOutputSettings();
+            for (const servoId in outputSettingInputs) {
+                updateOutputSettingInputs(servoId, outputSettings[servoId]);
+            }
+        }
+
+        // Update motion limits
+        if (config.motionLimits) {
+            ServoControl.setMotionLimits(config.motionLimits);
+
+            // Update motion limit inputs
+            const motionLimits = ServoControl.getMotionLimits();
+            for (const servoId in motionLimitInputs) {
+                const limits = motionLimits[servoId] || { maxVelocity: 0, maxAcceleration: 0 };
+                motionLimitInputs[servoId].maxVelocity.value = limits.maxVelocity;
+                motionLimitInputs[servoId].maxAcceleration.value = limits.maxAcceleration;
+            }
+        }
+
+        // Update protection limits
+        if (config.protectionLimits) {
+            ServoControl.setProtectionLimits(config.protectionLimits);
+            updateProtectionInputs();
+        }
+
+        // Update stall detection
+        if (config.stallDetection) {
+            ServoControl.setStallSettings(config.stallDetection);
+            updateStallInputs();
+        }
+    }
+
+    // Load configuration from JSON file
+    function loadConfiguration(file) {
+        const reader = new FileReader();
+
+        reader.onload = function (event) {
+            try {
+                applyConfiguration(JSON.parse(event.target.result));
                 UI.showStatus('Configuration loaded', 'success');
             } catch (error) {
                 console.error('Error loading configuration:', error);
@@ -1320,6 +3195,12 @@ const UI = (() => {
             initElements();
             initEventListeners();
 
+            // Rebuild the servo lists whenever the servo definitions change
+            renderServoDefinitions();
+            ServoMap.onChange(function () {
+                refreshServoViews();
+            });
+
             // Set initial values
             if (minChangeInput) {
                 minChangeInput.value = CONFIG.DEFAULT_MIN_CHANGE;
@@ -1329,6 +3210,9 @@ const UI = (() => {
                 sendIntervalInput.value = CONFIG.DEFAULT_SEND_INTERVAL;
             }
 
+            const landmarkFilter = HandTracking.getLandmarkFilter();
+            updateLandmarkSmoothingControls(landmarkFilter.enabled, landmarkFilter.strength);
+
             // Add direct event listener to hand selection dropdown
             if (handSelectInput) {
                 console.log('Adding direct event listener to hand selection dropdown');
@@ -1379,9 +3263,15 @@ const UI = (() => {
 
         /**
          * Update calculated values table
+         * @param {string} profile - The formula profile the positions were calculated for
          * @param {Object} positions - The calculated positions object
          */
-        updateCalculatedValues: function (positions) {
+        updateCalculatedValues: function (profile, positions) {
+            // Only show the formula profile driving the selected target
+            if (profile !== getSelectedTargetProfile()) {
+                return;
+            }
+
             updateCalculatedValuesTable(positions);
 
             // Store historical data for each servo
@@ -1418,34 +3308,157 @@ const UI = (() => {
 
         /**
          * Update sent values table
-         * @param {Object} positions - The sent positions object
+         * @param {number} targetId - The robot target the positions were sent to
+         * @param {Object} positions - The sent (motion limited) positions object
+         * @param {Object} targets - The target positions the commands are ramping towards
          */
-        updateSentValues: function (positions) {
-            updateSentValuesTable(positions);
+        updateSentValues: function (targetId, positions, targets) {
+            // Only the selected robot target is shown
+            if (targetId !== selectedTargetId) {
+                return;
+            }
+
+            updateSentValuesTable(positions, targets);
+
+            // Store command history for each servo
+            const timestamp = Date.now();
+
+            for (const servoId in positions) {
+                if (!commandHistoricalData[servoId]) {
+                    commandHistoricalData[servoId] = [];
+                }
+
+                commandHistoricalData[servoId].push({
+                    x: timestamp,
+                    y: positions[servoId]
+                });
+
+                // Limit data points to avoid memory issues
+                const maxDataPoints = 2 * 60 * 60;
+                if (commandHistoricalData[servoId].length > maxDataPoints) {
+                    commandHistoricalData[servoId] = commandHistoricalData[servoId].slice(-maxDataPoints);
+                }
+            }
         },
 
         /**
          * Update robot status table
+         * @param {number} targetId - The robot target that reported the status
          * @param {Array} servos - The servo status array
          */
-        updateRobotStatus: function (servos) {
+        updateRobotStatus: function (targetId, servos) {
+            // Only the selected robot target is shown
+            if (targetId !== selectedTargetId) {
+                return;
+            }
+
             updateRobotStatusTable(servos);
         },
 
         /**
-         * Update connection indicator
+         * Log a protection level change of a servo and show it in the robot status table
+         * @param {number} targetId - The robot target ID
+         * @param {number} servoId - The servo ID
+         * @param {string} level - The new level: 'ok', 'warning', 'backoff' or 'stop'
+         * @param {Object|null} status - The servo status that caused the change, null when reset
+         */
+        updateProtection: function (targetId, servoId, level, status) {
+            const target = ServoControl.getTargets().find(other => other.id === targetId);
+            const servo = ServoMap.getServo(servoId);
+            const name = `${target ? target.name : 'Robot'} servo ${servoId}${servo ? ` (${servo.name})` : ''}`;
+
+            if (!status) {
+                UI.showStatus(`${name}: protection reset`, 'info');
+            } else {
+                const readings = [
+                    status.temperature !== undefined ? `${status.temperature}°C` : null,
+                    status.load !== undefined ? `load ${status.load}%` : null
+                ].filter(Boolean).join(', ');
+                const messages = {
+                    ok: ['back to normal', 'info'],
+                    warning: ['running hot or heavily loaded', 'warning'],
+                    backoff: ['backing off toward neutral', 'warning'],
+                    stop: ['stopped and released, reset it on the Robot Status tab', 'error']
+                };
+                UI.showStatus(`${name} ${readings}: ${messages[level][0]}`, messages[level][1]);
+            }
+
+            if (targetId === selectedTargetId) {
+                const row = document.querySelector(`#robot-status-table tr[data-servo-id="${servoId}"]`);
+                if (row) {
+                    updateProtectionRow(row, servoId, level);
+                }
+            }
+        },
+
+        /**
+         * Log a stall change of a servo and show it in the robot status table
+         * @param {number} targetId - The robot target ID
+         * @param {number} servoId - The servo ID
+         * @param {boolean} stalled - Whether the servo is stalled
+         * @param {Object|null} details - { commanded, reported } positions, null when reset
+         */
+        updateStall: function (targetId, servoId, stalled, details) {
+            const target = ServoControl.getTargets().find(other => other.id === targetId);
+            const servo = ServoMap.getServo(servoId);
+            const name = `${target ? target.name : 'Robot'} servo ${servoId}${servo ? ` (${servo.name})` : ''}`;
+
+            if (stalled) {
+                const settings = ServoControl.getStallSettings();
+                UI.showStatus(`${name} stalled: at ${details.reported} instead of ${details.commanded} for ` +
+                    `over ${settings.duration} s${settings.stopCommanding ? ', no longer commanded until reset' : ''}`, 'error');
+            } else {
+                UI.showStatus(details ? `${name} is following its commands again` : `${name}: stall reset`, 'info');
+            }
+
+            if (targetId === selectedTargetId) {
+                const row = document.querySelector(`#robot-status-table tr[data-servo-id="${servoId}"]`);
+                if (row) {
+                    updateStallRow(row, servoId, ServoControl.getTrackingErrors(targetId)[servoId]);
+                }
+            }
+        },
+
+        /**
+         * Show an error reported by a robot in the status log
+         * @param {number} targetId - The robot target ID
+         * @param {string} message - The error message of the robot
+         */
+        showRobotError: function (targetId, message) {
+            const target = ServoControl.getTargets().find(other => other.id === targetId);
+            UI.showStatus(`${target ? target.name : 'Robot'} reported an error: ${message}`, 'error');
+        },
+
+        /**
+         * Update the connection indicator of a robot target
+         * @param {number} targetId - The robot target ID
          * @param {boolean} connected - Whether connected to the robot
          */
-        updateConnectionStatus: function (connected) {
-            updateConnectionIndicator(connected);
+        updateConnectionStatus: function (targetId, connected) {
+            const target = ServoControl.getTargets().find(other => other.id === targetId);
+            if (!target) {
+                return;
+            }
+
+            const indicator = document.querySelector(`#targets-table tr[data-target-id="${targetId}"] .connection-indicator`);
+            if (indicator) {
+                updateTargetIndicator(indicator, target.enabled, connected);
+            }
 
             if (connected) {
-                UI.showStatus('Connected to robot hand', 'success');
+                UI.showStatus(`Connected to ${target.name}`, 'success');
             } else {
-                UI.showStatus('Disconnected from robot hand', 'error');
+                UI.showStatus(`Disconnected from ${target.name}`, 'error');
             }
         },
 
+        /**
+         * Show the robot targets of servo control in the targets editor
+         */
+        updateTargets: function () {
+            renderTargets();
+        },
+
         /**
          * Update hand detection status
          * @param {boolean} detected - Whether a hand is detected
@@ -1461,6 +3474,133 @@ const UI = (() => {
             }
         },
 
+        /**
+         * Emergency stop: stop tracking and replay, send the safe pose and lock out
+         * sends until re-armed
+         */
+        emergencyStop: async function () {
+            // Lock out sends first, then stop everything that feeds servo control
+            const stopping = ServoControl.emergencyStop();
+            SessionRecorder.pause();
+            if (HandTracking.isTracking()) {
+                HandTracking.stopTracking();
+            }
+            updateTrackingButton(false);
+
+            const { sent, failed } = await stopping;
+            UI.showStatus(`EMERGENCY STOP: tracking stopped, safe pose sent to ${sent} ${sent === 1 ? 'target' : 'targets'}. ` +
+                'Re-arm to resume.', 'error');
+            if (failed.length > 0) {
+                UI.showStatus(`Safe pose could not be sent to ${failed.join(', ')}`, 'error');
+            }
+        },
+
+        /**
+         * Show the emergency stop state on its buttons
+         * @param {boolean} stopped - Whether the emergency stop is active
+         */
+        updateEmergencyStop: function (stopped) {
+            if (emergencyStopButton) {
+                emergencyStopButton.parentElement.classList.toggle('active', stopped);
+            }
+            if (rearmButton) {
+                rearmButton.disabled = !stopped;
+            }
+        },
+
+        /**
+         * Show a watchdog change in the watchdog state and the status panel
+         * @param {string} profile - The formula profile
+         * @param {boolean} triggered - Whether the profile's watchdog is triggered
+         * @param {Object} settings - The watchdog settings
+         */
+        updateWatchdog: function (profile, triggered, settings) {
+            if (triggered) {
+                triggeredWatchdogs.add(profile);
+            } else {
+                triggeredWatchdogs.delete(profile);
+            }
+
+            const stateElement = document.getElementById('watchdog-state');
+            if (stateElement) {
+                stateElement.textContent = triggeredWatchdogs.size > 0 ? 'Triggered' : 'Idle';
+                stateElement.classList.toggle('triggered', triggeredWatchdogs.size > 0);
+            }
+
+            const profileLabel = ServoControl.getProfiles()[profile].label.toLowerCase();
+            if (triggered) {
+                const action = ServoControl.getWatchdogActions()[settings.action].label.toLowerCase();
+                UI.showStatus(`Watchdog: no ${profileLabel} landmarks for ${settings.landmarkTimeout} ms, ${action}`, 'warning');
+            } else if (ServoControl.isRunning()) {
+                UI.showStatus(`Watchdog: ${profileLabel} landmarks are back`, 'info');
+            }
+        },
+
+        /**
+         * Show the global emergency stop shortcut
+         * @param {string} accelerator - The shortcut in Electron accelerator format
+         * @param {boolean} registered - Whether the shortcut could be registered
+         */
+        setEmergencyStopShortcut: function (accelerator, registered) {
+            const shortcut = accelerator.replace('CommandOrControl', navigator.platform.startsWith('Mac') ? 'Cmd' : 'Ctrl');
+            const shortcutElement = document.getElementById('emergency-stop-shortcut');
+
+            if (shortcutElement) {
+                shortcutElement.textContent = registered ? shortcut : '';
+            }
+            if (!registered) {
+                UI.showStatus(`The emergency stop shortcut ${shortcut} is used by another application, use the button instead`, 'warning');
+            }
+        },
+
+        /**
+         * Handle the end of a video file, hand tracking stopped on its own
+         */
+        handleVideoEnded: function () {
+            ServoControl.stop();
+            updateTrackingButton(false);
+            UI.showStatus('Video file ended, tracking stopped', 'info');
+        },
+
+        /**
+         * Update the session recording and replay controls
+         * @param {Object} state - The session recorder state
+         */
+        updateSessionControls: function (state) {
+            renderSessionControls(state);
+
+            // Stop sending to the robot when a replay ends, unless live tracking took over
+            if (sessionWasPlaying && !state.isPlaying && !HandTracking.isTracking()) {
+                ServoControl.stop();
+            }
+            sessionWasPlaying = state.isPlaying;
+        },
+
+        /**
+         * Show the stored operator profiles and load the one selected last
+         * @returns {Promise<void>} Resolves when the profile is loaded
+         */
+        loadOperatorProfiles: async function () {
+            try {
+                const list = await OperatorProfiles.list();
+                renderOperatorProfiles(list);
+
+                if (list.active) {
+                    await selectOperatorProfile(list.active);
+                }
+            } catch (error) {
+                UI.showStatus(`Operator profiles are not available: ${error.message}`, 'warning');
+            }
+        },
+
+        /**
+         * Update the calibration wizard
+         * @param {Object} state - The wizard state (see Calibration.getState)
+         */
+        updateCalibration: function (state) {
+            renderCalibrationWizard(state);
+        },
+
         /**
          * Update 3D visualization with new landmarks
          * @param {Array} landmarks - The landmarks to visualize
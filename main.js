@@ -1,5 +1,28 @@
-const { app, BrowserWindow } = require('electron')
+const { app, BrowserWindow, ipcMain, globalShortcut } = require('electron')
 const path = require('path');
+const { registerSerialHandlers, closeAllPorts } = require('./serial-bridge');
+const { registerSimulatorHandlers, stopSimulator } = require('./robot-simulator');
+const { registerProfileHandlers } = require('./operator-profiles');
+
+// Global shortcut for the emergency stop, works even when the application isn't focused
+const EMERGENCY_STOP_SHORTCUT = 'CommandOrControl+Shift+X';
+let emergencyStopShortcutRegistered = false;
+
+// Register the emergency stop shortcut, sending 'emergency-stop' to every window when pressed
+const registerEmergencyStopShortcut = () => {
+  emergencyStopShortcutRegistered = globalShortcut.register(EMERGENCY_STOP_SHORTCUT, () => {
+    BrowserWindow.getAllWindows().forEach((window) => window.webContents.send('emergency-stop'));
+  });
+
+  if (!emergencyStopShortcutRegistered) {
+    console.error(`Cannot register the emergency stop shortcut ${EMERGENCY_STOP_SHORTCUT}, it is used by another application`);
+  }
+
+  ipcMain.handle('emergency-stop:shortcut', () => ({
+    accelerator: EMERGENCY_STOP_SHORTCUT,
+    registered: emergencyStopShortcutRegistered
+  }));
+};
 
 // Create the application window
 const createWindow = () => {
@@ -35,9 +58,20 @@ const createWindow = () => {
 
 // Create window when Electron is ready
 app.whenReady().then(() => {
+  registerSerialHandlers(ipcMain);
+  registerSimulatorHandlers(ipcMain);
+  registerProfileHandlers(ipcMain, app.getPath('userData'));
+  registerEmergencyStopShortcut();
   createWindow();
 });
 
+// Release the shortcut and serial ports and stop the simulated robot before quitting
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+  closeAllPorts();
+  stopSimulator();
+});
+
 // Quit when all windows are closed, except on macOS
 app.on('window-all-closed', () => {
   // On macOS it is common for applications and their menu bar
@@ -0,0 +1,149 @@
+/**
+ * Operator profiles
+ *
+ * Runs in the main process and stores the named operator profiles of the
+ * renderer (formulas, calibration, hand and filter settings of each operator)
+ * in a JSON file in the user data directory:
+ *
+ *   { version, active, profiles: { <name>: { ...settings } } }
+ *
+ * where active is the name of the profile selected last, loaded again when
+ * the application starts.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_VERSION = 1;
+const PROFILES_FILE = 'operator-profiles.json';
+
+const hasProfile = (store, name) => typeof name === 'string' && Object.prototype.hasOwnProperty.call(store.profiles, name);
+
+const createStore = () => ({ version: PROFILES_VERSION, active: null, profiles: {} });
+
+// Read the profile store, an empty store if there is no file yet. A damaged file
+// is renamed aside and onRecovered is called with its new name, so the operators
+// can save profiles again and the old file can still be repaired by hand.
+const readStore = async (file, onRecovered) => {
+  let text;
+
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createStore();
+    }
+    throw new Error(`Cannot read operator profiles from ${file}: ${error.message}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    data = null;
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    const aside = `${file}.corrupt-${Date.now()}`;
+    await fs.promises.rename(file, aside);
+    console.error(`Operator profiles in ${file} are damaged, moved them to ${aside}`);
+    onRecovered(aside);
+    return createStore();
+  }
+
+  const store = {
+    version: PROFILES_VERSION,
+    active: null,
+    profiles: typeof data.profiles === 'object' && data.profiles !== null ? data.profiles : {}
+  };
+  store.active = hasProfile(store, data.active) ? data.active : null;
+
+  return store;
+};
+
+// Write the profile store through a temporary file, so a crash can't leave a truncated file behind
+const writeStore = async (file, store) => {
+  const temporary = `${file}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(temporary, JSON.stringify(store, null, 2));
+  await fs.promises.rename(temporary, file);
+};
+
+// Profile names and the active profile, as returned to the renderer
+const listProfiles = (store) => ({
+  names: Object.keys(store.profiles).sort((a, b) => a.localeCompare(b)),
+  active: store.active
+});
+
+// Register the IPC handlers used by the operator profiles of the renderer,
+// storing the profiles in a directory (the user data directory of the application)
+const registerProfileHandlers = (ipcMain, directory) => {
+  const file = path.join(directory, PROFILES_FILE);
+  let queue = Promise.resolve();
+  let recovered = null; // Name of a damaged profiles file that was moved aside, until reported
+
+  // Run accesses to the store one after the other, writing it back if changed
+  const access = (change, write = true) => {
+    const result = queue.then(async () => {
+      const store = await readStore(file, (aside) => { recovered = aside; });
+      const value = change(store);
+
+      if (write) {
+        await writeStore(file, store);
+      }
+      return value;
+    });
+
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // Profile names and the active profile, reporting a damaged file that was moved aside once
+  const list = (store) => {
+    const result = { ...listProfiles(store), recovered };
+    recovered = null;
+    return result;
+  };
+
+  ipcMain.handle('profiles:list', () => access(list, false));
+
+  ipcMain.handle('profiles:get', (event, name) => access((store) => {
+    if (!hasProfile(store, name)) {
+      throw new Error(`There is no operator profile named ${name}`);
+    }
+    return store.profiles[name];
+  }, false));
+
+  // Select the profile used by the operator (null for none), returning its settings
+  ipcMain.handle('profiles:select', (event, name) => access((store) => {
+    if (name !== null && !hasProfile(store, name)) {
+      throw new Error(`There is no operator profile named ${name}`);
+    }
+
+    store.active = name;
+    return name === null ? null : store.profiles[name];
+  }));
+
+  // Save the settings of a profile, replacing a profile with the same name, and select it
+  ipcMain.handle('profiles:save', (event, { name, settings }) => access((store) => {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('An operator profile needs a name');
+    }
+
+    store.profiles[trimmed] = settings;
+    store.active = trimmed;
+    return list(store);
+  }));
+
+  ipcMain.handle('profiles:delete', (event, name) => access((store) => {
+    delete store.profiles[name];
+
+    if (store.active === name) {
+      store.active = null;
+    }
+    return list(store);
+  }));
+};
+
+module.exports = { registerProfileHandlers };
@@ -0,0 +1,245 @@
+/**
+ * Robot Hand Simulator
+ *
+ * Serves the robot hand API with a simulated hand, so the application can be
+ * used without hardware:
+ *
+ *   GET  /api/servos     returns the status of every servo
+ *   POST /api/servos     accepts an array of { id, position }, { id, min, max }
+ *                        or { id, release: true }
+ *   POST /api/heartbeat  accepts { timeout, action }
+ *   WS   /ws             accepts { type: 'servos', data: [...] }, { type: 'status' }
+ *                        and { type: 'heartbeat', data: {...} } frames and pushes
+ *                        { type: 'status', data: [...] } frames
+ *
+ * Faults can be injected to see how the application copes: a share of the
+ * requests time out or fail with a server error, and servos can get stuck.
+ *
+ * The main process runs a simulator for the "Simulated Robot" connection
+ * type, tools/mock-robot-server.js runs one from the command line.
+ */
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { createSimulatedHand } = require('./simulated-hand');
+
+const STATUS_PUSH_INTERVAL = 200; // ms
+const SIMULATION_INTERVAL = 20; // ms
+const TIMEOUT_HOLD = 10000; // ms a request hit by a timeout fault is left unanswered
+
+let simulator = null; // Simulator run by the main process
+let settings = { speed: undefined, faults: {} }; // Settings of the main process simulator
+
+// Fill in missing fault settings: rates from 0 to 1 and a list of stuck servo IDs
+const normalizeFaults = (faults = {}) => {
+  const toRate = (value) => Math.max(0, Math.min(1, parseFloat(value) || 0));
+
+  return {
+    timeoutRate: toRate(faults.timeoutRate),
+    errorRate: toRate(faults.errorRate),
+    stuckServos: Array.isArray(faults.stuckServos)
+      ? faults.stuckServos.map((id) => parseInt(id, 10)).filter((id) => !isNaN(id))
+      : []
+  };
+};
+
+// Read the JSON body of a request
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body));
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+// Start a simulator listening on a port (0 picks a free port)
+// servos: servo definitions as { id, min, max, defaultPosition }, speed: position units per second
+const startSimulator = ({ port = 0, servos, speed, faults, log = () => {} } = {}) => new Promise((resolve, reject) => {
+  const hand = createSimulatedHand({ servos, speed });
+  const simulationTimer = setInterval(() => hand.step(SIMULATION_INTERVAL / 1000), SIMULATION_INTERVAL);
+  let activeFaults = normalizeFaults(faults);
+  hand.setStuckServos(activeFaults.stuckServos);
+
+  // Decide whether a request is hit by a timeout or server error fault
+  const hits = (rate) => Math.random() < rate;
+
+  // HTTP API
+  const server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
+
+    if (url !== '/api/servos' && url !== '/api/heartbeat') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    if (hits(activeFaults.timeoutRate)) {
+      setTimeout(() => req.socket.destroy(), TIMEOUT_HOLD);
+      return;
+    }
+
+    if (hits(activeFaults.errorRate)) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Simulated server error' }));
+      return;
+    }
+
+    if (url === '/api/heartbeat') {
+      if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+      }
+
+      readJson(req).then((heartbeat) => {
+        hand.heartbeat(heartbeat);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      }).catch((error) => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(hand.getStatus()));
+      return;
+    }
+
+    if (req.method === 'POST') {
+      readJson(req).then((commands) => {
+        hand.applyCommands(commands);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      }).catch((error) => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+      return;
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  // WebSocket API, timeout faults drop frames in both directions
+  const wss = new WebSocketServer({ server, path: '/ws' });
+
+  wss.on('connection', (socket, req) => {
+    log(`WebSocket client connected from ${req.socket.remoteAddress}`);
+
+    const sendStatus = () => {
+      if (!hits(activeFaults.timeoutRate)) {
+        socket.send(JSON.stringify({ type: 'status', data: hand.getStatus() }));
+      }
+    };
+
+    sendStatus();
+    const statusTimer = setInterval(sendStatus, STATUS_PUSH_INTERVAL);
+
+    socket.on('message', (raw) => {
+      if (hits(activeFaults.timeoutRate)) {
+        return;
+      }
+
+      try {
+        const message = JSON.parse(raw);
+
+        if (message.type === 'servos') {
+          hand.applyCommands(message.data);
+        } else if (message.type === 'heartbeat') {
+          hand.heartbeat(message.data);
+        } else if (message.type === 'status') {
+          sendStatus();
+        }
+      } catch (error) {
+        log(`Invalid message: ${error.message}`);
+      }
+    });
+
+    socket.on('close', () => {
+      clearInterval(statusTimer);
+      log('WebSocket client disconnected');
+    });
+  });
+
+  server.on('error', (error) => {
+    clearInterval(simulationTimer);
+    reject(error);
+  });
+
+  server.listen(port, () => {
+    resolve({
+      port: server.address().port,
+
+      // Change the servo definitions
+      setServos: (newServos) => hand.setServos(newServos),
+
+      // Change the speed servos move at
+      setSpeed: (newSpeed) => hand.setSpeed(newSpeed),
+
+      // Change the injected faults
+      setFaults: (newFaults) => {
+        activeFaults = normalizeFaults(newFaults);
+        hand.setStuckServos(activeFaults.stuckServos);
+      },
+
+      // Stop the simulation and the server
+      close: () => new Promise((closed) => {
+        clearInterval(simulationTimer);
+        wss.clients.forEach((client) => client.terminate());
+        wss.close();
+        server.closeAllConnections();
+        server.close(() => closed());
+      })
+    });
+  });
+});
+
+// Stop the simulator of the main process, if running
+const stopSimulator = async () => {
+  const running = simulator;
+  simulator = null;
+
+  if (running) {
+    await (await running).close();
+  }
+};
+
+// Register the IPC handlers used by the simulated robot transport of the renderer.
+// All simulated robot targets share one simulator, it takes on the servo definitions
+// of the target connecting last, so targets reconnecting after the servo map changed
+// don't talk to a hand with the old servos.
+const registerSimulatorHandlers = (ipcMain) => {
+  ipcMain.handle('simulator:start', async (event, { servos }) => {
+    if (!simulator) {
+      simulator = startSimulator({ servos, speed: settings.speed, faults: settings.faults });
+      simulator.catch(() => { simulator = null; });
+      const { port } = await simulator;
+      return { port };
+    }
+
+    const running = await simulator;
+    running.setServos(servos);
+    return { port: running.port };
+  });
+
+  ipcMain.handle('simulator:configure', async (event, { speed, faults }) => {
+    settings = { speed, faults: normalizeFaults(faults) };
+
+    if (simulator) {
+      const running = await simulator;
+      running.setSpeed(speed);
+      running.setFaults(settings.faults);
+    }
+  });
+
+  ipcMain.handle('simulator:stop', () => stopSimulator());
+};
+
+module.exports = { startSimulator, registerSimulatorHandlers, stopSimulator };
@@ -0,0 +1,100 @@
+/**
+ * Serial bridge
+ *
+ * Runs in the main process and gives the renderer access to a serial port
+ * over IPC. Servo commands are encoded with the robot hand serial protocol,
+ * status lines from the robot are decoded and forwarded to the renderer.
+ */
+const { SerialPort } = require('serialport');
+const { encodeCommands, encodeHeartbeat, createLineDecoder } = require('./serial-protocol');
+
+const ports = new Map(); // Open ports by path
+
+// Close the port at a path, if open
+const closePort = (path) => new Promise((resolve) => {
+  const port = ports.get(path);
+  if (!port) {
+    resolve();
+    return;
+  }
+
+  ports.delete(path);
+  port.removeAllListeners('close');
+
+  if (port.isOpen) {
+    port.close(() => resolve());
+  } else {
+    resolve();
+  }
+});
+
+// Close all open ports
+const closeAllPorts = () => Promise.all([...ports.keys()].map(closePort));
+
+// Write protocol lines to the port at a path
+const writeLines = (path, lines) => new Promise((resolve, reject) => {
+  const port = ports.get(path);
+  if (!port || !port.isOpen) {
+    reject(new Error(`Serial port ${path} not open`));
+    return;
+  }
+
+  lines.forEach((line) => port.write(`${line}\n`));
+  port.drain((error) => (error ? reject(error) : resolve()));
+});
+
+// Register the IPC handlers used by the serial transports of the renderer.
+// Events sent to the renderer carry the port path, so several robots can be
+// connected at the same time.
+const registerSerialHandlers = (ipcMain) => {
+  ipcMain.handle('serial:list', async () => {
+    const available = await SerialPort.list();
+    return available.map(({ path, manufacturer }) => ({ path, manufacturer }));
+  });
+
+  ipcMain.handle('serial:open', async (event, { path, baudRate }) => {
+    await closePort(path);
+
+    const sender = event.sender;
+    const port = new SerialPort({ path, baudRate, autoOpen: false });
+
+    await new Promise((resolve, reject) => {
+      port.open((error) => (error ? reject(error) : resolve()));
+    });
+
+    ports.set(path, port);
+
+    port.on('data', createLineDecoder((message) => {
+      if (sender.isDestroyed()) {
+        return;
+      }
+
+      if (message.type === 'status' && message.data) {
+        sender.send('serial:status', path, message.data);
+      } else if (message.type === 'error') {
+        sender.send('serial:error', path, message.data);
+      }
+    }));
+
+    port.on('close', () => {
+      ports.delete(path);
+      if (!sender.isDestroyed()) {
+        sender.send('serial:closed', path);
+      }
+    });
+
+    port.on('error', (error) => {
+      console.error(`Serial port ${path} error:`, error);
+    });
+  });
+
+  ipcMain.handle('serial:close', (event, path) => closePort(path));
+
+  ipcMain.handle('serial:send', (event, path, commands) => writeLines(path, encodeCommands(commands)));
+
+  ipcMain.handle('serial:request-status', (event, path) => writeLines(path, ['S']));
+
+  ipcMain.handle('serial:heartbeat', (event, path, heartbeat) => writeLines(path, [encodeHeartbeat(heartbeat)]));
+};
+
+module.exports = { registerSerialHandlers, closeAllPorts };
@@ -0,0 +1,94 @@
+/**
+ * Serial protocol of the robot hand
+ *
+ * Line based ASCII protocol, see docs/serial-protocol.md. Shared by the
+ * serial bridge in the main process and the mock serial robot.
+ */
+
+// Encode servo commands as protocol lines: positions become a P line,
+// limits an L line and releases an R line
+const encodeCommands = (commands) => {
+  const positions = commands.filter((command) => command.position !== undefined);
+  const limits = commands.filter((command) => command.min !== undefined && command.max !== undefined);
+  const releases = commands.filter((command) => command.release);
+  const lines = [];
+
+  if (positions.length > 0) {
+    lines.push(`P ${positions.map((command) => `${command.id}:${Math.round(command.position)}`).join(' ')}`);
+  }
+  if (limits.length > 0) {
+    lines.push(`L ${limits.map((command) => `${command.id}:${Math.round(command.min)}:${Math.round(command.max)}`).join(' ')}`);
+  }
+  if (releases.length > 0) {
+    lines.push(`R ${releases.map((command) => command.id).join(' ')}`);
+  }
+
+  return lines;
+};
+
+// Encode a heartbeat as an H line
+const encodeHeartbeat = ({ timeout, action }) => `H ${Math.round(timeout)} ${action}`;
+
+// Encode a status report as an S line
+const encodeStatus = (servos) => {
+  const fields = servos.map((servo) =>
+    [servo.id, servo.position, servo.temperature, servo.load, servo.min, servo.max].join(':'));
+  return `S ${fields.join(' ')}`.trim();
+};
+
+// Decode a protocol line into { type, data }, or null if it isn't understood.
+// Types: 'positions', 'limits' and 'releases' (servo commands), 'status' (servo
+// status array, or null for a status request), 'heartbeat' ({ timeout, action })
+// and 'error' (message)
+const decodeLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const [command, ...fields] = trimmed.split(/\s+/);
+  const values = fields.map((field) => field.split(':').map(Number));
+
+  switch (command) {
+    case 'P':
+      return { type: 'positions', data: values.map(([id, position]) => ({ id, position })) };
+    case 'L':
+      return { type: 'limits', data: values.map(([id, min, max]) => ({ id, min, max })) };
+    case 'R':
+      return { type: 'releases', data: values.map(([id]) => ({ id, release: true })) };
+    case 'H':
+      return { type: 'heartbeat', data: { timeout: Number(fields[0]), action: fields[1] } };
+    case 'S':
+      return {
+        type: 'status',
+        data: fields.length === 0 ? null : values.map(([id, position, temperature, load, min, max]) =>
+          ({ id, position, temperature, load, min, max }))
+      };
+    case 'E':
+      return { type: 'error', data: fields.join(' ') };
+    default:
+      return null;
+  }
+};
+
+// Create a decoder for the data read from a serial port. Data can end in the
+// middle of a line, so the last partial line is kept until the rest arrives.
+// Complete lines are decoded and the messages that are understood are passed
+// to onMessage
+const createLineDecoder = (onMessage) => {
+  let partial = '';
+
+  return (data) => {
+    const lines = (partial + data.toString()).split('\n');
+    partial = lines.pop();
+
+    lines.forEach((line) => {
+      const message = decodeLine(line);
+      if (message) {
+        onMessage(message);
+      }
+    });
+  };
+};
+
+module.exports = { encodeCommands, encodeHeartbeat, encodeStatus, decodeLine, createLineDecoder };
@@ -0,0 +1,169 @@
+/**
+ * Simulated Robot Hand
+ *
+ * Servo simulation shared by the robot simulator and the mock robot tools.
+ * Servos move towards their commanded position at a configurable speed, the
+ * load follows the movement (or the strain of a stuck servo) and the
+ * temperature slowly follows the load. Released servos stay where they are
+ * without load. Like firmware with heartbeat support, the hand applies the
+ * heartbeat action when heartbeats stop arriving.
+ */
+const DEFAULT_SPEED = 1500; // position units per second
+const AMBIENT_TEMPERATURE = 30; // °C
+const HEATING = 0.3; // °C above ambient per percent of load
+const THERMAL_TIME_CONSTANT = 20; // seconds
+const LOAD_NOISE = 2; // percent
+const EASE_SPEED = 200; // position units per second of the heartbeat ease action
+
+// Default servo definitions of the application
+const DEFAULT_SERVOS = Array.from({ length: 11 }, (_, index) => {
+  const max = index === 10 ? 4095 : 1023;
+  return { id: index + 1, min: 0, max, defaultPosition: Math.round(max / 2) };
+});
+
+// Create the state of a simulated servo from its definition, at its default position
+const createServo = ({ id, min, max, defaultPosition }) => {
+  const position = defaultPosition !== undefined ? defaultPosition : Math.round((min + max) / 2);
+  return {
+    id, position, target: position, min, max, neutral: position,
+    released: false, easing: false, load: 0, temperature: AMBIENT_TEMPERATURE
+  };
+};
+
+// Create a simulated hand
+// servos: definitions as { id, min, max, defaultPosition }, speed: position units per second
+const createSimulatedHand = ({ servos: definitions = DEFAULT_SERVOS, speed = DEFAULT_SPEED } = {}) => {
+  let servos = definitions.map(createServo);
+  let servoSpeed = speed;
+  let stuckServos = [];
+  let heartbeat = null; // Last heartbeat as { timeout, action, remaining }, remaining in seconds
+
+  return {
+    // Apply servo commands: positions move the servos, min/max set their limits,
+    // release turns the torque off until the next position
+    applyCommands: (commands) => {
+      if (!Array.isArray(commands)) {
+        throw new Error('Expected an array of servo commands');
+      }
+
+      commands.forEach((command) => {
+        const servo = servos.find((s) => s.id === command.id);
+        if (!servo) {
+          return;
+        }
+
+        if (command.min !== undefined) {
+          servo.min = command.min;
+        }
+        if (command.max !== undefined) {
+          servo.max = command.max;
+        }
+        if (command.position !== undefined) {
+          servo.target = command.position;
+          servo.released = false;
+          servo.easing = false;
+        }
+        if (command.release) {
+          servo.target = servo.position;
+          servo.released = true;
+          servo.easing = false;
+        }
+
+        servo.target = Math.max(servo.min, Math.min(servo.max, servo.target));
+      });
+    },
+
+    // Status report in the format of the robot API
+    getStatus: () => servos.map(({ id, position, temperature, load, min, max }) => ({
+      id,
+      position: Math.round(position),
+      temperature: Math.round(temperature * 10) / 10,
+      load: Math.round(load),
+      min,
+      max
+    })),
+
+    // Receive a heartbeat: apply action ('hold', 'ease' or 'release') if no heartbeat follows within timeout ms
+    heartbeat: ({ timeout, action }) => {
+      heartbeat = timeout > 0 ? { timeout, action, remaining: timeout / 1000 } : null;
+    },
+
+    // Replace the servo definitions. Servos that are still defined keep their position,
+    // load and temperature within their new range, new servos start at their default position.
+    setServos: (newDefinitions = DEFAULT_SERVOS) => {
+      servos = newDefinitions.map((definition) => {
+        const servo = servos.find((s) => s.id === definition.id);
+        if (!servo) {
+          return createServo(definition);
+        }
+
+        const clamp = (value) => Math.max(definition.min, Math.min(definition.max, value));
+        const neutral = definition.defaultPosition !== undefined ? definition.defaultPosition : servo.neutral;
+        return {
+          ...servo,
+          min: definition.min,
+          max: definition.max,
+          position: clamp(servo.position),
+          target: clamp(servo.target),
+          neutral: clamp(neutral)
+        };
+      });
+    },
+
+    // Set the speed servos move at, in position units per second
+    setSpeed: (speed) => {
+      if (speed > 0) {
+        servoSpeed = speed;
+      }
+    },
+
+    // Set the IDs of servos that are stuck: they don't move and strain against their target
+    setStuckServos: (ids) => {
+      stuckServos = ids.slice();
+    },
+
+    // Advance the simulation by dt seconds
+    step: (dt) => {
+      // Apply the heartbeat action once when heartbeats stop arriving
+      if (heartbeat && heartbeat.remaining > 0) {
+        heartbeat.remaining -= dt;
+
+        if (heartbeat.remaining <= 0) {
+          servos.forEach((servo) => {
+            if (heartbeat.action === 'ease') {
+              servo.target = servo.neutral;
+              servo.easing = true;
+            } else if (heartbeat.action === 'release') {
+              servo.target = servo.position;
+              servo.released = true;
+            }
+          });
+        }
+      }
+
+      servos.forEach((servo) => {
+        const error = servo.target - servo.position;
+        const isStuck = stuckServos.includes(servo.id);
+        const speed = servo.easing ? Math.min(EASE_SPEED, servoSpeed) : servoSpeed;
+        let load;
+
+        if (servo.released) {
+          load = 0;
+        } else if (isStuck) {
+          // Strain grows with the distance to the target
+          load = Math.min(100, Math.abs(error) / (servo.max - servo.min || 1) * 400);
+        } else {
+          const step = Math.sign(error) * Math.min(Math.abs(error), speed * dt);
+          servo.position += step;
+          load = Math.abs(step) / (servoSpeed * dt) * 60;
+        }
+
+        load += (Math.random() - 0.5) * LOAD_NOISE;
+        servo.load = Math.max(0, Math.min(100, servo.load + (load - servo.load) * Math.min(1, dt * 10)));
+        servo.temperature += ((AMBIENT_TEMPERATURE + servo.load * HEATING) - servo.temperature) * dt / THERMAL_TIME_CONSTANT;
+      });
+    }
+  };
+};
+
+module.exports = { createSimulatedHand };
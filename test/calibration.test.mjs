@@ -0,0 +1,135 @@
+/**
+ * Calibration Tests
+ *
+ * Runs the calibration wizard with mocked timers and rewrites the
+ * measurement ranges of formulas with the recorded ranges.
+ */
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CONFIG from '../js/config.js';
+import FormulaParser from '../js/formula-parser.js';
+import Calibration from '../js/calibration.js';
+import ServoControl from '../js/servo-control.js';
+
+mock.timers.enable({ apis: ['setTimeout'] });
+
+// Landmarks of a hand whose index finger tip (8) is at x and whose other landmarks are at 0
+function hand(x) {
+    return Array.from({ length: 21 }, (_, index) => {
+        const value = index === 8 ? x : 0;
+        return { x: value, y: 0, z: 0, x3D: value, y3D: 0, z3D: 0 };
+    });
+}
+
+// Record the current pose of the wizard with a frame per value
+function recordPose(values) {
+    Calibration.recordPose();
+    mock.timers.tick(CONFIG.CALIBRATION.SETTLE_TIME);
+    values.forEach(value => Calibration.processLandmarks(hand(value), { right: hand(value), left: null }, null));
+    mock.timers.tick(CONFIG.CALIBRATION.POSE_DURATION);
+}
+
+afterEach(() => {
+    Calibration.cancel();
+    Calibration.onStateChange(null);
+    Calibration.setCalibrations({});
+});
+
+test('the measurement of a formula is the first argument of its outermost map() call', () => {
+    const measurement = FormulaParser.getMeasurement('map(L[8].x * 2, 0, 1, 0, 1023) + map(L[0].x, 0, 1, 0, 10)');
+
+    assert.equal(measurement(hand(0.25)), 0.5);
+    assert.equal(FormulaParser.getMeasurement('L[8].x * 1000'), null);
+    assert.equal(FormulaParser.getMeasurement('map(L[8].x, 0, 1'), null);
+});
+
+test('the measurement range of a formula can be replaced', () => {
+    assert.equal(FormulaParser.setMeasurementRange('map(distance(4, 8),  0.02, 0.1 , 0, 1023)', 0.031, 0.12),
+        'map(distance(4, 8),  0.031, 0.12 , 0, 1023)');
+    assert.equal(FormulaParser.setMeasurementRange('1023 - map(L[8].x, -0.5, map(1, 0, 1, 0, 2), 0, 1023)', 'calMin', 'calMax'),
+        '1023 - map(L[8].x, calMin, calMax, 0, 1023)');
+    assert.equal(FormulaParser.setMeasurementRange('L[8].x * 1000', 0, 1), null);
+    assert.equal(FormulaParser.setMeasurementRange('map(L[8].x, 0, 1', 0, 1), null);
+});
+
+test('calMin and calMax refer to the calibration of the servo', () => {
+    const formula = 'map(L[8].x, calMin, calMax, 0, 1000)';
+
+    assert.equal(FormulaParser.compile(formula)(hand(0.25), null, { min: 0, max: 0.5 }), 500);
+
+    let positions = null;
+    ServoControl.onCalculatedPositionsUpdate((profile, calculated) => {
+        positions = calculated;
+    });
+
+    try {
+        ServoControl.setFormulas({ 1: formula });
+        ServoControl.setCalibration({ primary: { 1: { min: 0.1, max: 0.5 } } });
+        ServoControl.processLandmarks(hand(0.2), { right: hand(0.2), left: null }, null, 0);
+
+        assert.deepEqual(positions, { 1: 250 });
+        assert.deepEqual(ServoControl.getCalibration(), { primary: { 1: { min: 0.1, max: 0.5 } }, secondary: {} });
+    } finally {
+        ServoControl.onCalculatedPositionsUpdate(null);
+        ServoControl.setCalibration(null);
+        ServoControl.setFormulas({});
+    }
+});
+
+test('the wizard records the range of each measurement over the poses', () => {
+    const phases = [];
+    Calibration.onStateChange(state => phases.push(state.active ? state.phase : 'inactive'));
+
+    Calibration.start({
+        primary: { 1: 'map(L[8].x, 0, 1, 0, 1023)', 2: 'L[8].x * 1000', 3: 'map(1 / L[0].x, 0, 1, 0, 1023)' },
+        secondary: { 1: 'map(L[8].x * 2, 0, 1, 0, 1023)' }
+    });
+    assert.deepEqual(Calibration.getState(),
+        { active: true, phase: 'ready', poseIndex: 0, poseCount: 4, pose: CONFIG.CALIBRATION.POSES[0], samples: 0 });
+
+    // Frames outside the recording phase are ignored, the median of each pose is kept
+    Calibration.processLandmarks(hand(5), {}, hand(5));
+    recordPose([0.2, 0.9, 0.21, 0.22]);
+    assert.deepEqual(phases.slice(0, 4), ['ready', 'settling', 'recording', 'recording']);
+    assert.equal(Calibration.getState().poseIndex, 1);
+
+    // A range needs two poses
+    assert.deepEqual(Calibration.getResult(), { primary: {}, secondary: {} });
+
+    recordPose([0.612345, 0.612345, 0.612345]);
+    Calibration.skipPose();
+    Calibration.skipPose();
+
+    assert.equal(Calibration.getState().phase, 'done');
+    assert.deepEqual(Calibration.getResult(), { primary: { 1: { min: 0.215, max: 0.6123 } }, secondary: {} });
+
+    Calibration.cancel();
+    assert.deepEqual(Calibration.getState(), { active: false });
+    assert.equal(Calibration.getResult(), null);
+});
+
+test('the wizard needs a formula with a map() call', () => {
+    assert.throws(() => Calibration.start({ primary: { 1: 'L[8].x * 1000' } }), /None of the formulas has a map\(\) call/);
+    assert.equal(Calibration.getState().active, false);
+});
+
+test('calibrations are saved per operator and one of them is active', () => {
+    Calibration.saveCalibration(' Alice ', { primary: { 1: { min: 0.1, max: 0.3 }, 2: { min: 1, max: 1 } } });
+    Calibration.setCalibrations({ ...Calibration.getCalibrations(), Bob: { primary: { 1: { min: '0.2', max: '0.4' } } }, ' ': {} });
+
+    assert.deepEqual(Calibration.getCalibrations(), {
+        Alice: { primary: { 1: { min: 0.1, max: 0.3 } } },
+        Bob: { primary: { 1: { min: 0.2, max: 0.4 } } }
+    });
+    assert.throws(() => Calibration.saveCalibration('  ', {}), /Enter a name for the calibration/);
+
+    assert.deepEqual(Calibration.setActive('Bob'), { primary: { 1: { min: 0.2, max: 0.4 } } });
+    assert.equal(Calibration.setActive('Carol'), null);
+    assert.equal(Calibration.getActive(), null);
+
+    Calibration.setActive('Alice');
+    Calibration.deleteCalibration('Alice');
+    assert.equal(Calibration.getActive(), null);
+    assert.equal(Calibration.getCalibration('Alice'), null);
+});
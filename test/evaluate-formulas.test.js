@@ -0,0 +1,77 @@
+/**
+ * Offline Formula Evaluation Tests
+ *
+ * Runs tools/evaluate-formulas.js the way CI does, on the session and
+ * configuration in test/fixtures.
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL = path.join(__dirname, '..', 'tools', 'evaluate-formulas.js');
+const CONFIG_FILE = path.join(__dirname, 'fixtures', 'config.json');
+const SESSION_FILE = path.join(__dirname, 'fixtures', 'session.json');
+
+// Run the tool, returning { status, stdout, stderr }
+const evaluate = (...args) => spawnSync(process.execPath, [TOOL, ...args], { encoding: 'utf8', timeout: 60000 });
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluate-formulas-'));
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Write a file to the temporary directory, returning its path
+const writeTemporary = (name, data) => {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+};
+
+test('prints the statistics of every servo with a formula', () => {
+  const { status, stdout, stderr } = evaluate(CONFIG_FILE, SESSION_FILE);
+
+  assert.equal(status, 0, stderr);
+  assert.equal(stderr, '');
+
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], 'Evaluated 5 frames (0.1 s)');
+  assert.deepEqual(lines[1].trim().split(/\s+/), ['profile', 'servo', 'frames', 'min', 'max', 'jitter', 'clamped', 'errors']);
+
+  // Servo 1 is limited to 100-900 by its output settings
+  assert.deepEqual(lines[2].trim().split(/\s+/), ['primary', '1', '5', '100', '614', '128.50', '40.0%', '0']);
+
+  // The formula of servo 2 divides by zero in the frame where the wrist is at x = 0
+  assert.deepEqual(lines[3].trim().split(/\s+/), ['primary', '2', '4', '1023', '1023', '0.00', '100.0%', '1']);
+});
+
+test('writes the positions of every frame', () => {
+  const json = writeTemporary('results.json', '');
+  const { status } = evaluate(CONFIG_FILE, SESSION_FILE, '--json', json);
+
+  assert.equal(status, 0);
+
+  const { statistics, frames } = JSON.parse(fs.readFileSync(json, 'utf8'));
+  assert.equal(frames.length, 5);
+  assert.deepEqual(frames[2].errors, ['primary:2']);
+  assert.equal(statistics.length, 2);
+});
+
+test('fails with a message on invalid inputs', () => {
+  const invalidFormula = writeTemporary('config.json', { formulas: { 1: 'distance(4, 8' } });
+  let result = evaluate(invalidFormula, SESSION_FILE);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Invalid formulas:\n {2}primary servo 1: Missing closing parenthesis/);
+
+  const invalidSession = writeTemporary('session.json', { frames: [{ t: 0, hands: { right: [{ x: 0 }] } }] });
+  result = evaluate(CONFIG_FILE, invalidSession);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Frame 0: a hand must have 21 landmarks/);
+
+  result = evaluate(CONFIG_FILE);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /^Usage: node tools\/evaluate-formulas.js/);
+});
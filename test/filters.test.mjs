@@ -0,0 +1,87 @@
+/**
+ * Filter Tests
+ *
+ * Feeds the servo smoothing filters short signals sampled every 20 ms.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Filters from '../js/filters.js';
+
+// Filter values sampled every 20 ms, returning the filtered values
+function run(filter, values) {
+    return values.map((value, index) => filter.filter(value, index * 20));
+}
+
+test('settings are completed with defaults and limited to the parameter ranges', () => {
+    assert.deepEqual(Filters.normalizeSettings(null), { type: 'none' });
+    assert.deepEqual(Filters.normalizeSettings({ type: 'kalman' }), { type: 'none' });
+    assert.deepEqual(Filters.normalizeSettings({ type: 'ema' }), { type: 'ema', alpha: 0.5 });
+    assert.deepEqual(Filters.normalizeSettings({ type: 'ema', alpha: '0.2' }), { type: 'ema', alpha: 0.2 });
+    assert.deepEqual(Filters.normalizeSettings({ type: 'oneEuro', minCutoff: 50, beta: -1, dCutoff: 'x' }),
+        { type: 'oneEuro', minCutoff: 10, beta: 0, dCutoff: 1 });
+    assert.deepEqual(Filters.normalizeSettings({ type: 'median', windowSize: 100 }), { type: 'median', windowSize: 31 });
+});
+
+test('without a filter values pass unchanged', () => {
+    assert.deepEqual(run(Filters.create({ type: 'none' }), [1, 500, 3]), [1, 500, 3]);
+});
+
+test('the moving average weighs the newest value by alpha', () => {
+    const filter = Filters.create({ type: 'ema', alpha: 0.25 });
+
+    assert.deepEqual(run(filter, [100, 200, 200, 0]), [100, 125, 143.75, 107.8125]);
+
+    // After a reset the next value is passed unchanged
+    filter.reset();
+    assert.equal(filter.filter(400, 0), 400);
+});
+
+test('the moving median removes isolated spikes', () => {
+    const filter = Filters.create({ type: 'median', windowSize: 3 });
+
+    assert.deepEqual(run(filter, [100, 1000, 110, 120, 0, 130]), [100, 550, 110, 120, 110, 120]);
+
+    filter.reset();
+    assert.equal(filter.filter(5, 0), 5);
+});
+
+test('the One Euro filter smooths slow changes more than fast ones', () => {
+    const settings = { type: 'oneEuro', minCutoff: 1, beta: 0.01, dCutoff: 1 };
+
+    // Lag after 10 samples of a slow and of a fast ramp, relative to the step per sample
+    const lag = (step) => {
+        const values = Array.from({ length: 11 }, (_, index) => index * step);
+        const filtered = run(Filters.create(settings), values);
+        return (values[10] - filtered[10]) / step;
+    };
+
+    const slowLag = lag(1);
+    const fastLag = lag(100);
+    assert.ok(slowLag > 3, `slow lag ${slowLag}`);
+    assert.ok(fastLag < 0.5, `fast lag ${fastLag}`);
+
+    // Without beta the cutoff doesn't rise with speed
+    const constant = Filters.create({ ...settings, beta: 0 });
+    const filtered = run(constant, Array.from({ length: 11 }, (_, index) => index * 100));
+    assert.ok(1000 - filtered[10] > 500);
+});
+
+test('the One Euro filter starts at the first value and ignores repeated timestamps', () => {
+    const filter = Filters.create({ type: 'oneEuro' });
+
+    assert.equal(filter.filter(300, 1000), 300);
+    assert.equal(filter.filter(900, 1000), 300);
+    assert.ok(filter.filter(900, 1020) > 300);
+
+    filter.reset();
+    assert.equal(filter.filter(50, 0), 50);
+});
+
+test('landmark One Euro filters take parameters outside the servo filter ranges', () => {
+    const filter = Filters.createOneEuro({ minCutoff: 1, beta: 20, dCutoff: 1 });
+    const servoFilter = Filters.create({ type: 'oneEuro', minCutoff: 1, beta: 20, dCutoff: 1 });
+
+    const values = [0.5, 0.52, 0.54, 0.56];
+    assert.ok(run(filter, values)[3] > run(servoFilter, values)[3]);
+});
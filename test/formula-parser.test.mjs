@@ -0,0 +1,179 @@
+/**
+ * Formula Parser Tests
+ *
+ * Run with npm test. The reference results were calculated with the formula
+ * evaluator that parsed every formula on every frame, before formulas were
+ * compiled once.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import FormulaParser from '../js/formula-parser.js';
+import ServoControl from '../js/servo-control.js';
+
+// 3D coordinates of the 21 landmarks of a half-closed right hand
+const COORDINATES = [
+    [0, 0, 0], [-0.036, -0.028, -0.01], [-0.032, -0.046, -0.02], [-0.028, -0.064, -0.03],
+    [-0.024, -0.082, -0.04], [-0.016, -0.048, 0.01], [-0.012, -0.066, 0.02], [-0.008, -0.084, 0.03],
+    [-0.004, -0.102, 0.04], [0.004, -0.048, -0.01], [0.008, -0.066, -0.02], [0.012, -0.084, -0.03],
+    [0.016, -0.102, -0.04], [0.024, -0.048, 0.01], [0.028, -0.066, 0.02], [0.032, -0.084, 0.03],
+    [0.036, -0.102, 0.04], [0.044, -0.048, -0.01], [0.048, -0.066, -0.02], [0.052, -0.084, -0.03],
+    [0.056, -0.102, -0.04]
+];
+
+const LANDMARKS = COORDINATES.map(([x, y, z]) => ({
+    x: 0.5 + x * 5, y: 0.6 + y * 5, z, x3D: x, y3D: y, z3D: z
+}));
+
+// Servo ID, formula and the result of the previous evaluator
+const REFERENCE_FORMULAS = [
+    [1, 'map(distance(4, 8), 0.02, 0.1, 0, 1023)', 829],
+    [2, 'map(distance(0, 8), 0.05, 0.2, 1023, 0)', 616],
+    [3, 'map(rotationY(0, 5, 17), 30, 150, 0, 1023)', 521],
+    [4, 'Lx[8] * 2000 + 500', 492],
+    [5, 'Ly[12] * -4000', 408],
+    [6, '(Lz[8] - Lz[20]) / 0.001 + 512', 592],
+    [7, '-distance(5, 17) * 1000 + 800', 737],
+    [11, 'map(distance(4, 20), 0, 0.2, 0, 4095)', 1688]
+];
+
+test('formulas give the same results as the previous evaluator', () => {
+    for (const [id, formula, expected] of REFERENCE_FORMULAS) {
+        assert.equal(FormulaParser.evaluate(id, formula, LANDMARKS), expected, formula);
+    }
+});
+
+test('a compiled formula can be evaluated on many frames', () => {
+    const evaluator = FormulaParser.compile('L[8].x * 1000');
+
+    assert.equal(evaluator(LANDMARKS), -4);
+    assert.equal(evaluator(LANDMARKS.map(landmark => ({ ...landmark, x3D: 0.5 }))), 500);
+});
+
+test('servo control compiles formulas once, not on every frame', () => {
+    const compile = FormulaParser.compile;
+    let compiled = 0;
+
+    FormulaParser.compile = function (formula) {
+        compiled++;
+        return compile.call(this, formula);
+    };
+
+    try {
+        ServoControl.setFormulas({ 1: REFERENCE_FORMULAS[0][1], 4: REFERENCE_FORMULAS[3][1] });
+        assert.equal(compiled, 2);
+
+        let positions = null;
+        ServoControl.onCalculatedPositionsUpdate((profile, calculated) => {
+            positions = calculated;
+        });
+
+        for (let frame = 0; frame < 10; frame++) {
+            ServoControl.processLandmarks(LANDMARKS, { right: LANDMARKS, left: null }, null, frame * 33);
+        }
+
+        assert.equal(compiled, 2);
+        assert.deepEqual(positions, { 1: 829, 4: 492 });
+
+        // Changing a formula compiles only that formula
+        ServoControl.updateFormula(4, 'Lx[8] * 1000 + 500');
+        assert.equal(compiled, 3);
+    } finally {
+        FormulaParser.compile = compile;
+        ServoControl.onCalculatedPositionsUpdate(null);
+        ServoControl.setFormulas({});
+    }
+});
+
+test('a cleared formula stops giving a position', () => {
+    let positions = null;
+    ServoControl.onCalculatedPositionsUpdate((profile, calculated) => {
+        positions = calculated;
+    });
+
+    try {
+        ServoControl.setFormulas({ 1: REFERENCE_FORMULAS[0][1], 4: REFERENCE_FORMULAS[3][1] });
+        ServoControl.processLandmarks(LANDMARKS, { right: LANDMARKS, left: null }, null, 0);
+        assert.deepEqual(positions, { 1: 829, 4: 492 });
+
+        assert.equal(ServoControl.updateFormula(4, ' '), true);
+        ServoControl.processLandmarks(LANDMARKS, { right: LANDMARKS, left: null }, null, 33);
+        assert.deepEqual(positions, { 1: 829 });
+    } finally {
+        ServoControl.onCalculatedPositionsUpdate(null);
+        ServoControl.setFormulas({});
+    }
+});
+
+test('results are clamped and rounded to the range of the servo', () => {
+    assert.equal(FormulaParser.evaluate(1, '2000', LANDMARKS), 1023);
+    assert.equal(FormulaParser.evaluate(1, '-50', LANDMARKS), 0);
+    assert.equal(FormulaParser.evaluate(1, '511.6', LANDMARKS), 512);
+    assert.equal(FormulaParser.evaluate(11, '5000', LANDMARKS), 4095);
+    assert.equal(FormulaParser.evaluate(11, '2000', LANDMARKS), 2000);
+});
+
+test('division by zero is reported when the formula is evaluated', () => {
+    const evaluator = FormulaParser.compile('100 / L[0].x');
+
+    assert.throws(() => evaluator(LANDMARKS), /Division by zero/);
+    assert.throws(() => FormulaParser.evaluate(1, '5 / (2 - 2)', LANDMARKS), /Formula error: Division by zero/);
+});
+
+test('characters that are not part of the formula language are rejected', () => {
+    for (const [formula, character] of [['5 % 3', '%'], ['2 ^ 3', '^'], ['L[8].x # 2', '#'], ['1 = 1', '=']]) {
+        assert.throws(() => FormulaParser.compile(formula), new RegExp(`Unexpected character: \\${character}`), formula);
+        assert.equal(FormulaParser.getErrorMessage(formula), `Unexpected character: ${character}`);
+    }
+});
+
+// Evaluate a formula on the test landmarks, without clamping
+function calculate(formula) {
+    return FormulaParser.compile(formula)(LANDMARKS);
+}
+
+test('comparison and logical operators follow the usual precedence', () => {
+    assert.equal(calculate('1 + 2 > 2 && 3 < 2 || 4 == 4'), 1);
+    assert.equal(calculate('0 || 1 && 0'), 0);
+    assert.equal(calculate('2 * 3 == 6'), 1);
+    assert.equal(calculate('-2 * 3 < -5'), 1);
+    assert.equal(calculate('1 < 2 == 1'), 1);
+    assert.equal(calculate('!0 + 1'), 2);
+    assert.equal(calculate('!(1 > 2) * 5'), 5);
+    assert.equal(calculate('1 - 2 - 3'), -4);
+    assert.equal(calculate('5 - -3'), 8);
+});
+
+test('the conditional operator binds loosest and groups to the right', () => {
+    assert.equal(calculate('1 ? 2 : 0 ? 3 : 4'), 2);
+    assert.equal(calculate('0 ? 2 : 0 ? 3 : 4'), 4);
+    assert.equal(calculate('0 ? 2 : 1 ? 3 : 4'), 3);
+    assert.equal(calculate('1 > 2 ? 10 : 20 + 1'), 21);
+    assert.equal(calculate('L[8].y < L[0].y ? 100 : 200'), 100);
+    assert.equal(calculate('if(distance(4, 8) > 0.05, 10, 20) * 2'), 20);
+});
+
+test('&&, ||, ?: and if() only evaluate what they need', () => {
+    assert.equal(calculate('0 && 1 / 0'), 0);
+    assert.equal(calculate('1 || 1 / 0'), 1);
+    assert.equal(calculate('1 ? 5 : 1 / 0'), 5);
+    assert.equal(calculate('0 ? 1 / 0 : 7'), 7);
+    assert.equal(calculate('if(0, 1 / 0, 7)'), 7);
+    assert.equal(calculate('if(1, 7, 1 / 0)'), 7);
+
+    assert.throws(() => calculate('1 && 1 / 0'), /Division by zero/);
+    assert.throws(() => calculate('0 || 1 / 0'), /Division by zero/);
+    assert.throws(() => calculate('if(1, 1 / 0, 7)'), /Division by zero/);
+});
+
+test('unknown operators are rejected', () => {
+    for (const formula of ['1 & 1', '1 | 0', '1 === 1', '1 <> 2', '1 =< 2', '1 ? 2', '5 -- 3', '--3', '1..2', '1.2.3']) {
+        assert.throws(() => FormulaParser.compile(formula), /Formula error/, formula);
+        assert.equal(FormulaParser.validate(formula), false, formula);
+    }
+
+    assert.equal(FormulaParser.getErrorMessage('1..2'), 'Invalid number: 1..2');
+    assert.equal(FormulaParser.getErrorMessage('5 -- 3'), 'Unexpected operator: --');
+    assert.equal(FormulaParser.getErrorMessage('1 ? 2'), "Expected ':' in conditional expression");
+    assert.equal(FormulaParser.getErrorMessage('if(1, 2)'), 'if function requires exactly 3 arguments: condition, value_if_true, value_if_false');
+});
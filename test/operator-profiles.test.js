@@ -0,0 +1,98 @@
+/**
+ * Operator Profile Store Tests
+ *
+ * Drives the IPC handlers of operator-profiles.js with a profile store in a
+ * temporary directory.
+ */
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { registerProfileHandlers } = require('../operator-profiles');
+
+let directory;
+let invoke;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'operator-profiles-'));
+
+  const handlers = {};
+  registerProfileHandlers({ handle: (channel, handler) => { handlers[channel] = handler; } }, directory);
+  invoke = (channel, ...args) => handlers[channel]({}, ...args);
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const readFile = () => JSON.parse(fs.readFileSync(path.join(directory, 'operator-profiles.json'), 'utf8'));
+
+test('starts without profiles', async () => {
+  assert.deepEqual(await invoke('profiles:list'), { names: [], active: null, recovered: null });
+});
+
+test('saves, selects and loads profiles', async () => {
+  const alice = { handToTrack: 'right', formulas: { 1: 'L[8].x * 1000' } };
+  const bob = { handToTrack: 'left', formulas: {} };
+
+  await invoke('profiles:save', { name: ' Bob ', settings: bob });
+  assert.deepEqual(await invoke('profiles:save', { name: 'Alice', settings: alice }),
+    { names: ['Alice', 'Bob'], active: 'Alice', recovered: null });
+
+  assert.deepEqual(await invoke('profiles:get', 'Bob'), bob);
+  assert.deepEqual(await invoke('profiles:select', 'Bob'), bob);
+  assert.equal((await invoke('profiles:list')).active, 'Bob');
+  assert.equal(await invoke('profiles:select', null), null);
+
+  // Saving under an existing name replaces the profile
+  await invoke('profiles:save', { name: 'Bob', settings: alice });
+  assert.deepEqual(readFile().profiles.Bob, alice);
+
+  await assert.rejects(invoke('profiles:get', 'Carol'), /There is no operator profile named Carol/);
+  await assert.rejects(invoke('profiles:select', 'Carol'), /There is no operator profile named Carol/);
+  await assert.rejects(invoke('profiles:save', { name: ' ', settings: alice }), /An operator profile needs a name/);
+});
+
+test('deletes profiles, deselecting a deleted active profile', async () => {
+  await invoke('profiles:save', { name: 'Alice', settings: {} });
+  await invoke('profiles:save', { name: 'Bob', settings: {} });
+
+  assert.deepEqual(await invoke('profiles:delete', 'Alice'), { names: ['Bob'], active: 'Bob', recovered: null });
+  assert.deepEqual(await invoke('profiles:delete', 'Bob'), { names: [], active: null, recovered: null });
+  assert.deepEqual(readFile(), { version: 1, active: null, profiles: {} });
+});
+
+test('keeps all of concurrent saves', async () => {
+  await Promise.all(['A', 'B', 'C', 'D'].map((name) => invoke('profiles:save', { name, settings: { name } })));
+
+  assert.deepEqual((await invoke('profiles:list')).names, ['A', 'B', 'C', 'D']);
+});
+
+test('moves a damaged profiles file aside and starts over', async () => {
+  const file = path.join(directory, 'operator-profiles.json');
+
+  for (const damaged of ['{"version": 1, "profiles": {"Ali', 'null']) {
+    fs.writeFileSync(file, damaged);
+
+    const list = await invoke('profiles:list');
+    assert.deepEqual(list.names, []);
+    assert.match(path.basename(list.recovered), /^operator-profiles\.json\.corrupt-\d+$/);
+    assert.equal(fs.readFileSync(list.recovered, 'utf8'), damaged);
+    assert.equal(fs.existsSync(file), false);
+
+    // Reported once, and saving works again
+    assert.deepEqual(await invoke('profiles:save', { name: 'Alice', settings: {} }),
+      { names: ['Alice'], active: 'Alice', recovered: null });
+    assert.deepEqual(readFile().profiles, { Alice: {} });
+  }
+});
+
+test('reports a damaged file found while saving', async () => {
+  fs.writeFileSync(path.join(directory, 'operator-profiles.json'), 'not json');
+
+  const list = await invoke('profiles:save', { name: 'Alice', settings: {} });
+  assert.deepEqual(list.names, ['Alice']);
+  assert.notEqual(list.recovered, null);
+});
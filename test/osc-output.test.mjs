@@ -0,0 +1,125 @@
+/**
+ * OSC Output Tests
+ *
+ * Captures the UDP packets the OSC output sends with a stubbed dgram module
+ * and checks their encoding byte by byte.
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// UDP sockets created through the stubbed dgram module, with the packets they sent
+const sockets = [];
+
+globalThis.window = {
+    require: name => {
+        assert.equal(name, 'dgram');
+        return {
+            createSocket: type => {
+                const socket = { type, packets: [], closed: false };
+                socket.on = () => { };
+                socket.send = (message, port, host) => socket.packets.push({ message: Buffer.from(message), port, host });
+                socket.close = () => {
+                    socket.closed = true;
+                };
+                sockets.push(socket);
+                return socket;
+            }
+        };
+    }
+};
+
+const { default: OscOutput } = await import('../js/osc-output.js');
+
+// The packets sent so far
+function packets() {
+    return sockets.flatMap(socket => socket.packets);
+}
+
+// Concatenate strings and bytes into the expected packet
+function bytes(...parts) {
+    return Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+}
+
+// A big-endian float32
+function float(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatBE(value);
+    return buffer;
+}
+
+afterEach(() => {
+    OscOutput.setSettings({ enabled: false, host: '127.0.0.1', port: 9000, sendLandmarks: false });
+    sockets.length = 0;
+});
+
+test('nothing is sent while the output is disabled', () => {
+    OscOutput.send({ 1: 500 }, null);
+
+    assert.deepEqual(packets(), []);
+});
+
+test('servo positions are sent as int32 messages with padded strings', () => {
+    OscOutput.setSettings({ enabled: true, host: ' 10.0.0.5 ', port: '9001' });
+    OscOutput.send({ 1: 511.6, 10: -3 }, null);
+
+    const [first, second] = packets();
+    assert.equal(sockets[0].type, 'udp4');
+    assert.equal(first.host, '10.0.0.5');
+    assert.equal(first.port, 9001);
+
+    // "/hand/servo/1" has 13 characters: padded to 16 bytes with at least one null
+    assert.deepEqual(first.message, bytes('/hand/servo/1\0\0\0', ',i\0\0', [0, 0, 0x02, 0x00]));
+    assert.equal(first.message.length % 4, 0);
+
+    // "/hand/servo/10" has 14 characters: padded to 16 bytes
+    assert.deepEqual(second.message, bytes('/hand/servo/10\0\0', ',i\0\0', [0xff, 0xff, 0xff, 0xfd]));
+});
+
+test('a string of a multiple of 4 bytes gets 4 bytes of padding', () => {
+    OscOutput.setSettings({ enabled: true });
+    OscOutput.send({ 100: 0 }, null);
+
+    // "/hand/servo/100" plus its null terminator fill exactly 16 bytes
+    assert.deepEqual(packets()[0].message, bytes('/hand/servo/100\0', ',i\0\0', [0, 0, 0, 0]));
+
+    OscOutput.send({ 1000: 0 }, null);
+    assert.deepEqual(packets()[1].message, bytes('/hand/servo/1000\0\0\0\0', ',i\0\0', [0, 0, 0, 0]));
+});
+
+test('landmarks are sent as three float32 arguments when enabled', () => {
+    const landmarks = [{ x: 0.25, y: 0.5, z: -0.125 }, { x: 1, y: 0, z: 0.1 }];
+
+    OscOutput.setSettings({ enabled: true });
+    OscOutput.send({}, landmarks);
+    assert.deepEqual(packets(), []);
+
+    OscOutput.setSettings({ sendLandmarks: true });
+    OscOutput.send({}, landmarks);
+
+    assert.deepEqual(packets().map(packet => packet.message), [
+        bytes('/hand/landmark/0\0\0\0\0', ',fff\0\0\0\0', float(0.25), float(0.5), float(-0.125)),
+        bytes('/hand/landmark/1\0\0\0\0', ',fff\0\0\0\0', float(1), float(0), float(0.1))
+    ]);
+});
+
+test('the secondary profile is sent under /hand/secondary', () => {
+    OscOutput.setSettings({ enabled: true, sendLandmarks: true });
+    OscOutput.send({ 2: 7 }, [{ x: 0, y: 0, z: 0 }], 'secondary');
+
+    assert.deepEqual(packets().map(packet => packet.message.toString('latin1').split('\0')[0]),
+        ['/hand/secondary/servo/2', '/hand/secondary/landmark/0']);
+});
+
+test('the socket is created once and closed when the output is disabled', () => {
+    OscOutput.setSettings({ enabled: true });
+    OscOutput.send({ 1: 1 }, null);
+    OscOutput.send({ 1: 2 }, null);
+    assert.equal(sockets.length, 1);
+
+    OscOutput.setSettings({ enabled: false });
+    assert.equal(sockets[0].closed, true);
+
+    // Invalid ports are ignored
+    OscOutput.setSettings({ enabled: true, port: 70000 });
+    assert.equal(OscOutput.getSettings().port, 9000);
+});
@@ -0,0 +1,87 @@
+/**
+ * Serial Protocol Tests
+ *
+ * Encodes and decodes the lines of the robot hand serial protocol, see
+ * docs/serial-protocol.md.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  encodeCommands, encodeHeartbeat, encodeStatus, decodeLine, createLineDecoder
+} = require('../serial-protocol');
+
+test('encodes positions, limits and releases as P, L and R lines', () => {
+  assert.deepEqual(encodeCommands([
+    { id: 1, position: 511.6 },
+    { id: 2, min: 100.2, max: 899.7 },
+    { id: 3, release: true },
+    { id: 4, position: 0 }
+  ]), ['P 1:512 4:0', 'L 2:100:900', 'R 3']);
+
+  assert.deepEqual(encodeCommands([{ id: 1, position: 10 }]), ['P 1:10']);
+  assert.deepEqual(encodeCommands([]), []);
+});
+
+test('encodes heartbeats and status reports', () => {
+  assert.equal(encodeHeartbeat({ timeout: 499.6, action: 'release' }), 'H 500 release');
+
+  assert.equal(encodeStatus([
+    { id: 1, position: 500, temperature: 35, load: -12, min: 0, max: 1023 },
+    { id: 2, position: 10, temperature: 40, load: 0, min: 5, max: 900 }
+  ]), 'S 1:500:35:-12:0:1023 2:10:40:0:5:900');
+  assert.equal(encodeStatus([]), 'S');
+});
+
+test('decodes the lines it encodes', () => {
+  const [positions, limits, releases] = encodeCommands([
+    { id: 1, position: 512 }, { id: 2, position: 0 }, { id: 2, min: 100, max: 900 }, { id: 3, release: true }
+  ]);
+
+  assert.deepEqual(decodeLine(positions), { type: 'positions', data: [{ id: 1, position: 512 }, { id: 2, position: 0 }] });
+  assert.deepEqual(decodeLine(limits), { type: 'limits', data: [{ id: 2, min: 100, max: 900 }] });
+  assert.deepEqual(decodeLine(releases), { type: 'releases', data: [{ id: 3, release: true }] });
+  assert.deepEqual(decodeLine(encodeHeartbeat({ timeout: 500, action: 'hold' })),
+    { type: 'heartbeat', data: { timeout: 500, action: 'hold' } });
+
+  const servos = [{ id: 1, position: 500, temperature: 35, load: -12, min: 0, max: 1023 }];
+  assert.deepEqual(decodeLine(encodeStatus(servos)), { type: 'status', data: servos });
+});
+
+test('a bare S line is a status request', () => {
+  assert.deepEqual(decodeLine('S'), { type: 'status', data: null });
+  assert.deepEqual(decodeLine('  S \r'), { type: 'status', data: null });
+});
+
+test('decodes error lines with their message', () => {
+  assert.deepEqual(decodeLine('E Servo 3 overheated'), { type: 'error', data: 'Servo 3 overheated' });
+  assert.deepEqual(decodeLine('E Unknown servo: 12\r'), { type: 'error', data: 'Unknown servo: 12' });
+});
+
+test('ignores blank and unknown lines', () => {
+  for (const line of ['', '   ', '\r', 'X 1:2', 'p 1:500', 'Hello']) {
+    assert.equal(decodeLine(line), null, JSON.stringify(line));
+  }
+});
+
+test('keeps partial lines until they are complete', () => {
+  const messages = [];
+  const decode = createLineDecoder((message) => messages.push(message));
+
+  decode('P 1:5');
+  assert.deepEqual(messages, []);
+
+  decode(Buffer.from('12 2:0\r\nS 1:500:35:0:0:1023\nE Ser'));
+  assert.deepEqual(messages, [
+    { type: 'positions', data: [{ id: 1, position: 512 }, { id: 2, position: 0 }] },
+    { type: 'status', data: [{ id: 1, position: 500, temperature: 35, load: 0, min: 0, max: 1023 }] }
+  ]);
+
+  // Blank and unknown lines are dropped
+  decode('vo 3 overheated\n\nhello\nH 500 rel');
+  decode('ease\n');
+  assert.deepEqual(messages.slice(2), [
+    { type: 'error', data: 'Servo 3 overheated' },
+    { type: 'heartbeat', data: { timeout: 500, action: 'release' } }
+  ]);
+});
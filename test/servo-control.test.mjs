@@ -0,0 +1,347 @@
+/**
+ * Servo Control Tests
+ *
+ * Runs the send loop of a robot target against a fake robot behind the HTTP
+ * transport. Timers and performance.now() are mocked, so every send tick
+ * is exactly one send interval apart.
+ */
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SEND_INTERVAL = 100; // ms
+
+let now = 0;
+Object.defineProperty(globalThis, 'performance', { value: { now: () => now }, configurable: true, writable: true });
+mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+
+// Fake robot: answers status requests with its servos and records the positions it receives
+const robot = { servos: [], received: [] };
+
+globalThis.fetch = async (url, { method, body }) => {
+    if (method === 'POST' && url.endsWith('/api/servos')) {
+        robot.received.push(JSON.parse(body));
+    }
+
+    return { ok: true, status: 200, json: async () => robot.servos };
+};
+
+const { default: CONFIG } = await import('../js/config.js');
+const { default: ServoControl } = await import('../js/servo-control.js');
+
+ServoControl.init(0, SEND_INTERVAL / 1000);
+
+// Let pending requests and their handlers finish
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Advance the clock by ms, tracking a hand on every send tick
+async function advance(ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += SEND_INTERVAL) {
+        now += SEND_INTERVAL;
+        ServoControl.processLandmarks([], {}, null, now);
+        mock.timers.tick(SEND_INTERVAL);
+        await settle();
+    }
+}
+
+// Positions of a servo the robot received, one per send
+function received(servoId) {
+    return robot.received
+        .map(commands => commands.find(command => command.id === servoId))
+        .filter(Boolean)
+        .map(command => command.position);
+}
+
+// Connect to the fake robot, reporting servos at positions, and start sending
+async function connect(positions) {
+    robot.servos = Object.entries(positions).map(([id, position]) =>
+        ({ id: parseInt(id, 10), position, temperature: 30, load: 0, min: 0, max: 1023 }));
+    robot.received = [];
+
+    ServoControl.setTargets([{ name: 'Robot', transport: 'http', host: 'robot' }]);
+    await settle();
+    ServoControl.start();
+}
+
+beforeEach(() => {
+    ServoControl.setMotionLimits({});
+});
+
+afterEach(() => {
+    ServoControl.stop();
+    ServoControl.setTargets([]);
+    ServoControl.setFormulas({});
+});
+
+test('without motion limits servos are sent straight to their position', async () => {
+    ServoControl.setFormulas({ 1: '1000' });
+    await connect({ 1: 0 });
+    await advance(500);
+
+    assert.deepEqual(received(1), [1000]);
+});
+
+test('the velocity limit ramps from the reported position', async () => {
+    ServoControl.setFormulas({ 1: '1000' });
+    ServoControl.setMotionLimit(1, { maxVelocity: 2000 });
+    await connect({ 1: 100 });
+    await advance(1000);
+
+    assert.deepEqual(received(1), [300, 500, 700, 900, 1000]);
+});
+
+test('the acceleration limit speeds up and slows down to stop at the target', async () => {
+    ServoControl.setFormulas({ 1: '1000' });
+    ServoControl.setMotionLimit(1, { maxVelocity: 0, maxAcceleration: 2000 });
+    await connect({ 1: 0 });
+    await advance(3000);
+
+    const positions = received(1);
+    const steps = positions.map((position, index) => position - (index > 0 ? positions[index - 1] : 0));
+    const changes = steps.map((step, index) => Math.abs(step - (index > 0 ? steps[index - 1] : 0)));
+
+    assert.deepEqual(positions.slice(0, 4), [20, 60, 120, 200]);
+    assert.equal(positions[positions.length - 1], 1000);
+    assert.ok(steps.every(step => step > 0), `steps ${steps}`);
+
+    // The speed changes by the acceleration limit, apart from the last step that ends on the target
+    assert.ok(changes.slice(0, -1).every(change => change <= 21), `speed changes ${changes}`);
+    assert.ok(steps[steps.length - 1] < 100, `last step ${steps[steps.length - 1]}`);
+});
+
+test('the tighter of both limits applies', async () => {
+    ServoControl.setFormulas({ 1: '1000', 2: '0' });
+    ServoControl.setMotionLimits({ 1: { maxVelocity: 1000, maxAcceleration: 100000 }, 2: { maxVelocity: 1000 } });
+    await connect({ 1: 500, 2: 500 });
+    await advance(500);
+
+    assert.deepEqual(received(1), [600, 700, 800, 900, 1000]);
+    assert.deepEqual(received(2), [400, 300, 200, 100, 0]);
+});
+
+test('invalid motion limits mean unlimited', () => {
+    ServoControl.setMotionLimit(1, { maxVelocity: -5, maxAcceleration: 'fast' });
+    ServoControl.setMotionLimits({ ...ServoControl.getMotionLimits(), 2: { maxVelocity: '250' } });
+
+    assert.deepEqual(ServoControl.getMotionLimits(), {
+        1: { maxVelocity: 0, maxAcceleration: 0 },
+        2: { maxVelocity: 250, maxAcceleration: 0 }
+    });
+});
+
+// Calculate the positions of formulas with output settings, returning the positions and the clamped servos
+function calculate(newFormulas, newOutputSettings) {
+    let result = null;
+    ServoControl.onCalculatedPositionsUpdate((profile, positions, { clamped }) => {
+        result = { positions: { ...positions }, clamped };
+    });
+
+    try {
+        ServoControl.setOutputSettings(newOutputSettings);
+        ServoControl.setFormulas(newFormulas);
+        ServoControl.processLandmarks([], {}, null, now);
+        return result;
+    } finally {
+        ServoControl.onCalculatedPositionsUpdate(null);
+        ServoControl.setOutputSettings({});
+    }
+}
+
+test('soft limits clamp formula results within the servo range', () => {
+    assert.deepEqual(calculate({ 1: '50', 2: '500', 3: '950', 4: '2000' }, {
+        1: { min: 100, max: 900 }, 2: { min: 100, max: 900 }, 3: { min: 100, max: 900 }, 4: { min: null, max: 5000 }
+    }), { positions: { 1: 100, 2: 500, 3: 900, 4: 1023 }, clamped: [1, 3, 4] });
+});
+
+test('inversion mirrors results within the soft limits before the offset is added', () => {
+    assert.deepEqual(calculate({ 1: '300', 2: '300', 3: '300', 4: '880' }, {
+        1: { min: 100, max: 900, invert: true },
+        2: { invert: true },
+        3: { offset: -50 },
+        4: { min: 100, max: 900, offset: 50 }
+    }), { positions: { 1: 700, 2: 723, 3: 250, 4: 900 }, clamped: [4] });
+});
+
+test('output settings are completed and kept the right way round', () => {
+    ServoControl.setOutputSettings({ 1: { min: '900', max: 100, invert: 1 }, 2: { offset: 'x' } });
+
+    try {
+        assert.deepEqual(ServoControl.getOutputSettings(), {
+            1: { min: 100, max: 900, invert: true, offset: 0 },
+            2: { min: null, max: null, invert: false, offset: 0 }
+        });
+    } finally {
+        ServoControl.setOutputSettings({});
+    }
+});
+
+test('the soft limits are pushed to the connected robots', async () => {
+    await assert.rejects(ServoControl.setServoLimits([{ id: 1, min: 100, max: 900 }]), /Not connected to robot/);
+
+    ServoControl.setOutputSettings({ 1: { min: 100, max: 900 }, 2: { invert: true }, 11: { min: 200, max: null } });
+    try {
+        const limits = ServoControl.getConfiguredServoLimits();
+        assert.deepEqual(limits, [{ id: 1, min: 100, max: 900 }, { id: 11, min: 200, max: 4095 }]);
+
+        await connect({ 1: 500 });
+        assert.equal(await ServoControl.setServoLimits(limits), 1);
+        assert.deepEqual(robot.received, [limits]);
+    } finally {
+        ServoControl.setOutputSettings({});
+    }
+});
+
+// Commands for a servo the robot received, one per send
+function commands(servoId) {
+    return robot.received.flatMap(sent => sent.filter(command => command.id === servoId));
+}
+
+// Change the status the fake robot reports for a servo and wait for the next status poll
+async function report(servoId, status) {
+    Object.assign(robot.servos.find(servo => servo.id === servoId), status);
+    robot.received = [];
+    await advance(CONFIG.ROBOT_STATUS_UPDATE_INTERVAL + SEND_INTERVAL);
+}
+
+test('protection levels follow temperature and load, and a stop is latched until reset', async () => {
+    const changes = [];
+    ServoControl.onProtectionChange((targetId, servoId, level) => changes.push(level));
+
+    try {
+        ServoControl.setFormulas({ 1: '800' });
+        await connect({ 1: 800 });
+        await advance(SEND_INTERVAL);
+        const targetId = ServoControl.getTargets()[0].id;
+
+        // Warnings don't change the positions sent
+        await report(1, { temperature: 56 });
+        assert.deepEqual(changes, ['warning']);
+        assert.deepEqual(ServoControl.getProtectionLevels(targetId), { 1: 'warning' });
+
+        // Backing off moves halfway to the default position (512)
+        await report(1, { temperature: 63 });
+        assert.deepEqual(changes, ['warning', 'backoff']);
+        assert.deepEqual(received(1), [656]);
+
+        // Levels clear only below their threshold minus the hysteresis
+        await report(1, { temperature: 60 });
+        assert.deepEqual(changes, ['warning', 'backoff']);
+        await report(1, { temperature: 58 });
+        assert.deepEqual(changes, ['warning', 'backoff', 'warning']);
+        assert.deepEqual(received(1), [800]);
+
+        // A stop releases the servo and stays until reset
+        await report(1, { temperature: 30, load: -96 });
+        assert.deepEqual(changes, ['warning', 'backoff', 'warning', 'stop']);
+        assert.deepEqual(commands(1), [{ id: 1, release: true }]);
+
+        await report(1, { load: 0 });
+        assert.deepEqual(ServoControl.getProtectionLevels(targetId), { 1: 'stop' });
+        assert.deepEqual(commands(1), []);
+
+        ServoControl.resetProtection(targetId, 1);
+        await advance(SEND_INTERVAL);
+        assert.deepEqual(changes, ['warning', 'backoff', 'warning', 'stop', 'ok']);
+        assert.deepEqual(received(1), [800]);
+    } finally {
+        ServoControl.onProtectionChange(null);
+    }
+});
+
+test('protection thresholds can be set per servo and turned off', async () => {
+    ServoControl.setProtectionLimits({ 1: { temperature: { warning: 0, backoff: 0, stop: 40 }, load: { stop: 0 } } });
+
+    try {
+        const limits = ServoControl.getProtectionLimits();
+        assert.deepEqual(limits[1], { temperature: { warning: 0, backoff: 0, stop: 40 }, load: { warning: 70, backoff: 85, stop: 0 } });
+        assert.deepEqual(limits[2], { temperature: { warning: 55, backoff: 62, stop: 70 }, load: { warning: 70, backoff: 85, stop: 95 } });
+
+        ServoControl.setFormulas({ 1: '800' });
+        await connect({ 1: 800 });
+        const targetId = ServoControl.getTargets()[0].id;
+
+        await report(1, { temperature: 39, load: 100 });
+        assert.deepEqual(ServoControl.getProtectionLevels(targetId), { 1: 'backoff' });
+
+        await report(1, { temperature: 40, load: 0 });
+        assert.deepEqual(ServoControl.getProtectionLevels(targetId), { 1: 'stop' });
+    } finally {
+        ServoControl.setProtectionLimits({});
+    }
+});
+
+test('a servo stalls when its tracking error stays too large, and recovers', async () => {
+    const stalls = [];
+    ServoControl.onStallChange((targetId, servoId, stalled, details) => stalls.push([servoId, stalled, details]));
+    ServoControl.setStallSettings({ enabled: true, threshold: 50, duration: 3, stopCommanding: false });
+
+    try {
+        ServoControl.setFormulas({ 1: '800' });
+        await connect({ 1: 500 });
+        const targetId = ServoControl.getTargets()[0].id;
+
+        // The error is first seen at the next poll, and stalls the servo 3 s later
+        await report(1, {});
+        await report(1, {});
+        assert.deepEqual(stalls, []);
+        await report(1, {});
+        assert.deepEqual(stalls, [[1, true, { commanded: 800, reported: 500 }]]);
+        assert.deepEqual(ServoControl.getTrackingErrors(targetId),
+            { 1: { commanded: 800, reported: 500, error: 300, stalled: true } });
+
+        // Positions are still sent to the stalled servo, its stall clears when it catches up
+        ServoControl.setFormulas({ 1: '750' });
+        await report(1, { position: 700 });
+        assert.deepEqual(received(1), [750]);
+        assert.deepEqual(stalls.slice(1), [[1, false, { commanded: 750, reported: 700 }]]);
+
+        // An error that doesn't last isn't a stall
+        ServoControl.setFormulas({ 1: '100' });
+        await report(1, {});
+        await report(1, { position: 100 });
+        await report(1, {});
+        assert.equal(stalls.length, 2);
+    } finally {
+        ServoControl.onStallChange(null);
+    }
+});
+
+test('stalled servos can be left alone until reset', async () => {
+    const stalls = [];
+    ServoControl.onStallChange((targetId, servoId, stalled) => stalls.push(stalled));
+    ServoControl.setStallSettings({ enabled: true, threshold: 50, duration: 1, stopCommanding: true });
+
+    try {
+        ServoControl.setFormulas({ 1: '800' });
+        await connect({ 1: 500 });
+        const targetId = ServoControl.getTargets()[0].id;
+
+        await report(1, {});
+        await report(1, {});
+        assert.deepEqual(stalls, [true]);
+
+        // No positions are sent, and catching up doesn't clear the stall
+        ServoControl.setFormulas({ 1: '600' });
+        await report(1, { position: 800 });
+        assert.deepEqual(received(1), []);
+        assert.deepEqual(stalls, [true]);
+
+        // After a reset the servo is commanded again
+        ServoControl.resetStall(targetId, 1);
+        await advance(SEND_INTERVAL);
+        assert.deepEqual(stalls, [true, false]);
+        assert.deepEqual(received(1), [600]);
+
+        // Turning detection off clears the stalls
+        await report(1, { position: 0 });
+        await report(1, {});
+        assert.deepEqual(stalls, [true, false, true]);
+        ServoControl.setStallSettings({ enabled: false });
+        assert.deepEqual(stalls, [true, false, true, false]);
+        assert.equal(ServoControl.getTrackingErrors(targetId)[1], undefined);
+    } finally {
+        ServoControl.onStallChange(null);
+        ServoControl.setStallSettings({ enabled: true, threshold: 50, duration: 3, stopCommanding: false });
+    }
+});
@@ -0,0 +1,92 @@
+/**
+ * Servo Map Tests
+ *
+ * Checks the validation of servo definitions and how positions are clamped
+ * to a servo's range and resolution.
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ServoMap from '../js/servo-map.js';
+
+afterEach(() => {
+    ServoMap.onChange(null);
+    ServoMap.reset();
+});
+
+test('starts with the default servos', () => {
+    const servos = ServoMap.getServos();
+
+    assert.deepEqual(servos.map(servo => servo.id), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    assert.deepEqual(ServoMap.getServo('11'), {
+        id: 11, name: 'Wrist Rotator', min: 0, max: 4095, resolution: 1, defaultPosition: 2048
+    });
+    assert.equal(ServoMap.getServo(12), null);
+
+    // Changing a returned definition doesn't change the map
+    servos[0].max = 10;
+    assert.equal(ServoMap.getServo(1).max, 1023);
+});
+
+test('fills in missing fields and keeps the default position in range', () => {
+    assert.deepEqual(ServoMap.validateServos([{ id: '3' }, { id: 4, min: '100', max: 200, defaultPosition: 500 }]), [
+        { id: 3, name: 'Servo 3', min: 0, max: 1023, resolution: 1, defaultPosition: 512 },
+        { id: 4, name: 'Servo 4', min: 100, max: 200, resolution: 1, defaultPosition: 200 }
+    ]);
+});
+
+test('rejects invalid definitions', () => {
+    const invalid = [
+        [{}, /Invalid servo ID: undefined/],
+        [[{ id: -1 }], /Invalid servo ID: -1/],
+        [[{ id: 'thumb' }], /Invalid servo ID: thumb/],
+        [[{ id: 1, min: 500, max: 500 }], /Servo 1: minimum must be below maximum/],
+        [[{ id: 1, resolution: 0 }], /Servo 1: resolution must be positive/],
+        [[{ id: 1 }, { id: '1' }], /Duplicate servo ID: 1/]
+    ];
+
+    for (const [servos, error] of invalid) {
+        const expected = Array.isArray(servos) ? error : /Servo definitions must be an array/;
+        assert.throws(() => ServoMap.validateServos(servos), expected);
+        assert.throws(() => ServoMap.setServos(servos), expected);
+    }
+
+    // Invalid definitions leave the map as it was
+    assert.equal(ServoMap.getServos().length, 11);
+});
+
+test('replacing the definitions notifies about the change', () => {
+    let changed = null;
+    ServoMap.onChange(servos => {
+        changed = servos;
+    });
+
+    ServoMap.setServos([{ id: 20, name: 'Thumb', min: 100, max: 300 }]);
+
+    assert.deepEqual(changed, [{ id: 20, name: 'Thumb', min: 100, max: 300, resolution: 1, defaultPosition: 200 }]);
+    assert.deepEqual(ServoMap.getRange(20), { min: 100, max: 300 });
+    assert.deepEqual(ServoMap.getRange(1), { min: 0, max: 1023 });
+});
+
+test('positions are clamped to the range and rounded to the resolution', () => {
+    ServoMap.setServos([
+        { id: 1, min: 100, max: 900 },
+        { id: 2, min: 10, max: 1000, resolution: 4 },
+        { id: 3, min: 0, max: 10, resolution: 4 }
+    ]);
+
+    assert.equal(ServoMap.clamp(1, 50), 100);
+    assert.equal(ServoMap.clamp(1, 1200), 900);
+    assert.equal(ServoMap.clamp(1, 500.5), 501);
+
+    assert.equal(ServoMap.clamp(2, 15), 14);
+    assert.equal(ServoMap.clamp(2, 16.5), 18);
+    assert.equal(ServoMap.clamp(2, 0), 10);
+
+    // Steps are counted from the minimum, rounding up past the maximum stops at the maximum
+    assert.equal(ServoMap.clamp(3, 9.5), 8);
+    assert.equal(ServoMap.clamp(3, 10), 10);
+
+    // Unknown servos get the default range
+    assert.equal(ServoMap.clamp(7, 2000), 1023);
+});
@@ -0,0 +1,143 @@
+/**
+ * Session Recorder Tests
+ *
+ * Records frames, saves the session as JSON, loads it again and replays it.
+ * Animation frames are run by the tests, with the timestamps they choose.
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Callback of the requested animation frame
+let animationFrame = null;
+
+globalThis.requestAnimationFrame = callback => {
+    animationFrame = callback;
+    return 1;
+};
+globalThis.cancelAnimationFrame = () => {
+    animationFrame = null;
+};
+
+const { default: SessionRecorder } = await import('../js/session-recorder.js');
+
+// A hand whose landmarks are all at x, with coordinates longer than the recorded precision
+function hand(x) {
+    return Array.from({ length: 21 }, (_, index) => ({
+        x, y: index / 21, z: -0.0123456789, x3D: x / 10, y3D: 0, z3D: 0
+    }));
+}
+
+// Run the requested animation frame at a timestamp
+function runAnimationFrame(timestamp) {
+    const callback = animationFrame;
+    animationFrame = null;
+    callback(timestamp);
+}
+
+// Replayed frames as [x of the right hand, time, restarted]
+let replayed;
+
+beforeEach(() => {
+    replayed = [];
+    SessionRecorder.onFrame((hands, t, restarted) => {
+        replayed.push([hands.right ? hands.right[0].x : null, t, restarted]);
+    });
+    SessionRecorder.pause();
+    SessionRecorder.setSpeed(1);
+    SessionRecorder.setLooping(false);
+});
+
+// Record a session of four frames 100 ms apart and save it as JSON
+function recordSession() {
+    SessionRecorder.startRecording();
+    [0.1, 0.2, 0.3, 0.4].forEach((x, index) => {
+        SessionRecorder.recordFrame({ left: null, right: hand(x) }, 5000 + index * 100);
+    });
+    assert.equal(SessionRecorder.stopRecording(), 4);
+
+    return JSON.stringify(SessionRecorder.getSession());
+}
+
+test('a recorded session survives saving and loading', () => {
+    const saved = JSON.parse(recordSession());
+
+    assert.equal(saved.version, 1);
+    assert.match(saved.recordedAt, /^\d{4}-\d\d-\d\dT/);
+    assert.deepEqual(saved.frames.map(frame => frame.t), [0, 100, 200, 300]);
+    assert.equal(saved.frames[0].hands.left, null);
+    assert.deepEqual(saved.frames[0].hands.right[3], { x: 0.1, y: 0.14286, z: -0.01235, x3D: 0.01, y3D: 0, z3D: 0 });
+
+    SessionRecorder.loadSession(saved);
+    assert.deepEqual(SessionRecorder.getSession(), saved);
+    assert.deepEqual(SessionRecorder.getState(), {
+        isRecording: false, recordedFrames: 0, hasSession: true, isPlaying: false,
+        isLooping: false, speed: 1, position: 0, duration: 300
+    });
+});
+
+test('recording time doesn\'t go back when the source starts over', () => {
+    SessionRecorder.startRecording();
+    [1000, 1040, 0, 40].forEach(timestamp => SessionRecorder.recordFrame({ left: hand(0.5), right: null }, timestamp));
+    SessionRecorder.stopRecording();
+
+    assert.deepEqual(SessionRecorder.getSession().frames.map(frame => frame.t), [0, 40, 40, 80]);
+});
+
+test('frames are replayed at their time, scaled by the speed', () => {
+    SessionRecorder.loadSession(JSON.parse(recordSession()));
+
+    SessionRecorder.play();
+    runAnimationFrame(1000);
+    runAnimationFrame(1150);
+    assert.deepEqual(replayed, [[0.1, 0, true], [0.2, 100, false]]);
+
+    SessionRecorder.setSpeed(2);
+    runAnimationFrame(1200);
+    runAnimationFrame(1300);
+    assert.deepEqual(replayed.slice(2), [[0.3, 200, false], [0.4, 300, false]]);
+
+    // Playback stops at the end
+    assert.equal(SessionRecorder.getState().isPlaying, false);
+    assert.equal(animationFrame, null);
+});
+
+test('seeking replays the frame at the position and restarts smoothing', () => {
+    SessionRecorder.loadSession(JSON.parse(recordSession()));
+
+    SessionRecorder.seek(250);
+    SessionRecorder.seek(220);
+    SessionRecorder.seek(-10);
+    SessionRecorder.seek(5000);
+
+    assert.deepEqual(replayed, [[0.3, 200, true], [0.1, 0, true], [0.4, 300, true]]);
+});
+
+test('looping continues the frame times after the end of the session', () => {
+    SessionRecorder.loadSession(JSON.parse(recordSession()));
+    SessionRecorder.setLooping(true);
+
+    SessionRecorder.play();
+    runAnimationFrame(0);
+    runAnimationFrame(290);
+    runAnimationFrame(310);
+    runAnimationFrame(420);
+
+    assert.deepEqual(replayed, [[0.1, 0, true], [0.3, 200, false], [0.1, 300, true], [0.2, 400, false]]);
+    assert.equal(SessionRecorder.getState().isPlaying, true);
+});
+
+test('invalid sessions are rejected', () => {
+    const frame = { t: 0, hands: { left: null, right: hand(0.5) } };
+
+    assert.throws(() => SessionRecorder.loadSession({ frames: [] }), /Session has no frames/);
+    assert.throws(() => SessionRecorder.loadSession({ version: 2, frames: [frame] }), /Unsupported session version 2/);
+    assert.throws(() => SessionRecorder.loadSession({ frames: [frame, { ...frame, t: -1 }] }), /Frame 1: invalid time/);
+    assert.throws(() => SessionRecorder.loadSession({ frames: [{ t: 0, hands: { left: hand(0.5).slice(1) } }] }),
+        /Frame 0: a hand must have 21 landmarks/);
+    assert.throws(() => SessionRecorder.loadSession({ frames: [{ t: 0, hands: { right: [...hand(0.5).slice(1), { x: 0 }] } }] }),
+        /Frame 0: invalid landmark coordinate y/);
+
+    // Frames are sorted by time
+    SessionRecorder.loadSession({ frames: [{ ...frame, t: 50 }, frame] });
+    assert.deepEqual(SessionRecorder.getSession().frames.map(({ t }) => t), [0, 50]);
+});
@@ -0,0 +1,117 @@
+/**
+ * Simulated Robot Hand Tests
+ *
+ * Steps the simulated hand used by the robot simulator and the mock robots.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSimulatedHand } = require('../simulated-hand');
+
+const SERVOS = [
+  { id: 1, min: 0, max: 1000, defaultPosition: 500 },
+  { id: 2, min: 100, max: 900 }
+];
+
+// Status of one servo
+const statusOf = (hand, id) => hand.getStatus().find((servo) => servo.id === id);
+
+// Advance the hand by seconds, in steps of 20 ms
+const run = (hand, seconds) => {
+  for (let t = 0; t < seconds; t += 0.02) {
+    hand.step(0.02);
+  }
+};
+
+test('starts with the default servos at their default positions', () => {
+  const status = createSimulatedHand().getStatus();
+
+  assert.equal(status.length, 11);
+  assert.deepEqual(status[0], { id: 1, position: 512, temperature: 30, load: 0, min: 0, max: 1023 });
+  assert.deepEqual(status[10], { id: 11, position: 2048, temperature: 30, load: 0, min: 0, max: 4095 });
+});
+
+test('servos move towards their target at the set speed, within their limits', () => {
+  const hand = createSimulatedHand({ servos: SERVOS, speed: 1000 });
+  assert.equal(statusOf(hand, 2).position, 500);
+
+  hand.applyCommands([{ id: 1, position: 800 }, { id: 2, position: 2000 }, { id: 5, position: 100 }]);
+  hand.step(0.1);
+  assert.equal(statusOf(hand, 1).position, 600);
+  assert.equal(statusOf(hand, 2).position, 600);
+  assert.ok(statusOf(hand, 1).load > 0);
+
+  run(hand, 1);
+  assert.equal(statusOf(hand, 1).position, 800);
+  assert.equal(statusOf(hand, 2).position, 900);
+
+  hand.applyCommands([{ id: 1, min: 0, max: 700 }]);
+  run(hand, 1);
+  assert.equal(statusOf(hand, 1).position, 700);
+  assert.equal(statusOf(hand, 1).max, 700);
+
+  assert.throws(() => hand.applyCommands({ id: 1, position: 0 }), /Expected an array of servo commands/);
+});
+
+test('released servos stay where they are without load', () => {
+  const hand = createSimulatedHand({ servos: SERVOS, speed: 1000 });
+
+  hand.applyCommands([{ id: 1, position: 1000 }]);
+  hand.step(0.1);
+  hand.applyCommands([{ id: 1, release: true }]);
+  run(hand, 1);
+
+  assert.equal(statusOf(hand, 1).position, 600);
+  assert.ok(statusOf(hand, 1).load <= 1);
+});
+
+test('stuck servos strain against their target and heat up', () => {
+  const hand = createSimulatedHand({ servos: SERVOS });
+  hand.setStuckServos([1]);
+
+  hand.applyCommands([{ id: 1, position: 1000 }]);
+  run(hand, 10);
+
+  const status = statusOf(hand, 1);
+  assert.equal(status.position, 500);
+  assert.ok(status.load > 90, `load ${status.load}`);
+  assert.ok(status.temperature > 40, `temperature ${status.temperature}`);
+});
+
+test('applies the heartbeat action when heartbeats stop', () => {
+  const hand = createSimulatedHand({ servos: SERVOS, speed: 1000 });
+
+  hand.applyCommands([{ id: 1, position: 900 }]);
+  run(hand, 1);
+  hand.heartbeat({ timeout: 200, action: 'ease' });
+  hand.applyCommands([{ id: 1, position: 100 }]);
+
+  // Eases back to the default position, slower than the servos move
+  run(hand, 0.5);
+  const position = statusOf(hand, 1).position;
+  assert.ok(position > 500 && position < 900, `position ${position}`);
+  run(hand, 5);
+  assert.equal(statusOf(hand, 1).position, 500);
+
+  // A heartbeat without timeout turns the watchdog off
+  hand.heartbeat({ timeout: 0, action: 'release' });
+  hand.applyCommands([{ id: 1, position: 100 }]);
+  run(hand, 1);
+  assert.equal(statusOf(hand, 1).position, 100);
+});
+
+test('keeps servo states when the servo definitions change', () => {
+  const hand = createSimulatedHand({ servos: SERVOS, speed: 1000 });
+  hand.applyCommands([{ id: 1, position: 900 }]);
+  run(hand, 1);
+
+  hand.setServos([{ id: 1, min: 0, max: 800 }, { id: 3, min: 0, max: 4095, defaultPosition: 1000 }]);
+  assert.deepEqual(hand.getStatus().map(({ id, position, max }) => ({ id, position, max })), [
+    { id: 1, position: 800, max: 800 },
+    { id: 3, position: 1000, max: 4095 }
+  ]);
+
+  hand.setServos();
+  assert.equal(hand.getStatus().length, 11);
+  assert.equal(statusOf(hand, 1).position, 800);
+});
@@ -0,0 +1,266 @@
+/**
+ * Offline Formula Evaluation
+ *
+ * Runs a recorded landmark session through the formulas of a saved
+ * configuration, using the application's own hand tracking and servo control
+ * modules, without an Electron window, a camera or a robot. Writes the servo
+ * positions of every frame and prints statistics per servo:
+ *
+ *   frames  frames with a position (the driving hand was visible)
+ *   min/max lowest and highest position
+ *   jitter  mean absolute change between consecutive positions
+ *   clamped percentage of frames where the formula result was outside the
+ *           servo's output range and had to be clamped
+ *   errors  frames where the formula couldn't be evaluated
+ *
+ * Usage: node tools/evaluate-formulas.js <config.json> <session.json> [--csv <file>] [--json <file>]
+ *
+ * The configuration is a file saved with "Save Configuration", the session a
+ * file saved with "Save Recording". Exits with status 1 if the inputs or any
+ * of the formulas are invalid.
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Import one of the application's modules
+async function importModule(name) {
+  const module = await import(pathToFileURL(path.join(__dirname, '..', 'js', name)).href);
+  return module.default;
+}
+
+function parseArgs(argv) {
+  const args = { files: [], csv: null, json: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--csv' || argv[i] === '--json') {
+      if (!argv[i + 1]) {
+        throw new Error(`${argv[i]} needs a file name`);
+      }
+      args[argv[i].slice(2)] = argv[++i];
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+
+  if (args.files.length !== 2) {
+    throw new Error('Usage: node tools/evaluate-formulas.js <config.json> <session.json> [--csv <file>] [--json <file>]');
+  }
+
+  return args;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+// Apply the formula related settings of a configuration, like loading it in the application
+function applyConfiguration(config, { ServoMap, ServoControl, HandTracking, FormulaParser, Calibration }) {
+  if (config.servos) {
+    ServoMap.setServos(config.servos);
+  }
+
+  const profiles = { primary: config.formulas || {}, secondary: config.secondaryFormulas || {} };
+  const invalid = [];
+
+  for (const profile in profiles) {
+    for (const servoId in profiles[profile]) {
+      const formula = profiles[profile][servoId];
+      if (formula && !FormulaParser.validate(formula)) {
+        invalid.push(`${profile} servo ${servoId}: ${FormulaParser.getErrorMessage(formula)}`);
+      }
+    }
+  }
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid formulas:\n  ${invalid.join('\n  ')}`);
+  }
+
+  for (const profile in profiles) {
+    ServoControl.setFormulas(profiles[profile], profile);
+  }
+
+  // Formulas using calMin and calMax refer to the selected operator calibration
+  if (config.calibrations) {
+    Calibration.setCalibrations(config.calibrations);
+    ServoControl.setCalibration(Calibration.setActive(config.activeCalibration || null));
+  }
+
+  if (config.filters) {
+    ServoControl.setFilters(config.filters);
+  }
+  if (config.outputSettings) {
+    ServoControl.setOutputSettings(config.outputSettings);
+  }
+  if (config.handToTrack) {
+    HandTracking.setHandToTrack(config.handToTrack);
+  }
+  if (config.landmarkFilter) {
+    HandTracking.setLandmarkFilter(config.landmarkFilter);
+  }
+
+  // Servos with a formula, as columns of the output
+  const columns = [];
+  for (const profile in profiles) {
+    for (const servoId in ServoControl.getFormulas(profile)) {
+      if (ServoMap.getServo(servoId)) {
+        columns.push({ profile, servoId: parseInt(servoId, 10), key: `${profile}:${servoId}` });
+      }
+    }
+  }
+
+  return columns;
+}
+
+// Feed every session frame through hand tracking and servo control, collecting the positions
+function evaluateSession(session, columns, { ServoControl, HandTracking }) {
+  const results = [];
+  let current = null;
+
+  HandTracking.onLandmarksUpdate((landmarks, hands, timestamp) => {
+    const secondaryHand = HandTracking.getSecondaryHand();
+    ServoControl.processLandmarks(landmarks, hands, secondaryHand ? hands[secondaryHand] : null, timestamp);
+  });
+
+  ServoControl.onCalculatedPositionsUpdate((profile, positions, { clamped, failed }) => {
+    columns.filter(column => column.profile === profile).forEach(column => {
+      if (failed.includes(column.servoId)) {
+        current.errors.push(column.key);
+      } else if (positions[column.servoId] !== undefined) {
+        current.positions[column.key] = positions[column.servoId];
+        if (clamped.includes(column.servoId)) {
+          current.clamped.push(column.key);
+        }
+      }
+    });
+  });
+
+  session.frames.forEach((frame, index) => {
+    current = { frame: index, t: frame.t, positions: {}, clamped: [], errors: [] };
+    HandTracking.injectFrame(frame.hands, frame.t);
+    results.push(current);
+  });
+
+  return results;
+}
+
+function calculateStatistics(results, columns) {
+  return columns.map(column => {
+    const values = [];
+    let clamped = 0;
+    let errors = 0;
+
+    results.forEach(result => {
+      if (result.positions[column.key] !== undefined) {
+        values.push(result.positions[column.key]);
+      }
+      if (result.clamped.includes(column.key)) {
+        clamped++;
+      }
+      if (result.errors.includes(column.key)) {
+        errors++;
+      }
+    });
+
+    let change = 0;
+    for (let i = 1; i < values.length; i++) {
+      change += Math.abs(values[i] - values[i - 1]);
+    }
+
+    return {
+      profile: column.profile,
+      servoId: column.servoId,
+      frames: values.length,
+      min: values.length > 0 ? Math.min(...values) : null,
+      max: values.length > 0 ? Math.max(...values) : null,
+      jitter: values.length > 1 ? change / (values.length - 1) : 0,
+      clampedPercent: values.length > 0 ? (clamped / values.length) * 100 : 0,
+      errors
+    };
+  });
+}
+
+function toCsv(results, columns) {
+  const lines = [['frame', 't', ...columns.map(column => column.key)].join(',')];
+
+  results.forEach(result => {
+    const values = columns.map(column => result.positions[column.key] !== undefined ? result.positions[column.key] : '');
+    lines.push([result.frame, result.t, ...values].join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function printStatistics(statistics) {
+  const rows = statistics.map(stat => [
+    stat.profile,
+    stat.servoId,
+    stat.frames,
+    stat.min === null ? '-' : stat.min,
+    stat.max === null ? '-' : stat.max,
+    stat.jitter.toFixed(2),
+    `${stat.clampedPercent.toFixed(1)}%`,
+    stat.errors
+  ].map(String));
+
+  const header = ['profile', 'servo', 'frames', 'min', 'max', 'jitter', 'clamped', 'errors'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const format = row => row.map((cell, i) => cell.padStart(widths[i])).join('  ');
+
+  console.log(format(header));
+  rows.forEach(row => console.log(format(row)));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = readJson(args.files[0]);
+  const sessionData = readJson(args.files[1]);
+
+  const modules = {
+    ServoMap: await importModule('servo-map.js'),
+    FormulaParser: await importModule('formula-parser.js'),
+    ServoControl: await importModule('servo-control.js'),
+    Calibration: await importModule('calibration.js'),
+    HandTracking: await importModule('hand-tracking.js'),
+    SessionRecorder: await importModule('session-recorder.js')
+  };
+
+  modules.SessionRecorder.loadSession(sessionData);
+  const session = modules.SessionRecorder.getSession();
+
+  const columns = applyConfiguration(config, modules);
+  if (columns.length === 0) {
+    throw new Error('The configuration has no formulas');
+  }
+
+  // Evaluation errors are counted per servo instead of logged for every frame
+  const logError = console.error;
+  let results;
+  console.error = () => { };
+  try {
+    results = evaluateSession(session, columns, modules);
+  } finally {
+    console.error = logError;
+  }
+
+  const statistics = calculateStatistics(results, columns);
+
+  if (args.csv) {
+    fs.writeFileSync(args.csv, toCsv(results, columns));
+  }
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify({ statistics, frames: results }, null, 2));
+  }
+
+  console.log(`Evaluated ${results.length} frames (${(session.frames[session.frames.length - 1].t / 1000).toFixed(1)} s)`);
+  printStatistics(statistics);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+/**
+ * Mock Robot Hand on a serial port
+ *
+ * Speaks the robot hand serial protocol (see docs/serial-protocol.md) with a
+ * simulated hand, so the serial transport can be tested against a
+ * pseudo-terminal loopback instead of hardware.
+ *
+ * Usage: node tools/mock-robot-serial.js <port path> [baud rate]
+ */
+const { SerialPort } = require('serialport');
+const { encodeStatus, createLineDecoder } = require('../serial-protocol');
+const { createSimulatedHand } = require('../simulated-hand');
+
+const PATH = process.argv[2];
+const BAUD_RATE = parseInt(process.argv[3] || '115200', 10);
+const SIMULATION_INTERVAL = 20; // ms
+
+if (!PATH) {
+  console.error('Usage: node tools/mock-robot-serial.js <port path> [baud rate]');
+  process.exit(1);
+}
+
+const hand = createSimulatedHand();
+setInterval(() => hand.step(SIMULATION_INTERVAL / 1000), SIMULATION_INTERVAL);
+
+const port = new SerialPort({ path: PATH, baudRate: BAUD_RATE });
+port.on('data', createLineDecoder((message) => {
+  try {
+    if (message.type === 'positions' || message.type === 'limits' || message.type === 'releases') {
+      hand.applyCommands(message.data);
+    } else if (message.type === 'heartbeat') {
+      hand.heartbeat(message.data);
+    } else if (message.type === 'status') {
+      port.write(`${encodeStatus(hand.getStatus())}\n`);
+    }
+  } catch (error) {
+    port.write(`E ${error.message}\n`);
+  }
+}));
+
+port.on('open', () => {
+  console.log(`Mock robot hand listening on ${PATH} at ${BAUD_RATE} baud`);
+});
+
+port.on('error', (error) => {
+  console.error(`Serial port error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+/**
+ * Mock Robot Hand Server
+ *
+ * Stands in for the robot hand so the application can be tested without
+ * hardware. Runs the robot simulator (see robot-simulator.js), which serves
+ * the same API as the robot on /api/servos and /ws.
+ *
+ * Usage: node tools/mock-robot-server.js [port] [options]
+ *
+ *   --speed <units/s>   speed servos move at
+ *   --timeouts <0-1>    share of requests that time out
+ *   --errors <0-1>      share of requests that fail with a server error
+ *   --stuck <ids>       comma separated IDs of servos that are stuck
+ *
+ * Then set the robot IP in the application to localhost:<port>.
+ */
+const { startSimulator } = require('../robot-simulator');
+
+const args = process.argv.slice(2);
+const options = {};
+let port = parseInt(process.env.PORT || '8080', 10);
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i].startsWith('--')) {
+    options[args[i].slice(2)] = args[++i];
+  } else {
+    port = parseInt(args[i], 10);
+  }
+}
+
+startSimulator({
+  port,
+  speed: options.speed ? parseFloat(options.speed) : undefined,
+  faults: {
+    timeoutRate: options.timeouts,
+    errorRate: options.errors,
+    stuckServos: options.stuck ? options.stuck.split(',') : []
+  },
+  log: (message) => console.log(message)
+}).then((simulator) => {
+  console.log(`Mock robot hand listening on http://localhost:${simulator.port}/api/servos and ws://localhost:${simulator.port}/ws`);
+}).catch((error) => {
+  console.error(`Cannot start mock robot hand: ${error.message}`);
+  process.exit(1);
+});